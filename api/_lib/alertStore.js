@@ -0,0 +1,52 @@
+/**
+ * 提醒记录
+ * 每条已发送的提醒追加一行 JSON Lines；同一持仓的同一规则每天只通知一次
+ */
+
+import { appendJSONLine, readJSONLines, writeJSONLines } from './fileStore.js';
+
+const ALERTS_PATH = 'alerts/alerts.jsonl';
+
+// 保留最近 N 天的发送记录
+const RETENTION_DAYS = 30;
+
+function alertKey(alert, date) {
+  return `${date}:${alert.positionId}:${alert.rule}`;
+}
+
+/**
+ * 过滤掉当天已发送过的提醒
+ * @param {Array} alerts - 提醒
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array} 未发送过的提醒
+ */
+export async function filterNewAlerts(alerts, date) {
+  const records = await readJSONLines(ALERTS_PATH);
+  const sent = new Set(records.map(record => alertKey(record, record.date)));
+  return alerts.filter(alert => !sent.has(alertKey(alert, date)));
+}
+
+/**
+ * 记录已发送的提醒（超过保留期的记录在写入时清理）
+ * @param {Array} alerts - 提醒
+ * @param {string} date - YYYY-MM-DD
+ */
+export async function recordAlerts(alerts, date) {
+  const cutoff = new Date(date);
+  cutoff.setDate(cutoff.getDate() - RETENTION_DAYS);
+  const cutoffDate = cutoff.toISOString().slice(0, 10);
+
+  const records = await readJSONLines(ALERTS_PATH);
+  if (records.some(record => record.date < cutoffDate)) {
+    await writeJSONLines(ALERTS_PATH, records.filter(record => record.date >= cutoffDate));
+  }
+
+  for (const alert of alerts) {
+    await appendJSONLine(ALERTS_PATH, { ...alert, date, sentAt: new Date().toISOString() });
+  }
+}
+
+export default {
+  filterNewAlerts,
+  recordAlerts
+};
@@ -0,0 +1,234 @@
+/**
+ * Alpha Vantage 请求层
+ * 所有 Alpha Vantage 调用共用一个限流队列（默认每分钟 5 次，免费额度）
+ * 并按 URL 缓存响应，避免同一次分析重复消耗额度
+ * 排队与重试的等待受截止时间约束（withAlphaVantageBudget 为整个请求设置），超出时立即失败而不是拖过函数超时
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const ALPHA_VANTAGE_URL = 'https://www.alphavantage.co/query';
+
+// 每分钟最大请求数，付费账户可通过 ALPHA_VANTAGE_RATE_LIMIT 调高
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.ALPHA_VANTAGE_RATE_LIMIT) || 5;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// 排队与重试等待的默认上限（毫秒），未设置请求级预算时按单次调用计
+export const DEFAULT_MAX_WAIT_MS = parseInt(process.env.ALPHA_VANTAGE_MAX_WAIT_MS) || 20 * 1000;
+
+// 可重试的限流提示（每分钟 / 每秒频率）；只提每日额度、付费接口、无效密钥的提示重试无用
+const MINUTE_THROTTLE_PATTERN = /per minute|per second|spreading out/i;
+const FATAL_NOTICE_PATTERN = /premium|invalid/i;
+
+const budgetStorage = new AsyncLocalStorage();
+
+const requestTimes = [];
+let queue = Promise.resolve();
+
+const cache = new Map();
+
+function getCache(key) {
+  const item = cache.get(key);
+  if (!item || Date.now() > item.expiry) {
+    cache.delete(key);
+    return null;
+  }
+  return item.data;
+}
+
+function setCache(key, data, ttl) {
+  cache.set(key, { data, expiry: Date.now() + ttl * 1000 });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 在请求级等待预算内执行：fn 内所有 Alpha Vantage 调用共用一个排队与重试等待的截止时间
+ * @param {number} maxWaitMs - 预算（毫秒）
+ * @param {Function} fn - 异步函数
+ */
+export function withAlphaVantageBudget(maxWaitMs, fn) {
+  return budgetStorage.run({ deadline: Date.now() + maxWaitMs }, fn);
+}
+
+function getDeadline() {
+  return budgetStorage.getStore()?.deadline ?? Date.now() + DEFAULT_MAX_WAIT_MS;
+}
+
+/**
+ * 在截止时间内等待，超出时直接抛错
+ */
+async function waitWithin(ms, deadline, reason) {
+  if (Date.now() + ms > deadline) {
+    throw new Error(`Alpha Vantage ${reason}: wait of ${ms}ms exceeds request budget`);
+  }
+  await sleep(ms);
+}
+
+/**
+ * 分类 Alpha Vantage 在 200 正文中返回的提示（Note / Information）
+ * @param {string} message - 提示文本
+ * @returns {string} 'throttled'（每分钟限流，可重试）或 'fatal'（每日额度、付费接口、无效密钥等）
+ */
+export function classifyNotice(message) {
+  return MINUTE_THROTTLE_PATTERN.test(message) && !FATAL_NOTICE_PATTERN.test(message) ? 'throttled' : 'fatal';
+}
+
+/**
+ * 构建 Alpha Vantage 请求 URL
+ * @param {Object} params - 查询参数（function、symbol 等，apikey 自动补充）
+ * @returns {string} 请求 URL
+ */
+export function buildAlphaVantageUrl(params) {
+  const query = new URLSearchParams({ ...params, apikey: process.env.ALPHA_VANTAGE_API_KEY || '' });
+  return `${ALPHA_VANTAGE_URL}?${query.toString()}`;
+}
+
+/**
+ * 等待限流窗口中的空位（请求按调用顺序排队），超过截止时间时放弃排队
+ * @param {number} deadline - 截止时间戳
+ */
+function acquireSlot(deadline) {
+  let abandoned = false;
+  const slot = queue.then(async () => {
+    for (;;) {
+      if (abandoned) {
+        throw new Error('Alpha Vantage rate limit queue abandoned');
+      }
+
+      const now = Date.now();
+      while (requestTimes.length > 0 && now - requestTimes[0] >= RATE_WINDOW_MS) {
+        requestTimes.shift();
+      }
+
+      if (requestTimes.length < RATE_LIMIT_PER_MINUTE) {
+        requestTimes.push(now);
+        return;
+      }
+
+      const waitMs = RATE_WINDOW_MS - (now - requestTimes[0]) + 50;
+      console.log(`Alpha Vantage rate limit reached, waiting ${waitMs}ms`);
+      await waitWithin(waitMs, deadline, 'rate limit queue');
+    }
+  });
+
+  queue = slot.catch(() => {});
+
+  // 前面排队的请求占用时间过长时也按截止时间放弃，轮到时不再占用限流名额
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      abandoned = true;
+      reject(new Error('Alpha Vantage rate limit queue: wait exceeds request budget'));
+    }, Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([slot, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 限流 + 缓存 + 重试的 Alpha Vantage 请求
+ * 只重试 429 与每分钟限流提示；付费接口、无效密钥、每日额度用尽等提示立即失败
+ * @param {Object} params - 查询参数（function、symbol 等）
+ * @param {Object} [options] - { ttl: 缓存秒数（0 不缓存）, retries, format: 'json' | 'csv' }
+ * @returns {Promise<Object|string>} JSON 对象，format 为 csv 时返回文本
+ */
+export async function fetchAlphaVantage(params, { ttl = 0, retries = 3, format = 'json' } = {}) {
+  const cacheKey = new URLSearchParams(params).toString();
+
+  if (ttl > 0) {
+    const cached = getCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const url = buildAlphaVantageUrl(params);
+  const deadline = getDeadline();
+
+  for (let i = 0; i < retries; i++) {
+    await acquireSlot(deadline);
+
+    let response;
+    let data;
+    try {
+      console.log(`Fetching Alpha Vantage: ${params.function} ${params.symbol || ''}`);
+      response = await fetch(url);
+      if (response.ok) {
+        data = format === 'csv' ? await response.text() : await response.json();
+      }
+    } catch (error) {
+      console.error(`Alpha Vantage error (attempt ${i + 1}/${retries}):`, error.message);
+      if (i === retries - 1) throw error;
+      await waitWithin(1000 * (i + 1), deadline, 'retry');
+      continue;
+    }
+
+    if (response.status === 429) {
+      console.log(`Rate limit hit, retrying in ${2000 * (i + 1)}ms`);
+      await waitWithin(2000 * (i + 1), deadline, 'retry');
+      continue;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    // Alpha Vantage 超额、付费接口、无效密钥时仍返回 200，正文带 Note / Information
+    const notice = format === 'csv'
+      ? (data.includes('Thank you for using Alpha Vantage') ? data : null)
+      : data['Note'] || data['Information'] || null;
+    if (notice) {
+      if (classifyNotice(notice) === 'fatal') {
+        throw new Error(`Alpha Vantage ${params.function}: ${notice}`);
+      }
+      console.log(`Alpha Vantage throttled ${params.function}, retrying in ${RATE_WINDOW_MS / 4}ms`);
+      await waitWithin(RATE_WINDOW_MS / 4, deadline, 'throttle retry');
+      continue;
+    }
+
+    if (format === 'json' && data['Error Message']) {
+      throw new Error(data['Error Message']);
+    }
+
+    if (ttl > 0) {
+      setCache(cacheKey, data, ttl);
+    }
+    return data;
+  }
+
+  throw new Error(`Alpha Vantage ${params.function} rate limited`);
+}
+
+/**
+ * 通用带重试的 fetch（非 Alpha Vantage 接口使用，如 GEXbot）
+ */
+export async function fetchWithRetry(url, retries = 3) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      console.log(`Fetching: ${url}`);
+      const response = await fetch(url);
+      if (response.ok) {
+        const data = await response.json();
+        console.log(`Response received:`, JSON.stringify(data).substring(0, 200));
+        return data;
+      }
+      if (response.status === 429) {
+        console.log(`Rate limit hit, retrying in ${2000 * (i + 1)}ms`);
+        await sleep(2000 * (i + 1));
+        continue;
+      }
+      throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      console.error(`Fetch error (attempt ${i + 1}/${retries}):`, error.message);
+      if (i === retries - 1) throw error;
+      await sleep(1000 * (i + 1));
+    }
+  }
+}
+
+export default {
+  buildAlphaVantageUrl,
+  withAlphaVantageBudget,
+  classifyNotice,
+  fetchAlphaVantage,
+  fetchWithRetry
+};
@@ -0,0 +1,133 @@
+/**
+ * 财报数据获取
+ * 解析 Alpha Vantage EARNINGS_CALENDAR（CSV，未来财报）与 EARNINGS（JSON，历史财报），
+ * 并结合日线计算财报隐含波动与历史波动对比
+ */
+
+import { fetchAlphaVantage } from './alphaVantage.js';
+import { fetchPriceBars } from './technicals.js';
+import {
+  calculateImpliedEarningsMove,
+  calculateHistoricalEarningsMoves,
+  compareEarningsMove,
+  DEFAULT_EARNINGS_LOOKBACK
+} from '../../src/lib/earningsMove.js';
+
+// 财报日历变化很少，缓存 6 小时
+const EARNINGS_TTL = 6 * 60 * 60;
+
+/**
+ * 解析 EARNINGS_CALENDAR CSV
+ * @param {string} csvText - CSV 文本（symbol,name,reportDate,fiscalDateEnding,estimate,currency）
+ * @returns {Array} [{ symbol, reportDate, fiscalDateEnding, estimate }]，按日期升序
+ */
+export function parseEarningsCalendar(csvText) {
+  const lines = csvText.trim().split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    return [];
+  }
+
+  const header = lines[0].split(',');
+  const column = name => header.indexOf(name);
+  const reportDateIndex = column('reportDate');
+
+  if (reportDateIndex === -1) {
+    return [];
+  }
+
+  return lines.slice(1)
+    .map(line => {
+      // 公司名称可能带逗号：日期等字段从行尾倒数定位
+      const parts = line.split(',');
+      const offset = parts.length - header.length;
+      const field = index => (index === -1 ? null : parts[index <= column('name') ? index : index + offset]);
+
+      return {
+        symbol: field(column('symbol')),
+        reportDate: field(reportDateIndex),
+        fiscalDateEnding: field(column('fiscalDateEnding')),
+        estimate: field(column('estimate')) || null
+      };
+    })
+    .filter(row => /^\d{4}-\d{2}-\d{2}$/.test(row.reportDate || ''))
+    .sort((a, b) => a.reportDate.localeCompare(b.reportDate));
+}
+
+/**
+ * 获取下一次财报
+ * @param {string} symbol - 股票代码
+ * @returns {Promise<Object>} { nextEarningsDate, daysUntilEarnings, estimate }
+ */
+export async function fetchNextEarnings(symbol) {
+  const csvText = await fetchAlphaVantage({
+    function: 'EARNINGS_CALENDAR',
+    symbol,
+    horizon: '3month'
+  }, { ttl: EARNINGS_TTL, format: 'csv' });
+
+  if (csvText.includes('Error Message')) {
+    throw new Error('Earnings calendar API error');
+  }
+
+  const todayDate = new Date().toISOString().slice(0, 10);
+
+  const next = parseEarningsCalendar(csvText).find(row => row.reportDate >= todayDate);
+
+  if (!next) {
+    return { nextEarningsDate: null, daysUntilEarnings: null, estimate: null };
+  }
+
+  return {
+    nextEarningsDate: next.reportDate,
+    daysUntilEarnings: Math.ceil((new Date(next.reportDate) - new Date(todayDate)) / (1000 * 60 * 60 * 24)),
+    estimate: next.estimate
+  };
+}
+
+/**
+ * 获取历史财报公布日期
+ * @param {string} symbol - 股票代码
+ * @returns {Promise<Array>} [{ reportedDate, reportTime, fiscalDateEnding }]，按日期降序
+ */
+export async function fetchEarningsHistory(symbol) {
+  const data = await fetchAlphaVantage({ function: 'EARNINGS', symbol }, { ttl: EARNINGS_TTL });
+
+  return (data.quarterlyEarnings || [])
+    .filter(report => /^\d{4}-\d{2}-\d{2}$/.test(report.reportedDate || ''))
+    .map(report => ({
+      reportedDate: report.reportedDate,
+      reportTime: report.reportTime || null,
+      fiscalDateEnding: report.fiscalDateEnding || null
+    }))
+    .sort((a, b) => b.reportedDate.localeCompare(a.reportedDate));
+}
+
+/**
+ * 财报波动分析：隐含波动 vs 最近 N 次财报后的实际波动
+ * @param {string} symbol - 股票代码
+ * @param {Object} params - { contracts: 原始期权合约, spot, earningsDate, count }
+ * @returns {Promise<Object>} { impliedMove, historicalMoves, comparison }
+ */
+export async function analyzeEarningsMove(symbol, { contracts, spot, earningsDate, count = DEFAULT_EARNINGS_LOOKBACK }) {
+  const impliedMove = calculateImpliedEarningsMove(contracts, spot, earningsDate);
+
+  const [reports, bars] = await Promise.all([
+    fetchEarningsHistory(symbol),
+    fetchPriceBars(symbol, 'daily', { outputsize: 'full' })
+  ]);
+
+  const historicalMoves = calculateHistoricalEarningsMoves(bars, reports, count);
+
+  return {
+    impliedMove,
+    historicalMoves,
+    comparison: compareEarningsMove(impliedMove, historicalMoves)
+  };
+}
+
+export default {
+  parseEarningsCalendar,
+  fetchNextEarnings,
+  fetchEarningsHistory,
+  analyzeEarningsMove
+};
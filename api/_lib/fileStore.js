@@ -0,0 +1,80 @@
+/**
+ * 本地文件存储
+ * 服务端持久化数据（JSON / 追加写入的 JSON Lines），目录由 DATA_DIR 配置
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * 获取数据目录（默认项目根目录下的 .data）
+ */
+export function getDataDir() {
+  return process.env.DATA_DIR || path.join(process.cwd(), '.data');
+}
+
+function resolvePath(relativePath) {
+  return path.join(getDataDir(), relativePath);
+}
+
+/**
+ * 追加一条 JSON Lines 记录
+ * @param {string} relativePath - 相对数据目录的文件路径
+ * @param {Object} record - 记录
+ */
+export async function appendJSONLine(relativePath, record) {
+  const filePath = resolvePath(relativePath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, JSON.stringify(record) + '\n', 'utf8');
+}
+
+/**
+ * 读取 JSON Lines 文件（文件不存在时返回空数组，跳过损坏的行）
+ * @param {string} relativePath - 相对数据目录的文件路径
+ * @returns {Array} 记录数组
+ */
+export async function readJSONLines(relativePath) {
+  let content;
+  try {
+    content = await fs.readFile(resolvePath(relativePath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      console.error(`Skipping corrupt line in ${relativePath}`);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * 整体重写 JSON Lines 文件（先写临时文件再重命名）
+ * @param {string} relativePath - 相对数据目录的文件路径
+ * @param {Array} records - 记录数组
+ */
+export async function writeJSONLines(relativePath, records) {
+  const content = records.map(record => JSON.stringify(record) + '\n').join('');
+  await writeFileAtomic(resolvePath(relativePath), content);
+}
+
+async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content, 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+export default {
+  getDataDir,
+  appendJSONLine,
+  readJSONLines,
+  writeJSONLines
+};
@@ -0,0 +1,185 @@
+/**
+ * 历史 IV 存储
+ * 每个标的一个 JSON Lines 文件，每行一个交易日的 30 天 ATM IV 快照
+ * 同一交易日多次写入时以最后一条为准；回填失败的交易日另存一个文件，按退避时间跳过
+ */
+
+import { appendJSONLine, readJSONLines, writeJSONLines } from './fileStore.js';
+import { calculateIVRank, calculateIVPercentile } from '../../src/lib/ivRank.js';
+
+// 计算 IV Rank 所需的最少历史天数
+export const MIN_HISTORY_POINTS = 20;
+
+// 回填失败的交易日：第 n 次失败后 2^(n-1) 天内不再重试，失败 MAX_BACKFILL_ATTEMPTS 次后放弃
+const BACKFILL_RETRY_DAYS = 1;
+export const MAX_BACKFILL_ATTEMPTS = 5;
+
+// 标的代码直接用作文件名，只允许这些字符，防止路径穿越
+const SYMBOL_PATTERN = /^[A-Z0-9.^-]{1,10}$/;
+
+/**
+ * 标的代码是否可用于历史 IV 存储
+ * @param {string} symbol - 大写股票代码
+ */
+export function isValidSymbol(symbol) {
+  return typeof symbol === 'string' && SYMBOL_PATTERN.test(symbol);
+}
+
+function symbolFile(symbol, suffix) {
+  const upperSymbol = String(symbol).toUpperCase();
+  if (!isValidSymbol(upperSymbol)) {
+    throw new Error(`Invalid symbol: ${symbol}`);
+  }
+  return `iv-history/${upperSymbol}${suffix}`;
+}
+
+function historyPath(symbol) {
+  return symbolFile(symbol, '.jsonl');
+}
+
+function failuresPath(symbol) {
+  return symbolFile(symbol, '.failed.jsonl');
+}
+
+// 按日期去重，同一交易日以最后一条为准
+function latestByDate(records) {
+  const byDate = new Map();
+  for (const record of records) {
+    byDate.set(record.date, record);
+  }
+  return byDate;
+}
+
+/**
+ * 记录一条 IV 快照
+ * @param {string} symbol - 股票代码
+ * @param {Object} snapshot - { date: 'YYYY-MM-DD', iv, spot, source }
+ */
+export async function recordIVSnapshot(symbol, snapshot) {
+  if (!snapshot.date || !(snapshot.iv > 0)) {
+    return;
+  }
+
+  await appendJSONLine(historyPath(symbol), {
+    date: snapshot.date,
+    iv: Math.round(snapshot.iv * 10000) / 10000,
+    spot: snapshot.spot ?? null,
+    source: snapshot.source || 'analysis',
+    recordedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * 读取历史 IV（按日期去重、升序）
+ * @param {string} symbol - 股票代码
+ * @param {Object} [options] - { days: 回溯天数，默认 365 }
+ * @returns {Array} [{ date, iv, spot, source }]
+ */
+export async function getIVHistory(symbol, { days = 365 } = {}) {
+  const byDate = latestByDate(await readJSONLines(historyPath(symbol)));
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  const cutoffDate = cutoff.toISOString().slice(0, 10);
+
+  return [...byDate.values()]
+    .filter(record => record.date >= cutoffDate)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ date, iv, spot, source }) => ({ date, iv, spot, source }));
+}
+
+/**
+ * 压缩历史文件：重复行过多时按日期去重重写（由回填任务在写入后调用，读取路径不写文件）
+ * @param {string} symbol - 股票代码
+ * @returns {boolean} 是否重写了文件
+ */
+export async function compactIVHistory(symbol) {
+  const records = await readJSONLines(historyPath(symbol));
+  const byDate = latestByDate(records);
+
+  if (records.length <= byDate.size * 2) {
+    return false;
+  }
+
+  const compacted = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  await writeJSONLines(historyPath(symbol), compacted);
+  return true;
+}
+
+/**
+ * 记录一次回填失败
+ * @param {string} symbol - 股票代码
+ * @param {string} date - 交易日 'YYYY-MM-DD'
+ * @param {string} reason - 失败原因
+ * @param {Object} [previous] - 该交易日上一次的失败记录（见 getBackfillFailures）
+ * @returns {Object} 失败记录 { date, attempts, retryAfter, reason }
+ */
+export async function recordBackfillFailure(symbol, date, reason, previous) {
+  const attempts = (previous?.attempts || 0) + 1;
+  const retryDays = BACKFILL_RETRY_DAYS * 2 ** (attempts - 1);
+  const record = {
+    date,
+    attempts,
+    retryAfter: new Date(Date.now() + retryDays * 24 * 60 * 60 * 1000).toISOString(),
+    reason,
+    failedAt: new Date().toISOString()
+  };
+
+  await appendJSONLine(failuresPath(symbol), record);
+  return record;
+}
+
+/**
+ * 读取回填失败记录（每个交易日取最后一条）
+ * @param {string} symbol - 股票代码
+ * @returns {Map} date => { date, attempts, retryAfter, reason }
+ */
+export async function getBackfillFailures(symbol) {
+  const failures = new Map();
+  for (const record of await readJSONLines(failuresPath(symbol))) {
+    failures.set(record.date, record);
+  }
+  return failures;
+}
+
+/**
+ * 回填时是否跳过该交易日：已放弃，或仍在退避期内
+ * @param {Object} [failure] - 该交易日的失败记录
+ * @param {Date} [now] - 当前时间
+ */
+export function isBackfillBlocked(failure, now = new Date()) {
+  if (!failure) return false;
+  return failure.attempts >= MAX_BACKFILL_ATTEMPTS || new Date(failure.retryAfter) > now;
+}
+
+/**
+ * 基于存储的历史计算 52 周 IV Rank 与百分位
+ * @param {string} symbol - 股票代码
+ * @param {number} currentIV - 当前 30 天 ATM IV
+ * @returns {Object} { ivRank, ivPercentile, historyDays, sufficient, ... }
+ */
+export async function getIVRankFromHistory(symbol, currentIV) {
+  const history = await getIVHistory(symbol, { days: 365 });
+  const historicalIVs = history.map(record => record.iv);
+
+  const sufficient = historicalIVs.length >= MIN_HISTORY_POINTS;
+  const rank = sufficient ? calculateIVRank(currentIV, historicalIVs) : null;
+
+  return {
+    ...(rank || {}),
+    ivPercentile: sufficient ? calculateIVPercentile(currentIV, historicalIVs) : null,
+    historyDays: historicalIVs.length,
+    sufficient
+  };
+}
+
+export default {
+  isValidSymbol,
+  recordIVSnapshot,
+  getIVHistory,
+  compactIVHistory,
+  getIVRankFromHistory,
+  recordBackfillFailure,
+  getBackfillFailures,
+  isBackfillBlocked
+};
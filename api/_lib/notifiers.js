@@ -0,0 +1,194 @@
+/**
+ * 提醒通知器
+ * 可插拔的通知渠道：console（日志）、webhook（POST JSON，兼容 Slack 的 text 字段）、
+ * email（明文 SMTP，面向本地 SMTP 替身如 MailHog / smtp4dev）
+ * 新渠道通过 registerNotifier 注册，由 ALERT_NOTIFIERS（逗号分隔）选择
+ */
+
+import net from 'net';
+
+const SMTP_TIMEOUT_MS = 10 * 1000;
+
+const registry = new Map();
+
+/**
+ * 注册通知渠道
+ * @param {string} name - 渠道名称
+ * @param {Function} factory - env => { send: async alerts => { sent }, logOnly?: 只写日志、不算送达 }
+ */
+export function registerNotifier(name, factory) {
+  registry.set(name, factory);
+}
+
+/**
+ * 按名称创建通知器（未注册的名称跳过）
+ * @param {Array|string} names - 渠道名称，如 'console,webhook'
+ * @param {Object} [env] - 环境变量
+ * @returns {Array} [{ name, send }]
+ */
+export function createNotifiers(names, env = process.env) {
+  const list = Array.isArray(names) ? names : String(names || '').split(',');
+
+  return list
+    .map(name => name.trim())
+    .filter(Boolean)
+    .filter(name => {
+      if (registry.has(name)) return true;
+      console.error(`Unknown notifier: ${name}`);
+      return false;
+    })
+    .map(name => ({ name, ...registry.get(name)(env) }));
+}
+
+/**
+ * 通过全部通知器发送提醒（单个渠道失败不影响其他渠道）
+ * 各渠道整批发送，至少一个外部渠道成功时整批视为已送达；
+ * 只写日志的渠道（console）恒成功，只有未配置其他渠道时才计入送达
+ * @param {Array} notifiers - createNotifiers 的结果
+ * @param {Array} alerts - 提醒
+ * @returns {Object} { results: { [name]: { sent } | { error } }, delivered: 已送达的提醒 }
+ */
+export async function notifyAll(notifiers, alerts) {
+  const results = {};
+  if (alerts.length === 0) {
+    return { results, delivered: [] };
+  }
+
+  for (const notifier of notifiers) {
+    try {
+      results[notifier.name] = await notifier.send(alerts);
+    } catch (error) {
+      console.error(`Notifier ${notifier.name} failed:`, error.message);
+      results[notifier.name] = { error: error.message };
+    }
+  }
+
+  const external = notifiers.filter(notifier => !notifier.logOnly);
+  const counted = external.length > 0 ? external : notifiers;
+  const delivered = counted.some(notifier => !results[notifier.name].error) ? alerts : [];
+  return { results, delivered };
+}
+
+/**
+ * 提醒的纯文本格式
+ */
+export function formatAlerts(alerts) {
+  const icons = { info: '✅', warning: '⚠️', critical: '🚨' };
+  return alerts.map(alert => `${icons[alert.severity] || '•'} [${alert.rule}] ${alert.message}`).join('\n');
+}
+
+registerNotifier('console', () => ({
+  logOnly: true,
+  async send(alerts) {
+    console.log(`Trade management alerts (${alerts.length}):\n${formatAlerts(alerts)}`);
+    return { sent: alerts.length };
+  }
+}));
+
+registerNotifier('webhook', env => ({
+  async send(alerts) {
+    if (!env.ALERT_WEBHOOK_URL) {
+      throw new Error('ALERT_WEBHOOK_URL not configured');
+    }
+
+    const response = await fetch(env.ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: formatAlerts(alerts), alerts, timestamp: new Date().toISOString() })
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook HTTP ${response.status}`);
+    }
+    return { sent: alerts.length };
+  }
+}));
+
+registerNotifier('email', env => ({
+  async send(alerts) {
+    const to = String(env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+    if (to.length === 0) {
+      throw new Error('ALERT_EMAIL_TO not configured');
+    }
+
+    await sendMail({
+      host: env.SMTP_HOST || '127.0.0.1',
+      port: parseInt(env.SMTP_PORT) || 1025,
+      from: env.ALERT_EMAIL_FROM || 'alerts@localhost',
+      to,
+      subject: `期权持仓提醒（${alerts.length} 条）`,
+      text: formatAlerts(alerts)
+    });
+    return { sent: alerts.length };
+  }
+}));
+
+/**
+ * 明文 SMTP 发送一封邮件（无认证 / TLS，仅用于本地 SMTP 替身）
+ * 每收到一条最终应答（"250 "，非 "250-" 续行）发送下一条命令
+ */
+function sendMail({ host, port, from, to, subject, text }) {
+  const encodedSubject = `=?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`;
+  const body = text.split('\n').map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+  const message = [
+    `From: <${from}>`,
+    `To: ${to.map(address => `<${address}>`).join(', ')}`,
+    `Subject: ${encodedSubject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+    '.'
+  ].join('\r\n');
+
+  const commands = ['EHLO localhost', `MAIL FROM:<${from}>`, ...to.map(address => `RCPT TO:<${address}>`), 'DATA', message, 'QUIT'];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let step = 0;
+    let failed = false;
+
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error('SMTP timeout')));
+    socket.on('error', fail);
+    socket.on('close', () => {
+      if (!failed && step < commands.length) fail(new Error('SMTP connection closed early'));
+      else if (!failed) resolve();
+    });
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!/^\d{3} /.test(line)) continue;
+        if (parseInt(line) >= 400) {
+          fail(new Error(`SMTP ${line}`));
+          return;
+        }
+        if (step < commands.length) {
+          socket.write(`${commands[step++]}\r\n`);
+        } else {
+          socket.end();
+        }
+      }
+    });
+  });
+}
+
+export default {
+  registerNotifier,
+  createNotifiers,
+  notifyAll,
+  formatAlerts
+};
@@ -0,0 +1,73 @@
+/**
+ * 持仓行情
+ * 按标的获取 Alpha Vantage 最新报价与期权链，重估持仓（持仓 API 与交易管理任务共用）
+ */
+
+import { parseOptionsChain } from '../../src/lib/optionsChain.js';
+import { extractATMIV } from '../../src/lib/ivRank.js';
+import { revaluePosition } from '../../src/lib/positionValuation.js';
+import { fetchAlphaVantage } from './alphaVantage.js';
+
+// 期权链缺失时的兜底 IV
+const DEFAULT_IV = 0.30;
+
+/**
+ * 按标的获取最新报价与期权链并重估持仓（每个标的只请求一次）
+ * 平仓持仓按平仓价计算已实现盈亏，不请求行情
+ * @param {Array} positions - 持仓
+ * @param {boolean} revalue - 是否请求行情重估未平仓持仓
+ * @returns {Array} [{ position, valuation, error }]
+ */
+export async function revaluePositions(positions, revalue) {
+  const markets = new Map();
+  const symbols = [...new Set(positions.filter(position => position.status === 'open').map(position => position.symbol))];
+
+  if (revalue) {
+    for (const symbol of symbols) {
+      try {
+        markets.set(symbol, await fetchMarket(symbol));
+      } catch (e) {
+        console.error(`Revaluation failed for ${symbol}:`, e.message);
+        markets.set(symbol, { error: e.message });
+      }
+    }
+  }
+
+  return positions.map(position => {
+    if (position.status === 'closed') {
+      return { position, valuation: revaluePosition(position, { spot: null, chain: null, iv: DEFAULT_IV }), error: null };
+    }
+
+    const market = markets.get(position.symbol);
+    if (!market || market.error) {
+      return { position, valuation: null, error: market?.error || null };
+    }
+    return { position, valuation: revaluePosition(position, market), error: null };
+  });
+}
+
+/**
+ * 获取标的最新价格与期权链
+ * @returns {Object} { spot, chain, iv }
+ */
+export async function fetchMarket(symbol) {
+  const quoteData = await fetchAlphaVantage({ function: 'GLOBAL_QUOTE', symbol }, { ttl: 60 });
+  const spot = parseFloat(quoteData?.['Global Quote']?.['05. price']);
+  if (!(spot > 0)) {
+    throw new Error(`No quote available for ${symbol}`);
+  }
+
+  const optionsData = await fetchAlphaVantage({ function: 'REALTIME_OPTIONS', symbol }, { ttl: 60 });
+  const contracts = optionsData?.data || [];
+
+  return {
+    spot,
+    chain: parseOptionsChain(contracts, spot),
+    iv: extractATMIV(contracts, spot) || DEFAULT_IV
+  };
+}
+
+export default {
+  revaluePositions,
+  fetchMarket
+};
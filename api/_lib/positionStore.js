@@ -0,0 +1,218 @@
+/**
+ * 持仓存储
+ * 所有持仓保存在一个 JSON Lines 文件中，每行一个持仓（含各腿成交记录）；
+ * 增删改时整体重写文件，同一进程内的读改写串行执行，避免并发请求互相覆盖
+ */
+
+import { randomUUID } from 'crypto';
+import { readJSONLines, writeJSONLines } from './fileStore.js';
+
+const POSITIONS_PATH = 'positions/positions.jsonl';
+
+export const POSITION_STATUSES = ['open', 'closed'];
+const LEG_TYPES = ['call', 'put', 'stock'];
+const LEG_SIDES = ['buy', 'sell'];
+
+// 写操作队列：每次读改写排在上一次之后
+let writeQueue = Promise.resolve();
+
+/**
+ * 串行执行读改写
+ * @param {Function} fn - 异步读改写
+ */
+function withWriteLock(fn) {
+  const result = writeQueue.then(fn);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 校验持仓输入
+ * @param {Object} input - { symbol, name, strategyType, contracts, openedAt, legs: [{ type, side, quantity, strike, expiration, fillPrice }] }
+ * @param {Object} [options] - { partial: 更新时只校验提供的字段 }
+ * @returns {Array} 错误信息（为空表示通过）
+ */
+export function validatePosition(input, { partial = false } = {}) {
+  const errors = [];
+  const has = key => input?.[key] !== undefined;
+
+  if (!input || typeof input !== 'object') {
+    return ['Position body is required'];
+  }
+  if ((!partial || has('symbol')) && !input.symbol) {
+    errors.push('symbol is required');
+  }
+  if (has('contracts') && !isPositiveInteger(input.contracts)) {
+    errors.push('contracts must be a positive integer');
+  }
+  if (has('status') && !POSITION_STATUSES.includes(input.status)) {
+    errors.push(`status must be one of ${POSITION_STATUSES.join(', ')}`);
+  }
+  if (has('openedAt') && !isDate(input.openedAt)) {
+    errors.push('openedAt must be YYYY-MM-DD');
+  }
+
+  if (!partial || has('legs')) {
+    if (!Array.isArray(input.legs) || input.legs.length === 0) {
+      errors.push('legs must be a non-empty array');
+    } else {
+      input.legs.forEach((leg, i) => {
+        if (!LEG_TYPES.includes(leg.type)) errors.push(`legs[${i}].type must be one of ${LEG_TYPES.join(', ')}`);
+        if (!LEG_SIDES.includes(leg.side)) errors.push(`legs[${i}].side must be buy or sell`);
+        if (leg.quantity !== undefined && !isPositiveInteger(leg.quantity)) {
+          errors.push(`legs[${i}].quantity must be a positive integer`);
+        }
+        if (!(parseFloat(leg.fillPrice) >= 0)) errors.push(`legs[${i}].fillPrice is required`);
+        if (leg.type !== 'stock') {
+          if (!(parseFloat(leg.strike) > 0)) errors.push(`legs[${i}].strike is required`);
+          if (!isDate(leg.expiration)) errors.push(`legs[${i}].expiration must be YYYY-MM-DD`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 读取持仓
+ * @param {Object} [options] - { status: 'open' | 'closed'，省略时返回全部 }
+ * @returns {Array} 持仓（按开仓日期降序）
+ */
+export async function listPositions({ status } = {}) {
+  const positions = await readJSONLines(POSITIONS_PATH);
+  return positions
+    .filter(position => !status || position.status === status)
+    .sort((a, b) => b.openedAt.localeCompare(a.openedAt) || b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 按 ID 读取持仓
+ * @returns {Object|null}
+ */
+export async function getPosition(id) {
+  const positions = await readJSONLines(POSITIONS_PATH);
+  return positions.find(position => position.id === id) || null;
+}
+
+/**
+ * 新建持仓（输入需先通过 validatePosition）
+ * @param {Object} input - 持仓输入
+ * @returns {Object} 保存后的持仓
+ */
+export function createPosition(input) {
+  return withWriteLock(async () => {
+    const positions = await readJSONLines(POSITIONS_PATH);
+    const now = new Date().toISOString();
+
+    const position = {
+      id: randomUUID(),
+      symbol: input.symbol.toUpperCase(),
+      name: input.name || '',
+      strategyType: input.strategyType || 'custom',
+      contracts: input.contracts === undefined ? 1 : Number(input.contracts),
+      openedAt: input.openedAt || now.slice(0, 10),
+      status: 'open',
+      closedAt: null,
+      legs: input.legs.map(normalizeLeg),
+      notes: input.notes || '',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await writeJSONLines(POSITIONS_PATH, [...positions, position]);
+    return position;
+  });
+}
+
+/**
+ * 更新持仓（平仓时传 status: 'closed' 与各腿 closePrice）
+ * @param {string} id - 持仓 ID
+ * @param {Object} changes - 要修改的字段
+ * @returns {Object|null} 更新后的持仓，不存在时返回 null
+ */
+export function updatePosition(id, changes) {
+  return withWriteLock(async () => {
+    const positions = await readJSONLines(POSITIONS_PATH);
+    const index = positions.findIndex(position => position.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const current = positions[index];
+    const updated = {
+      ...current,
+      ...pick(changes, ['name', 'strategyType', 'openedAt', 'notes', 'status']),
+      symbol: changes.symbol ? changes.symbol.toUpperCase() : current.symbol,
+      contracts: changes.contracts !== undefined ? Number(changes.contracts) : current.contracts,
+      legs: changes.legs ? changes.legs.map(normalizeLeg) : current.legs,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (updated.status === 'closed' && current.status !== 'closed') {
+      updated.closedAt = changes.closedAt || updated.updatedAt.slice(0, 10);
+    } else if (updated.status === 'open') {
+      updated.closedAt = null;
+    }
+
+    positions[index] = updated;
+    await writeJSONLines(POSITIONS_PATH, positions);
+    return updated;
+  });
+}
+
+/**
+ * 删除持仓
+ * @returns {boolean} 是否删除
+ */
+export function deletePosition(id) {
+  return withWriteLock(async () => {
+    const positions = await readJSONLines(POSITIONS_PATH);
+    const remaining = positions.filter(position => position.id !== id);
+    if (remaining.length === positions.length) {
+      return false;
+    }
+
+    await writeJSONLines(POSITIONS_PATH, remaining);
+    return true;
+  });
+}
+
+/**
+ * 规范化单腿成交记录：quantity 为每张组合中该腿的张数（比例），fillPrice / closePrice 为每股价格
+ */
+function normalizeLeg(leg) {
+  const closePrice = parseFloat(leg.closePrice);
+  return {
+    type: leg.type,
+    side: leg.side,
+    quantity: leg.quantity === undefined ? 1 : Number(leg.quantity),
+    strike: leg.type === 'stock' ? null : parseFloat(leg.strike),
+    expiration: leg.type === 'stock' ? null : leg.expiration,
+    fillPrice: parseFloat(leg.fillPrice),
+    filledAt: leg.filledAt || null,
+    closePrice: isFinite(closePrice) ? closePrice : null
+  };
+}
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+}
+
+// 正整数（数字或纯数字字符串，拒绝 0、负数、小数与 "3abc" 之类）
+function isPositiveInteger(value) {
+  return /^\d+$/.test(String(value).trim()) && Number(value) > 0;
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+export default {
+  validatePosition,
+  listPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition
+};
@@ -0,0 +1,150 @@
+/**
+ * 技术指标数据获取
+ * 每个周期只拉取一条 OHLCV K 线序列，MACD、RSI、KD 等指标在本地计算
+ */
+
+import { fetchAlphaVantage } from './alphaVantage.js';
+import { computeIndicators, resampleBars } from '../../src/lib/indicatorEngine.js';
+
+// 日线缓存 1 小时，日内 K 线缓存 5 分钟
+const DAILY_TTL = 60 * 60;
+const INTRADAY_TTL = 5 * 60;
+
+// compact 日线的根数（与 Alpha Vantage compact 一致）
+const COMPACT_BARS = 100;
+
+/**
+ * 解析 Alpha Vantage TIME_SERIES_* 响应为升序 K 线
+ * @param {Object} data - Alpha Vantage 响应
+ * @returns {Array} [{ time, open, high, low, close, volume }]
+ */
+export function parseTimeSeries(data) {
+  const key = Object.keys(data || {}).find(name => name.startsWith('Time Series'));
+  if (!key) {
+    return [];
+  }
+
+  return Object.entries(data[key])
+    .map(([time, values]) => ({
+      time,
+      open: parseFloat(values['1. open']),
+      high: parseFloat(values['2. high']),
+      low: parseFloat(values['3. low']),
+      close: parseFloat(values['4. close']),
+      volume: parseInt(values['5. volume']) || 0
+    }))
+    .filter(bar => !isNaN(bar.close))
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * 获取 K 线
+ * 日线总是拉取完整序列并缓存，TA、报价、财报波动与自助抽样共用一次请求；compact 时截取最近 100 根
+ * @param {string} symbol - 股票代码
+ * @param {string} interval - 'daily' 或日内周期（'60min' 等）
+ * @param {Object} [options] - { outputsize: 'compact' | 'full' }
+ * @returns {Promise<Array>} 升序 K 线
+ */
+export async function fetchPriceBars(symbol, interval, { outputsize = 'compact' } = {}) {
+  if (interval === 'daily') {
+    const data = await fetchAlphaVantage({ function: 'TIME_SERIES_DAILY', symbol, outputsize: 'full' }, { ttl: DAILY_TTL });
+    const bars = parseTimeSeries(data);
+    return outputsize === 'full' ? bars : bars.slice(-COMPACT_BARS);
+  }
+
+  const data = await fetchAlphaVantage({
+    function: 'TIME_SERIES_INTRADAY',
+    symbol,
+    interval,
+    outputsize,
+    extended_hours: 'false'
+  }, { ttl: INTRADAY_TTL });
+
+  return parseTimeSeries(data);
+}
+
+/**
+ * 由 60 分钟与日线 K 线得到报价（最新价、较前一交易日收盘的涨跌、交易日）
+ * 两条序列与 TA 共用缓存，省去单独的 GLOBAL_QUOTE 请求；60 分钟 K 线不可用时取最新日线
+ * @param {string} symbol - 股票代码
+ * @returns {Promise<Object>} { price, change, changePercent, tradingDay }
+ */
+export async function fetchQuote(symbol) {
+  const [hourly, daily] = await Promise.allSettled([
+    fetchPriceBars(symbol, '60min'),
+    fetchPriceBars(symbol, 'daily')
+  ]);
+  if (daily.status === 'rejected') {
+    throw daily.reason;
+  }
+
+  const dailyBars = daily.value;
+  const hourlyBars = hourly.status === 'fulfilled' ? hourly.value : [];
+  const last = hourlyBars[hourlyBars.length - 1] || dailyBars[dailyBars.length - 1];
+  if (!last) {
+    throw new Error(`No price data for ${symbol}`);
+  }
+
+  const tradingDay = last.time.slice(0, 10);
+  const previous = dailyBars.filter(bar => bar.time < tradingDay).pop();
+  const change = previous ? last.close - previous.close : 0;
+
+  return {
+    price: last.close,
+    change: Math.round(change * 100) / 100,
+    changePercent: previous ? Math.round(change / previous.close * 1e6) / 1e4 : 0,
+    tradingDay
+  };
+}
+
+/**
+ * 获取单个周期的指标
+ * 120min 由 60 分钟 K 线合并得到（Alpha Vantage 不提供 2 小时周期）
+ * @param {string} symbol - 股票代码
+ * @param {string} interval - 'daily'、'60min'、'120min' 等
+ * @returns {Promise<Object>} computeIndicators 的结果
+ */
+export async function fetchIndicators(symbol, interval) {
+  if (interval === '120min') {
+    const bars = await fetchPriceBars(symbol, '60min');
+    return computeIndicators(resampleBars(bars, 2));
+  }
+
+  return computeIndicators(await fetchPriceBars(symbol, interval));
+}
+
+/**
+ * 获取 calculateTAScore 所需的日线、1 小时、2 小时三个周期指标
+ * 共 2 次请求：日线一条，60 分钟一条（2 小时由其合并）
+ * @param {string} symbol - 股票代码
+ * @returns {Promise<Object>} { daily, hourly1, hourly2 }，失败的周期为 null
+ */
+export async function fetchMultiTimeframeIndicators(symbol) {
+  const [daily, hourly] = await Promise.allSettled([
+    fetchPriceBars(symbol, 'daily'),
+    fetchPriceBars(symbol, '60min')
+  ]);
+
+  if (daily.status === 'rejected') {
+    console.error('Daily bars failed:', daily.reason?.message);
+  }
+  if (hourly.status === 'rejected') {
+    console.error('Hourly bars failed:', hourly.reason?.message);
+  }
+
+  const hourlyBars = hourly.status === 'fulfilled' ? hourly.value : null;
+
+  return {
+    daily: daily.status === 'fulfilled' ? computeIndicators(daily.value) : null,
+    hourly1: hourlyBars ? computeIndicators(hourlyBars) : null,
+    hourly2: hourlyBars ? computeIndicators(resampleBars(hourlyBars, 2)) : null
+  };
+}
+
+export default {
+  parseTimeSeries,
+  fetchPriceBars,
+  fetchQuote,
+  fetchIndicators,
+  fetchMultiTimeframeIndicators
+};
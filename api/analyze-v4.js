@@ -2,8 +2,36 @@
  * 主 API 聚合器 V4 - 修复价格问题，添加调试信息
  */
 
+import { priceOption } from '../src/lib/blackScholes.js';
+import { parseOptionsChain, selectExpiry, selectBackExpiry } from '../src/lib/optionsChain.js';
+import { generateCalendarSpread, generateDiagonalSpread } from '../src/lib/enhancedStrategyEngine.js';
+import { parseStrikeTarget, selectStrike, buildStrikeGrid, getStrikeInterval, describeStrikeSelection } from '../src/lib/strikeSelection.js';
+import { parseWingConstraints, optimizeWingWidth, summarizeWingCandidates } from '../src/lib/wingWidth.js';
+import { parseOptimizerConstraints, optimizeStrategies } from '../src/lib/strategyOptimizer.js';
+import { analyzePayoff, summarizePayoff, summarizeLegs } from '../src/lib/payoffEngine.js';
+import { parseProbabilityModel, calculateLogReturns, calculateRealizedVolatility } from '../src/lib/probabilityModel.js';
+import { calculateVolatilityRange, extractRiskNeutralDensity, summarizeRiskNeutralDensity } from '../src/lib/volatilityAnalysis.js';
+import { extractATMIV, IV_SNAPSHOT_DTE } from '../src/lib/ivRank.js';
+import { buildVolatilitySurface, getSurfaceIV, summarizeSurface } from '../src/lib/volatilitySurface.js';
+import { fetchAlphaVantage, fetchWithRetry, withAlphaVantageBudget, DEFAULT_MAX_WAIT_MS } from './_lib/alphaVantage.js';
+import { fetchMultiTimeframeIndicators, fetchPriceBars, fetchQuote } from './_lib/technicals.js';
+import { calculateTAScore } from '../src/lib/taScore.js';
+import { getIVRankFromHistory, recordIVSnapshot } from './_lib/ivHistoryStore.js';
+import { fetchNextEarnings, analyzeEarningsMove } from './_lib/earnings.js';
+import { calculateImpliedEarningsMove, DEFAULT_EARNINGS_LOOKBACK } from '../src/lib/earningsMove.js';
+import { spansEarnings, calculateEarningsPenalty, calculateGreeksScore, calculateLiquidityScore } from '../src/lib/scoringSystem.js';
+import { gradeStructure, describeLiquidity } from '../src/lib/liquidity.js';
+import { estimateFill, summarizeFill, describeFill } from '../src/lib/fillModel.js';
+import { parseFeeSchedule, calculateFees, applyLegFees, summarizeFees, describeFees } from '../src/lib/feeModel.js';
+import { calculateMargin, describeMargin } from '../src/lib/marginModel.js';
+import { parseAccountProfile, sizePosition, describeSizing } from '../src/lib/positionSizing.js';
+import { aggregatePositionGreeks } from '../src/lib/positionGreeks.js';
+
 const cache = new Map();
 
+// 自助抽样使用的历史日线数量（约两年）
+const BOOTSTRAP_HISTORY_DAYS = 505;
+
 function getCache(key) {
   const item = cache.get(key);
   if (!item || Date.now() > item.expiry) {
@@ -17,31 +45,12 @@ function setCache(key, data, ttl = 180) { // 缩短到 3 分钟
   cache.set(key, { data, expiry: Date.now() + ttl * 1000 });
 }
 
-async function fetchWithRetry(url, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      console.log(`Fetching: ${url}`);
-      const response = await fetch(url);
-      if (response.ok) {
-        const data = await response.json();
-        console.log(`Response received:`, JSON.stringify(data).substring(0, 200));
-        return data;
-      }
-      if (response.status === 429) {
-        console.log(`Rate limit hit, retrying in ${2000 * (i + 1)}ms`);
-        await new Promise(resolve => setTimeout(resolve, 2000 * (i + 1)));
-        continue;
-      }
-      throw new Error(`HTTP ${response.status}`);
-    } catch (error) {
-      console.error(`Fetch error (attempt ${i + 1}/${retries}):`, error.message);
-      if (i === retries - 1) throw error;
-      await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-    }
-  }
+// 一次分析的所有 Alpha Vantage 调用共用一个排队与重试等待预算，避免拖过函数超时
+export default function handler(req, res) {
+  return withAlphaVantageBudget(DEFAULT_MAX_WAIT_MS, () => analyze(req, res));
 }
 
-export default async function handler(req, res) {
+async function analyze(req, res) {
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
@@ -52,14 +61,41 @@ export default async function handler(req, res) {
     return;
   }
 
-  const { symbol, dte = 7, nocache = false } = req.query;
+  const {
+    symbol,
+    dte = 7,
+    nocache = false,
+    earningsLookback = DEFAULT_EARNINGS_LOOKBACK,
+    strikeMethod = '',
+    strikeTarget = '',
+    wingWidth = '',
+    maxRiskPerContract = '',
+    minCredit = '',
+    minOpenInterest = '',
+    maxSpreadPct = '',
+    probabilityModel = '',
+    degreesOfFreedom = '',
+    broker = '',
+    commissionPerContract = '',
+    feeRoundTrip = '',
+    accountType = '',
+    accountValue = '',
+    maxRiskPct = '',
+    maxBuyingPowerPct = '',
+    kellyFraction = '',
+    targetIncome = ''
+  } = req.query;
 
   if (!symbol) {
     return res.status(400).json({ error: 'Symbol is required' });
   }
 
   const upperSymbol = symbol.toUpperCase();
-  const cacheKey = `${upperSymbol}-${dte}`;
+  const cacheKey = [
+    upperSymbol, dte, earningsLookback, strikeMethod, strikeTarget, wingWidth, maxRiskPerContract,
+    minCredit, minOpenInterest, maxSpreadPct, probabilityModel, degreesOfFreedom, broker, commissionPerContract, feeRoundTrip,
+    accountType, accountValue, maxRiskPct, maxBuyingPowerPct, kellyFraction, targetIncome
+  ].join('-');
 
   // 添加 nocache 参数强制刷新
   if (!nocache) {
@@ -71,25 +107,22 @@ export default async function handler(req, res) {
   }
 
   try {
-    const AV_KEY = process.env.ALPHA_VANTAGE_API_KEY;
     const GEX_KEY = process.env.GEXBOT_API_KEY;
 
     console.log(`Analyzing ${upperSymbol} with DTE ${dte}`);
 
-    // 1. 获取股票报价
-    const quoteUrl = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${upperSymbol}&apikey=${AV_KEY}`;
-    const quoteData = await fetchWithRetry(quoteUrl);
-    
-    const quote = quoteData['Global Quote'];
-    if (!quote || !quote['05. price']) {
-      console.error('Invalid quote data:', quoteData);
+    // 1. 获取股票报价：由 60 分钟与完整日线推算，两条序列后续供 TA、财报波动、自助抽样复用。
+    //    一次分析共 5 次 Alpha Vantage 请求（60 分钟、日线、期权链、财报日历、历史财报；SPX / SPY 以 VIX 代替历史财报），
+    //    免费额度每分钟 5 次时都能在请求等待预算内完成
+    let quote;
+    try {
+      quote = await fetchQuote(upperSymbol);
+    } catch (e) {
+      console.error('Quote failed:', e.message);
       throw new Error('Invalid symbol or no data available');
     }
 
-    const currentPrice = parseFloat(quote['05. price']);
-    const change = parseFloat(quote['09. change']);
-    const changePercent = parseFloat(quote['10. change percent'].replace('%', ''));
-    const tradingDay = quote['07. latest trading day'];
+    const { price: currentPrice, change, changePercent, tradingDay } = quote;
 
     console.log(`Price data: ${upperSymbol} = $${currentPrice}, change ${changePercent}%, trading day ${tradingDay}`);
 
@@ -99,10 +132,9 @@ export default async function handler(req, res) {
     }
 
     // 2. 获取期权链数据
-    const optionsUrl = `https://www.alphavantage.co/query?function=REALTIME_OPTIONS&symbol=${upperSymbol}&apikey=${AV_KEY}`;
     let optionsData;
     try {
-      optionsData = await fetchWithRetry(optionsUrl);
+      optionsData = await fetchAlphaVantage({ function: 'REALTIME_OPTIONS', symbol: upperSymbol });
     } catch (e) {
       console.error('Options fetch failed:', e.message);
       optionsData = null;
@@ -111,19 +143,32 @@ export default async function handler(req, res) {
     let atmIV = 0.30;
     let ivSource = 'default';
     let optionsChain = { calls: [], puts: [] };
+    let backChain = null;
+    let expirations = [];
+    let volSurface = null;
 
     if (optionsData && optionsData.data && optionsData.data.length > 0) {
       console.log(`Options data received: ${optionsData.data.length} contracts`);
-      optionsChain = parseOptionsChain(optionsData.data, parseInt(dte));
-      console.log(`Parsed options: ${optionsChain.calls.length} calls, ${optionsChain.puts.length} puts`);
 
-      // 找到 ATM 期权提取 IV
-      const atmOptions = optionsData.data
-        .filter(opt => opt.type === 'call')
-        .sort((a, b) => Math.abs(parseFloat(a.strike) - currentPrice) - Math.abs(parseFloat(b.strike) - currentPrice));
+      // 按到期日解析：近月取最接近目标 DTE 的到期日，远月供日历 / 对角价差使用
+      const chain = parseOptionsChain(optionsData.data, currentPrice);
+      expirations = chain.expirations.map(expiration => ({
+        expiration,
+        dte: chain.byExpiration[expiration].dte
+      }));
+      optionsChain = selectExpiry(chain, parseInt(dte)) || optionsChain;
+      backChain = optionsChain.expiration ? selectBackExpiry(chain, optionsChain.expiration) : null;
+      console.log(`Parsed options: ${optionsChain.expiration} (${optionsChain.calls.length} calls, ${optionsChain.puts.length} puts), back ${backChain ? backChain.expiration : 'none'}`);
+
+      volSurface = buildVolatilitySurface(optionsData.data, currentPrice);
+      console.log(`Volatility surface: ${volSurface ? volSurface.slices.length : 0} expirations fitted`);
 
-      if (atmOptions.length > 0 && atmOptions[0].implied_volatility) {
-        atmIV = parseFloat(atmOptions[0].implied_volatility);
+      // 用反推的 Mid IV 提取 ATM IV（目标到期日优先，否则退回整条链）
+      const chainATMIV = extractATMIV([...optionsChain.calls, ...optionsChain.puts], currentPrice)
+        || extractATMIV(optionsData.data, currentPrice);
+
+      if (chainATMIV) {
+        atmIV = chainATMIV;
         ivSource = 'options_chain';
         console.log(`ATM IV from options chain: ${(atmIV * 100).toFixed(1)}%`);
       }
@@ -134,8 +179,7 @@ export default async function handler(req, res) {
     // 3. SPX 特殊处理：使用 VIX
     if (upperSymbol === 'SPX' || upperSymbol === 'SPY') {
       try {
-        const vixUrl = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=VIX&apikey=${AV_KEY}`;
-        const vixData = await fetchWithRetry(vixUrl);
+        const vixData = await fetchAlphaVantage({ function: 'GLOBAL_QUOTE', symbol: 'VIX' }, { ttl: 60 });
         if (vixData['Global Quote'] && vixData['Global Quote']['05. price']) {
           atmIV = parseFloat(vixData['Global Quote']['05. price']) / 100;
           ivSource = 'VIX';
@@ -146,19 +190,57 @@ export default async function handler(req, res) {
       }
     }
 
-    // 4. 计算波动率范围
+    // 4. 计算波动率范围：probabilityModel 可选 lognormal（默认）/ student_t / bootstrap（历史日收益自助抽样）
+    //    / market_implied（期权链 Call 价格二阶导数提取的市场隐含分布，按所选到期日计算）
     const daysToExpiry = parseInt(dte);
-    const oneSigmaMove = currentPrice * atmIV * Math.sqrt(daysToExpiry / 365);
-    const volatilityRange = {
-      oneSigma: {
-        upper: parseFloat((currentPrice + oneSigmaMove).toFixed(2)),
-        lower: parseFloat((currentPrice - oneSigmaMove).toFixed(2)),
-        move: parseFloat(oneSigmaMove.toFixed(2)),
-        percent: parseFloat(((oneSigmaMove / currentPrice) * 100).toFixed(2))
+    const probability = { ...parseProbabilityModel(req.query), returns: [] };
+    const riskNeutral = optionsChain.expiration
+      ? extractRiskNeutralDensity(optionsChain, { spot: currentPrice })
+      : null;
+    if (riskNeutral) {
+      console.log(`Risk-neutral density: ${riskNeutral.expiration}, ${riskNeutral.fit.quotes} quotes, arbitrage-free ${riskNeutral.arbitrage.free}`);
+      if (probability.model === 'market_implied') probability.density = riskNeutral;
+    }
+    if (probability.model === 'bootstrap') {
+      try {
+        const bars = await fetchPriceBars(upperSymbol, 'daily', { outputsize: 'full' });
+        probability.returns = calculateLogReturns(bars.slice(-BOOTSTRAP_HISTORY_DAYS));
+      } catch (e) {
+        console.error('Bootstrap history failed:', e.message);
       }
-    };
+    }
 
-    console.log(`Volatility range: $${volatilityRange.oneSigma.lower} - $${volatilityRange.oneSigma.upper}`);
+    // 分数 Kelly 需要现实测度下的优势：按近期已实现波动率（而非隐含波动率）的到期分布重新评估组合，
+    // 分布形态沿用所选模型（student_t / bootstrap，其余为对数正态）；取不到历史时不使用 Kelly 约束
+    const accountProfile = parseAccountProfile(req.query, process.env);
+    let realWorld = null;
+    if (accountProfile.kellyFraction > 0) {
+      try {
+        const returns = probability.returns.length > 0
+          ? probability.returns
+          : calculateLogReturns((await fetchPriceBars(upperSymbol, 'daily', { outputsize: 'full' })).slice(-BOOTSTRAP_HISTORY_DAYS));
+        const volatility = calculateRealizedVolatility(returns);
+        if (volatility) {
+          realWorld = {
+            model: ['student_t', 'bootstrap'].includes(probability.model) ? probability.model : 'lognormal',
+            degreesOfFreedom: probability.degreesOfFreedom,
+            returns,
+            volatility
+          };
+        }
+      } catch (e) {
+        console.error('Realized volatility failed:', e.message);
+      }
+    }
+
+    const volatilityRange = calculateVolatilityRange(
+      currentPrice,
+      atmIV,
+      probability.density ? probability.density.dte : daysToExpiry,
+      probability
+    );
+
+    console.log(`Volatility range (${volatilityRange.model}): $${volatilityRange.oneSigma.lower} - $${volatilityRange.oneSigma.upper}`);
 
     // 5. GEX 数据
     let gexData = {
@@ -182,29 +264,93 @@ export default async function handler(req, res) {
       console.log('GEX not available');
     }
 
-    // 6. TA 评分
-    const taScore = {
-      score: changePercent > 2 ? 75 : changePercent > 0 ? 65 : changePercent > -2 ? 55 : 45,
-      trend: changePercent > 1 ? 'bullish' : changePercent < -1 ? 'bearish' : 'neutral',
-      strength: Math.abs(changePercent) > 2 ? 'strong' : 'moderate'
-    };
+    // 6. TA 评分：日线 / 1 小时 / 2 小时 MACD、RSI、KD 加权
+    let indicators = {};
+    try {
+      indicators = await fetchMultiTimeframeIndicators(upperSymbol);
+    } catch (e) {
+      console.error('Technical indicators failed:', e.message);
+    }
+    const taScore = calculateTAScore(indicators);
+    console.log(`TA score: ${taScore.score} (${taScore.trend})`);
+
+    // 7. IV Rank：以 30 天 ATM IV 对比本地存储的 52 周历史
+    const snapshotIV = getSurfaceIV(volSurface, currentPrice, IV_SNAPSHOT_DTE);
+    let ivHistory = { sufficient: false, historyDays: 0 };
 
-    // 7. IV Rank
-    const ivRank = {
-      ivRank: atmIV > 0.40 ? 75 : atmIV > 0.30 ? 60 : atmIV > 0.20 ? 45 : 30,
-      level: atmIV > 0.40 ? 'high' : atmIV > 0.30 ? 'medium' : 'low',
-      recommendation: atmIV > 0.35 ? 'sell_premium' : 'buy_options',
+    if (snapshotIV) {
+      try {
+        ivHistory = await getIVRankFromHistory(upperSymbol, snapshotIV);
+        await recordIVSnapshot(upperSymbol, { date: tradingDay, iv: snapshotIV, spot: currentPrice });
+      } catch (e) {
+        console.error('IV history store failed:', e.message);
+      }
+    }
+
+    const ivRank = ivHistory.sufficient
+      ? {
+        ivRank: ivHistory.ivRank,
+        ivPercentile: ivHistory.ivPercentile,
+        level: ivHistory.level,
+        recommendation: ivHistory.recommendation,
+        interpretation: ivHistory.interpretation,
+        source: 'history'
+      }
+      : {
+        // 历史数据不足时按 IV 绝对水平估算
+        ivRank: atmIV > 0.40 ? 75 : atmIV > 0.30 ? 60 : atmIV > 0.20 ? 45 : 30,
+        ivPercentile: null,
+        level: atmIV > 0.40 ? 'high' : atmIV > 0.30 ? 'medium' : 'low',
+        recommendation: atmIV > 0.35 ? 'sell_premium' : 'buy_options',
+        source: 'estimated'
+      };
+
+    Object.assign(ivRank, {
       current_iv: atmIV,
-      iv_source: ivSource
-    };
+      iv_source: ivSource,
+      snapshot_iv: snapshotIV,
+      historyDays: ivHistory.historyDays
+    });
 
-    // 8. 财报
-    const earnings = {
-      hasEarningsNear: false,
-      daysUntilEarnings: null
-    };
+    // 8. 财报：与到期日比较，而非固定 7 天窗口
+    let earnings = { nextEarningsDate: null, daysUntilEarnings: null, estimate: null };
+    try {
+      earnings = await fetchNextEarnings(upperSymbol);
+    } catch (e) {
+      console.error('Earnings calendar failed:', e.message);
+    }
+
+    const chainExpiration = optionsChain.expiration || getLegsExpiration([], daysToExpiry);
+    earnings.expiration = chainExpiration;
+    earnings.spansExpiry = spansEarnings(chainExpiration, earnings);
+    earnings.hasEarningsNear = earnings.spansExpiry;
+    earnings.expectedMove = null;
+    earnings.historicalMoves = [];
+    earnings.moveComparison = null;
 
-    // 9. 生成策略
+    // 财报波动：跨式隐含波动 vs 最近 N 次财报后的实际波动
+    if (earnings.nextEarningsDate) {
+      const contracts = optionsData?.data || [];
+      try {
+        const moveAnalysis = await analyzeEarningsMove(upperSymbol, {
+          contracts,
+          spot: currentPrice,
+          earningsDate: earnings.nextEarningsDate,
+          count: parseInt(earningsLookback) || DEFAULT_EARNINGS_LOOKBACK
+        });
+        earnings.expectedMove = moveAnalysis.impliedMove;
+        earnings.historicalMoves = moveAnalysis.historicalMoves;
+        earnings.moveComparison = moveAnalysis.comparison;
+      } catch (e) {
+        console.error('Earnings move analysis failed:', e.message);
+        earnings.expectedMove = calculateImpliedEarningsMove(contracts, currentPrice, earnings.nextEarningsDate);
+      }
+    }
+
+    console.log(`Earnings: ${earnings.nextEarningsDate || 'none'}, spans expiry ${chainExpiration}: ${earnings.spansExpiry}`);
+
+    // 9. 生成策略（因账户配置或流动性被拒的组合记录在 rejections，没有可交易策略时作为不交易的理由返回）
+    const rejections = [];
     const strategies = generateStrategiesWithRealPrices({
       symbol: upperSymbol,
       currentPrice,
@@ -214,7 +360,30 @@ export default async function handler(req, res) {
       gexData,
       taScore,
       ivRank,
-      optionsChain
+      optionsChain,
+      backChain,
+      volSurface,
+      earnings,
+      // 概率模型：未指定时有波动率曲面则用曲面隐含分布；market_implied 附带期权链隐含分布
+      probability,
+      // 短腿目标：strikeMethod（delta / probability / premium）+ strikeTarget
+      strikeTargets: {
+        iron_condor: parseStrikeTarget(req.query, 'iron_condor'),
+        vertical_spread: parseStrikeTarget(req.query, 'vertical_spread'),
+        cash_secured_put: parseStrikeTarget(req.query, 'cash_secured_put')
+      },
+      // 翼宽约束：wingWidth 固定宽度，maxRiskPerContract 每张最大风险
+      wingConstraints: parseWingConstraints(req.query),
+      // 全链优化约束：minCredit 每张最低权利金，minOpenInterest / maxSpreadPct 流动性
+      optimizerConstraints: parseOptimizerConstraints(req.query),
+      // 费用：broker 券商费用表（默认 BROKER_PROFILE 环境变量），commissionPerContract 覆盖佣金，feeRoundTrip=0 只计开仓
+      feeSchedule: parseFeeSchedule(req.query, process.env),
+      // 账户配置：accountValue 资金、maxRiskPct / maxBuyingPowerPct 单笔风险与购买力占比、kellyFraction、
+      // targetIncome 净收益目标、accountType 账户类型 regt / portfolio / cash（默认取对应环境变量）
+      accountProfile,
+      // Kelly 使用的现实测度（已实现波动率），未设置 kellyFraction 或取不到历史时为 null
+      realWorld,
+      rejections
     });
 
     const result = {
@@ -229,9 +398,18 @@ export default async function handler(req, res) {
       ivRank,
       taScore,
       volatilityRange,
+      volSurface: summarizeSurface(volSurface, daysToExpiry),
+      riskNeutral: summarizeRiskNeutralDensity(riskNeutral),
       gexData,
       earnings,
+      expirations: {
+        front: optionsChain.expiration ? { expiration: optionsChain.expiration, dte: optionsChain.dte } : null,
+        back: backChain ? { expiration: backChain.expiration, dte: backChain.dte } : null,
+        available: expirations
+      },
       strategies,
+      noTrade: strategies.length === 0 ? summarizeNoTrade(rejections) : null,
+      ivQuality: summarizeIVQuality(optionsChain),
       optionsAvailable: optionsChain.calls.length > 0 || optionsChain.puts.length > 0,
       timestamp: new Date().toISOString(),
       cached: false,
@@ -260,46 +438,49 @@ export default async function handler(req, res) {
   }
 }
 
-// ... 其余函数与 v3 相同 ...
-function parseOptionsChain(data, targetDTE) {
-  const calls = [];
-  const puts = [];
-  const today = new Date();
-
-  data.forEach(option => {
-    const expiration = new Date(option.expiration);
-    const daysToExp = Math.round((expiration - today) / (1000 * 60 * 60 * 24));
-
-    if (Math.abs(daysToExp - targetDTE) <= 3) {
-      const optionData = {
-        strike: parseFloat(option.strike),
-        bid: parseFloat(option.bid) || 0,
-        ask: parseFloat(option.ask) || 0,
-        last: parseFloat(option.last) || 0,
-        mid: ((parseFloat(option.bid) || 0) + (parseFloat(option.ask) || 0)) / 2,
-        iv: parseFloat(option.implied_volatility) || 0,
-        delta: parseFloat(option.delta) || 0,
-        gamma: parseFloat(option.gamma) || 0,
-        theta: parseFloat(option.theta) || 0,
-        vega: parseFloat(option.vega) || 0,
-        volume: parseInt(option.volume) || 0,
-        openInterest: parseInt(option.open_interest) || 0,
-        expiration: option.expiration,
-        daysToExp
-      };
+const NO_TRADE_REASONS = {
+  sizing: '没有符合账户配置的策略',
+  liquidity: '期权链上的策略均不可交易',
+  earnings: '估算策略的到期日跨越财报'
+};
 
-      if (option.type === 'call') {
-        calls.push(optionData);
-      } else {
-        puts.push(optionData);
-      }
-    }
-  });
+/**
+ * 不交易说明：没有可交易策略时列出被拒的组合及理由
+ * @param {Array} rejections - [{ kind: 'sizing' | 'liquidity' | 'earnings', structure, explanation }]
+ */
+function summarizeNoTrade(rejections) {
+  const kinds = [...new Set(rejections.map(rejection => rejection.kind))];
+  const reason = kinds.length === 0
+    ? '没有满足筛选条件的策略'
+    : kinds.length === 1 ? NO_TRADE_REASONS[kinds[0]] : '没有可交易的策略';
+  return { reason, rejections };
+}
 
-  calls.sort((a, b) => a.strike - b.strike);
-  puts.sort((a, b) => a.strike - b.strike);
+/**
+ * 汇总 IV 反推结果，列出与数据商 IV 不一致的合约
+ */
+function summarizeIVQuality(optionsChain) {
+  const contracts = [
+    ...optionsChain.calls.map(option => ({ ...option, type: 'call' })),
+    ...optionsChain.puts.map(option => ({ ...option, type: 'put' }))
+  ];
+  const mismatched = contracts.filter(option => option.ivMismatch);
 
-  return { calls, puts };
+  return {
+    total: contracts.length,
+    solved: contracts.filter(option => option.midIV).length,
+    mismatched: mismatched.length,
+    mismatches: mismatched
+      .sort((a, b) => Math.abs(b.vendorIV - b.midIV) - Math.abs(a.vendorIV - a.midIV))
+      .slice(0, 10)
+      .map(option => ({
+        type: option.type,
+        strike: option.strike,
+        expiration: option.expiration,
+        vendorIV: option.vendorIV,
+        midIV: parseFloat(option.midIV.toFixed(4))
+      }))
+  };
 }
 
 function findOptionByStrike(options, targetStrike) {
@@ -311,33 +492,191 @@ function findOptionByStrike(options, targetStrike) {
   });
 }
 
+/**
+ * 取执行价对应的期权腿：优先使用实时报价，无报价时用 Black-Scholes 定价
+ * @param {Array} options - 解析后的 calls 或 puts
+ * @param {number} targetStrike - 目标执行价
+ * @param {string} type - 'call' 或 'put'
+ * @param {Object} params - 策略参数（currentPrice、atmIV、dte）
+ * @returns {Object} 期权腿，source 为 'market' 或 'model'
+ */
+function resolveLeg(options, targetStrike, type, params) {
+  const option = findOptionByStrike(options, targetStrike);
+  if (option && option.mid > 0) {
+    return { ...option, source: 'market' };
+  }
+
+  const strike = option ? option.strike : targetStrike;
+  const iv = option && option.iv > 0 ? option.iv : params.atmIV;
+  const model = priceOption({
+    type,
+    spot: params.currentPrice,
+    strike,
+    dte: params.dte,
+    iv
+  });
+
+  return {
+    strike,
+    bid: 0,
+    ask: 0,
+    last: 0,
+    mid: model.price,
+    iv,
+    delta: model.delta,
+    gamma: model.gamma,
+    theta: model.theta,
+    vega: model.vega,
+    volume: 0,
+    openInterest: 0,
+    source: 'model'
+  };
+}
+
+/**
+ * 取各腿中最晚的到期日；均为模型腿时按 DTE 推算
+ * @param {Array} legs - 期权腿
+ * @param {number} dte - 目标 DTE
+ * @returns {string} 到期日 YYYY-MM-DD
+ */
+function getLegsExpiration(legs, dte) {
+  const expirations = legs.map(leg => leg.expiration).filter(Boolean).sort();
+  if (expirations.length > 0) {
+    return expirations[expirations.length - 1];
+  }
+  return new Date(Date.now() + dte * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * 按请求的目标（Delta / 虚值概率 / 权利金）在挂牌执行价中选取短腿
+ * 无期权链时使用标准执行价网格；IV 优先取合约自身反推值，其次波动率曲面
+ * @param {Object} params - 策略参数
+ * @param {string} strategyType - 策略类型（对应 strikeTargets 的键）
+ * @param {string} type - 'call' 或 'put'
+ * @returns {Object|null} selectStrike 的结果
+ */
+function selectShortStrike(params, strategyType, type) {
+  const { currentPrice, atmIV, dte, optionsChain, volSurface, strikeTargets } = params;
+  const { method, target } = strikeTargets[strategyType];
+  const options = type === 'call' ? optionsChain.calls : optionsChain.puts;
+  const expiryDTE = optionsChain.dte || dte;
+
+  return selectStrike(options.length > 0 ? options : buildStrikeGrid(currentPrice), {
+    type,
+    spot: currentPrice,
+    dte: expiryDTE,
+    method,
+    target,
+    iv: strike => getSurfaceIV(volSurface, strike, expiryDTE) || atmIV
+  });
+}
+
+/**
+ * 为短腿选取保护腿：在实际执行价阶梯上比较多种翼宽，取单位风险期望值最高者
+ * 无报价的保护腿按波动率曲面上该执行价的 IV 定价
+ * @param {Object} params - 策略参数（含 wingConstraints）
+ * @param {string} type - 'call' 或 'put'
+ * @param {Object} shortLeg - resolveLeg 得到的短腿
+ * @returns {Object|null} { best, candidates, longLeg }，没有宽度满足每张风险上限时为 null
+ */
+function selectWing(params, type, shortLeg) {
+  const { currentPrice, atmIV, dte, optionsChain, volSurface, wingConstraints } = params;
+  const options = type === 'call' ? optionsChain.calls : optionsChain.puts;
+  const expiryDTE = optionsChain.dte || dte;
+
+  const result = optimizeWingWidth(
+    options.length > 0 ? options : buildStrikeGrid(currentPrice),
+    { strike: shortLeg.strike, premium: shortLeg.mid },
+    {
+      type,
+      spot: currentPrice,
+      dte: expiryDTE,
+      iv: strike => getSurfaceIV(volSurface, strike, expiryDTE) || atmIV,
+      ...wingConstraints
+    }
+  );
+  if (!result) {
+    if (wingConstraints.maxRiskPerContract) {
+      console.log(`No ${type} wing for short ${shortLeg.strike} within $${wingConstraints.maxRiskPerContract} risk per contract`);
+    }
+    return null;
+  }
+
+  return { ...result, longLeg: resolveLeg(options, result.best.longStrike, type, params) };
+}
+
+/**
+ * 翼宽选择说明（用于策略理由）
+ */
+function describeWing(wing, wingConstraints) {
+  const { width, maxRisk, returnOnRisk, pop } = wing.best;
+  const basis = [
+    wingConstraints.wingWidth
+      ? `固定翼宽 $${wingConstraints.wingWidth}`
+      : `${wing.candidates.length} 种宽度中按单位风险期望值优选`,
+    wingConstraints.maxRiskPerContract
+      ? `每张风险 $${Math.round(maxRisk * 100)} ≤ $${wingConstraints.maxRiskPerContract}`
+      : null
+  ].filter(Boolean).join('，');
+  return `翼宽 $${width}（${basis}，收益风险比 ${(returnOnRisk * 100).toFixed(0)}%，盈利概率 ${(pop * 100).toFixed(0)}%）`;
+}
+
+/**
+ * 执行价选择结果摘要（用于 API 输出）
+ */
+function summarizeSelection(selection) {
+  return {
+    method: selection.method,
+    target: selection.target,
+    strike: selection.strike,
+    delta: parseFloat(selection.delta.toFixed(4)),
+    probabilityOTM: parseFloat(selection.probabilityOTM.toFixed(4))
+  };
+}
+
 function generateStrategiesWithRealPrices(params) {
-  const { currentPrice, atmIV, dte, volatilityRange, taScore, ivRank, gexData, optionsChain } = params;
-  const strategies = [];
+  const { currentPrice, dte, taScore, ivRank, gexData, optionsChain, backChain, earnings } = params;
+  let strategies = [];
 
   const hasOptions = optionsChain.calls.length > 0 && optionsChain.puts.length > 0;
 
   // 1. 铁鹰策略
-  if (ivRank.ivRank >= 45 && hasOptions) {
-    const putSellStrike = Math.round(volatilityRange.oneSigma.lower / 5) * 5;
-    const putBuyStrike = putSellStrike - 10;
-    const callSellStrike = Math.round(volatilityRange.oneSigma.upper / 5) * 5;
-    const callBuyStrike = callSellStrike + 10;
-
-    const putSellOpt = findOptionByStrike(optionsChain.puts, putSellStrike);
-    const putBuyOpt = findOptionByStrike(optionsChain.puts, putBuyStrike);
-    const callSellOpt = findOptionByStrike(optionsChain.calls, callSellStrike);
-    const callBuyOpt = findOptionByStrike(optionsChain.calls, callBuyStrike);
-
-    if (putSellOpt && putBuyOpt && callSellOpt && callBuyOpt) {
-      const creditPerContract = (putSellOpt.mid - putBuyOpt.mid + callSellOpt.mid - callBuyOpt.mid) * 100;
-      const contracts = Math.max(1, Math.ceil(150 / creditPerContract));
-      const netCredit = Math.round(creditPerContract * contracts);
-      const maxRisk = Math.round(((putSellStrike - putBuyStrike) * 100 * contracts) - netCredit);
+  const putSelection = hasOptions ? selectShortStrike(params, 'iron_condor', 'put') : null;
+  const callSelection = hasOptions ? selectShortStrike(params, 'iron_condor', 'call') : null;
+  const putSellOpt = putSelection ? resolveLeg(optionsChain.puts, putSelection.strike, 'put', params) : null;
+  const callSellOpt = callSelection ? resolveLeg(optionsChain.calls, callSelection.strike, 'call', params) : null;
+  const putWing = putSellOpt ? selectWing(params, 'put', putSellOpt) : null;
+  const callWing = callSellOpt ? selectWing(params, 'call', callSellOpt) : null;
+  if (ivRank.ivRank >= 45 && putWing && callWing) {
+    const putBuyOpt = putWing.longLeg;
+    const callBuyOpt = callWing.longLeg;
+    const putSellStrike = putSellOpt.strike;
+    const wingWidthMax = Math.max(putSellOpt.strike - putBuyOpt.strike, callBuyOpt.strike - callSellOpt.strike);
+    const legs = [putSellOpt, putBuyOpt, callSellOpt, callBuyOpt];
+    const expiration = getLegsExpiration(legs, dte);
+
+    const quotes = [
+      { ...putBuyOpt, type: 'put', quantity: 1 },
+      { ...putSellOpt, type: 'put', quantity: -1 },
+      { ...callSellOpt, type: 'call', quantity: -1 },
+      { ...callBuyOpt, type: 'call', quantity: 1 }
+    ];
+    const fill = estimateFill(quotes);
+    const sized = sizeStructure(params, fill);
+
+    // 铁鹰跨越财报时直接放弃：双向卖出无法承受财报跳空
+    if (spansEarnings(expiration, earnings)) {
+      console.log(`Iron condor dropped: expiry ${expiration} spans earnings ${earnings.nextEarningsDate}`);
+    } else if (sized) {
+      const { contracts, netCredit } = sized;
+      const maxRisk = Math.round((wingWidthMax * 100 * contracts) - netCredit);
+      const payoff = analyzeLegs(params, sized.legs);
+      const winRate = Math.round(payoff.pop * 100);
 
       strategies.push({
         name: '铁鹰策略',
         type: 'iron_condor',
+        expiration,
         strikes: {
           putBuy: putBuyOpt.strike,
           putSell: putSellOpt.strike,
@@ -353,13 +692,32 @@ function generateStrategiesWithRealPrices(params) {
         contracts,
         netCredit,
         maxRisk,
-        winRate: 68 + (ivRank.ivRank > 70 ? 7 : 4),
+        winRate,
+        probabilities: summarizePayoff(payoff, 100 * contracts),
+        legs: summarizeLegs(payoff),
         roc: Math.round((netCredit / maxRisk) * 100),
-        usingRealPrices: true,
+        usingRealPrices: legs.every(leg => leg.source === 'market'),
+        fill: summarizeFill(fill, contracts),
+        fees: summarizeFees(sized.fees),
+        sizing: sized.sizing,
+        liquidity: gradeLegs(params, quotes),
+        strikeSelection: {
+          put: summarizeSelection(putSelection),
+          call: summarizeSelection(callSelection)
+        },
+        wingAnalysis: {
+          put: summarizeWingCandidates(putWing),
+          call: summarizeWingCandidates(callWing)
+        },
         reasoning: [
           `IVR ${ivRank.ivRank}%，高位卖出有利`,
           `TA 综合评分 ${taScore.score}，多头趋势明显`,
-          `短腿距离 ${((putSellStrike - currentPrice) / currentPrice * 100).toFixed(1)}%，胜率约 ${68 + (ivRank.ivRank > 70 ? 7 : 4)}%`,
+          `Put ${describeStrikeSelection(putSelection)}`,
+          `Call ${describeStrikeSelection(callSelection)}`,
+          `Put ${describeWing(putWing, params.wingConstraints)}`,
+          `Call ${describeWing(callWing, params.wingConstraints)}`,
+          `短腿距离 ${((putSellStrike - currentPrice) / currentPrice * 100).toFixed(1)}%，胜率约 ${winRate}%`,
+          describePayoff(payoff, 100 * contracts),
           `每日 Theta 衰减约 $${Math.round(netCredit / dte)}`,
           `GEX ${gexData.gamma_environment} Gamma，波动率降低`
         ]
@@ -368,29 +726,35 @@ function generateStrategiesWithRealPrices(params) {
   }
 
   // 2. 垂直价差
-  if (hasOptions) {
-    const isBullish = taScore.trend === 'bullish' || taScore.trend === 'neutral';
-    const sellStrike = isBullish 
-      ? Math.round(volatilityRange.oneSigma.lower / 5) * 5
-      : Math.round(volatilityRange.oneSigma.upper / 5) * 5;
-    const buyStrike = isBullish ? sellStrike - 10 : sellStrike + 10;
-
-    const sellOpt = isBullish 
-      ? findOptionByStrike(optionsChain.puts, sellStrike)
-      : findOptionByStrike(optionsChain.calls, sellStrike);
-    const buyOpt = isBullish
-      ? findOptionByStrike(optionsChain.puts, buyStrike)
-      : findOptionByStrike(optionsChain.calls, buyStrike);
-
-    if (sellOpt && buyOpt) {
-      const creditPerContract = (sellOpt.mid - buyOpt.mid) * 100;
-      const contracts = Math.max(1, Math.ceil(150 / creditPerContract));
-      const netCredit = Math.round(creditPerContract * contracts);
-      const maxRisk = Math.round((Math.abs(sellStrike - buyStrike) * 100 * contracts) - netCredit);
+  const isBullish = taScore.trend === 'bullish' || taScore.trend === 'neutral';
+  const verticalSelection = hasOptions
+    ? selectShortStrike(params, 'vertical_spread', isBullish ? 'put' : 'call')
+    : null;
+  const verticalType = isBullish ? 'put' : 'call';
+  const verticalSellOpt = verticalSelection
+    ? resolveLeg(isBullish ? optionsChain.puts : optionsChain.calls, verticalSelection.strike, verticalType, params)
+    : null;
+  const verticalWing = verticalSellOpt ? selectWing(params, verticalType, verticalSellOpt) : null;
+  if (verticalWing) {
+    const sellOpt = verticalSellOpt;
+    const buyOpt = verticalWing.longLeg;
+
+    const quotes = [
+      { ...sellOpt, type: verticalType, quantity: -1 },
+      { ...buyOpt, type: verticalType, quantity: 1 }
+    ];
+    const sized = sizeStructure(params, estimateFill(quotes));
+
+    if (sized) {
+      const { contracts, netCredit, fill } = sized;
+      const maxRisk = Math.round((Math.abs(sellOpt.strike - buyOpt.strike) * 100 * contracts) - netCredit);
+      const payoff = analyzeLegs(params, sized.legs);
+      const winRate = Math.round(payoff.pop * 100);
 
       strategies.push({
         name: isBullish ? '看涨信用价差' : '看跌信用价差',
         type: 'vertical_spread',
+        expiration: getLegsExpiration([sellOpt, buyOpt], dte),
         strikes: {
           sell: sellOpt.strike,
           buy: buyOpt.strike
@@ -402,14 +766,25 @@ function generateStrategiesWithRealPrices(params) {
         contracts,
         netCredit,
         maxRisk,
-        winRate: 72 + (ivRank.ivRank > 60 ? 8 : 0),
+        winRate,
+        probabilities: summarizePayoff(payoff, 100 * contracts),
+        legs: summarizeLegs(payoff),
         roc: Math.round((netCredit / maxRisk) * 100),
-        usingRealPrices: true,
+        usingRealPrices: sellOpt.source === 'market' && buyOpt.source === 'market',
+        fill: summarizeFill(fill, contracts),
+        fees: summarizeFees(sized.fees),
+        sizing: sized.sizing,
+        liquidity: gradeLegs(params, quotes),
+        strikeSelection: summarizeSelection(verticalSelection),
+        wingAnalysis: summarizeWingCandidates(verticalWing),
         reasoning: [
           `TA 趋势 ${taScore.trend}，方向性策略`,
+          describeStrikeSelection(verticalSelection),
+          describeWing(verticalWing, params.wingConstraints),
           `卖出 ${sellOpt.strike}@$${sellOpt.mid.toFixed(2)}`,
           `买入 ${buyOpt.strike}@$${buyOpt.mid.toFixed(2)}`,
-          `净收益 $${netCredit}，胜率 ${72 + (ivRank.ivRank > 60 ? 8 : 0)}%`,
+          `净收益 $${netCredit}，胜率 ${winRate}%`,
+          describePayoff(payoff, 100 * contracts),
           `ROC ${Math.round((netCredit / maxRisk) * 100)}%`
         ]
       });
@@ -417,19 +792,24 @@ function generateStrategiesWithRealPrices(params) {
   }
 
   // 3. 现金担保看跌
-  if (taScore.trend !== 'bearish' && hasOptions) {
-    const sellStrike = Math.round((currentPrice * 0.95) / 5) * 5;
-    const sellOpt = findOptionByStrike(optionsChain.puts, sellStrike);
-
-    if (sellOpt) {
-      const creditPerContract = sellOpt.mid * 100;
-      const contracts = Math.max(1, Math.ceil(150 / creditPerContract));
-      const netCredit = Math.round(creditPerContract * contracts);
+  const cspSelection = taScore.trend !== 'bearish' && hasOptions
+    ? selectShortStrike(params, 'cash_secured_put', 'put')
+    : null;
+  if (cspSelection) {
+    const sellOpt = resolveLeg(optionsChain.puts, cspSelection.strike, 'put', params);
+    const quotes = [{ ...sellOpt, type: 'put', quantity: -1 }];
+    const sized = sizeStructure(params, estimateFill(quotes));
+
+    if (sized) {
+      const { contracts, netCredit, fill } = sized;
       const maxRisk = Math.round((sellOpt.strike * 100 * contracts) - netCredit);
+      const payoff = analyzeLegs(params, sized.legs);
+      const winRate = Math.round(payoff.pop * 100);
 
       strategies.push({
         name: '现金担保看跌',
         type: 'cash_secured_put',
+        expiration: getLegsExpiration([sellOpt], dte),
         strikes: {
           sell: sellOpt.strike
         },
@@ -439,26 +819,123 @@ function generateStrategiesWithRealPrices(params) {
         contracts,
         netCredit,
         maxRisk,
-        winRate: 76,
+        winRate,
+        probabilities: summarizePayoff(payoff, 100 * contracts),
+        legs: summarizeLegs(payoff),
         roc: Math.round((netCredit / maxRisk) * 100),
-        usingRealPrices: true,
+        usingRealPrices: sellOpt.source === 'market',
+        fill: summarizeFill(fill, contracts),
+        fees: summarizeFees(sized.fees),
+        sizing: sized.sizing,
+        liquidity: gradeLegs(params, quotes),
+        strikeSelection: summarizeSelection(cspSelection),
         reasoning: [
           '适合愿意持股的投资者',
+          describeStrikeSelection(cspSelection),
           `卖出 Put ${sellOpt.strike}@$${sellOpt.mid.toFixed(2)}`,
           `收取权利金 $${netCredit}`,
-          `如被行权，成本价 $${(sellOpt.strike - sellOpt.mid).toFixed(2)}`,
-          '胜率约 76%'
+          `如被行权，成本价 $${(sellOpt.strike - fill.expected).toFixed(2)}`,
+          `胜率约 ${winRate}%`,
+          describePayoff(payoff, 100 * contracts)
         ]
       });
     }
   }
 
-  if (strategies.length === 0) {
-    strategies.push(generateFallbackStrategy(params));
+  // 4. 日历 / 对角价差：近月与远月两个实际到期日报价
+  if (hasOptions && backChain) {
+    const timeSpreads = [generateCalendarSpread(params)];
+    if (taScore.trend !== 'neutral') {
+      timeSpreads.push(generateDiagonalSpread(params));
+    }
+
+    timeSpreads
+      .filter(Boolean)
+      .forEach(spread => strategies.push({ ...spread, expiration: optionsChain.expiration }));
+  }
+
+  // 5. 全链优化：枚举同一到期日的全部执行价组合，每种结构取 Pareto 最优的几个交给评分
+  if (hasOptions) {
+    const structures = [];
+    if (ivRank.ivRank >= 45 && !spansEarnings(optionsChain.expiration, earnings)) structures.push('iron_condor');
+    structures.push(isBullish ? 'put_credit_spread' : 'call_credit_spread');
+    if (taScore.trend !== 'bearish') structures.push('cash_secured_put');
+
+    const optimization = optimizeStrategies(optionsChain, {
+      spot: currentPrice,
+      iv: params.atmIV,
+      structures,
+      constraints: params.optimizerConstraints
+    });
+    const seen = new Set(strategies.map(getStrikesKey));
+
+    for (const structure of structures) {
+      for (const candidate of optimization.byStructure[structure]) {
+        const strategy = buildOptimizedStrategy(candidate, optimization.stats[structure], params);
+        if (!strategy || seen.has(getStrikesKey(strategy))) continue;
+        seen.add(getStrikesKey(strategy));
+        strategies.push(strategy);
+      }
+    }
+  }
+
+  // 有腿不可交易（无双边报价、持仓量不足、价差过宽）的策略不参与推荐
+  strategies = strategies.filter(s => {
+    if (s.liquidity?.tradeable !== false) return true;
+    console.log(`${s.name} dropped: ${s.liquidity.reasons.join('; ')}`);
+    params.rejections?.push({
+      kind: 'liquidity',
+      structure: `${s.name} ${formatStructure(s.legs || [])}`,
+      explanation: s.liquidity.reasons.join('；')
+    });
+    return false;
+  });
+
+  // 只有期权链不可用时才按理论价估算；有期权链但策略都被拒时不交易（估算策略没有流动性评级）
+  if (strategies.length === 0 && !hasOptions) {
+    const fallback = generateFallbackStrategy(params);
+    if (fallback) {
+      strategies.push(fallback);
+    }
   }
 
   strategies.forEach(s => {
-    s.score = calcScore(s, ivRank, taScore, gexData);
+    s.expiration = s.expiration || getLegsExpiration([], dte);
+    s.greeks = aggregatePositionGreeks(s.legs, { spot: currentPrice, contracts: s.contracts });
+    if (s.greeks) {
+      const { delta, dollarDelta, gamma, theta, vega } = s.greeks;
+      s.reasoning.push(`组合 Greeks：Delta ${delta} 股（$${dollarDelta}），Gamma ${gamma}，Theta $${theta}/天，Vega $${vega}`);
+    }
+    if (s.fill) {
+      s.reasoning.push(describeFill(s.fill, s.contracts));
+    }
+    if (s.fees) {
+      s.reasoning.push(describeFees(s.fees, s.netCredit > 0 ? s.netCredit + s.fees.total : s.maxProfit + s.fees.total));
+    }
+    if (s.liquidity) {
+      s.reasoning.push(describeLiquidity(s.liquidity));
+    }
+    s.margin = calculateMargin(s.legs, {
+      spot: currentPrice,
+      contracts: s.contracts,
+      profit: s.netCredit > 0 ? s.netCredit : s.maxProfit,
+      accountType: params.accountProfile.accountType
+    });
+    if (s.margin) {
+      s.reasoning.push(describeMargin(s.margin));
+    }
+    if (s.sizing) {
+      s.reasoning.push(describeSizing(s.sizing));
+    }
+    s.spansEarnings = spansEarnings(s.expiration, earnings);
+    if (s.spansEarnings) {
+      s.reasoning.push(`⚠️ 到期日 ${s.expiration} 跨越财报（${earnings.nextEarningsDate}），注意跳空风险`);
+      if (earnings.moveComparison) {
+        const { verdict, impliedPercent, averagePercent } = earnings.moveComparison;
+        s.reasoning.push(`财报跨式${EARNINGS_VERDICT_LABELS[verdict]}：隐含 ±${impliedPercent}% vs 历史平均 ±${averagePercent}%`);
+      }
+    }
+    s.score = calcScore(s, ivRank, taScore, gexData, earnings);
   });
   strategies.sort((a, b) => b.score - a.score);
   strategies.forEach((s, i) => {
@@ -469,41 +946,362 @@ function generateStrategiesWithRealPrices(params) {
   return strategies.slice(0, 3);
 }
 
+/**
+ * 策略去重键：类型 + 各腿执行价
+ */
+function getStrikesKey(strategy) {
+  return `${strategy.type}:${JSON.stringify(strategy.strikes)}`;
+}
+
+/**
+ * 将全链优化候选转换为策略
+ * @param {Object} candidate - optimizeStrategies 的候选（金额为每股）
+ * @param {Object} stats - 该结构的 { evaluated, pareto }
+ * @param {Object} params - 策略参数
+ * @returns {Object|null} 策略，预期成交价扣除费用后不为正时返回 null
+ */
+function buildOptimizedStrategy(candidate, stats, params) {
+  const { dte, ivRank } = params;
+  const quotes = getCandidateLegs(candidate);
+  const fill = estimateFill(quotes);
+  const sized = sizeStructure(params, fill);
+  if (!sized) {
+    return null;
+  }
+
+  // 候选的权利金与最大风险按中间价计算，改按预期成交价并扣除费用（最大风险 + 权利金 = 翼宽或执行价）
+  const { contracts, netCredit } = sized;
+  const maxRisk = Math.round((candidate.maxRisk + candidate.credit) * 100 * contracts - netCredit);
+  const payoff = analyzeLegs(params, sized.legs);
+  const winRate = Math.round(payoff.pop * 100);
+
+  const base = {
+    contracts,
+    netCredit,
+    maxRisk,
+    winRate,
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
+    roc: Math.round((netCredit / maxRisk) * 100),
+    usingRealPrices: true,
+    fill: summarizeFill(fill, contracts),
+    fees: summarizeFees(sized.fees),
+    sizing: sized.sizing,
+    liquidity: gradeLegs(params, quotes),
+    optimization: {
+      // 优化排序依据：单位风险期望值（平值 IV 对数正态）
+      score: parseFloat(candidate.score.toFixed(4)),
+      evaluated: stats.evaluated,
+      pareto: stats.pareto
+    }
+  };
+  const summary = [
+    `全链优化：${stats.evaluated} 个组合中的 Pareto 最优（共 ${stats.pareto} 个）`,
+    describePayoff(payoff, 100 * contracts)
+  ];
+
+  if (candidate.structure === 'iron_condor') {
+    const { put, call } = candidate;
+    const legs = [put.short, put.long, call.short, call.long];
+    return {
+      ...base,
+      name: '铁鹰策略（全链优化）',
+      type: 'iron_condor',
+      expiration: getLegsExpiration(legs, dte),
+      strikes: {
+        putBuy: put.long.strike,
+        putSell: put.short.strike,
+        callSell: call.short.strike,
+        callBuy: call.long.strike
+      },
+      prices: {
+        putBuy: put.long.mid.toFixed(2),
+        putSell: put.short.mid.toFixed(2),
+        callSell: call.short.mid.toFixed(2),
+        callBuy: call.long.mid.toFixed(2)
+      },
+      reasoning: [
+        ...summary,
+        `IVR ${ivRank.ivRank}%`,
+        `Put ${put.short.strike}/${put.long.strike}，Call ${call.short.strike}/${call.long.strike}`,
+        `每日 Theta 衰减约 $${Math.round(netCredit / dte)}`
+      ]
+    };
+  }
+
+  if (candidate.structure === 'cash_secured_put') {
+    const sellOpt = candidate.short;
+    return {
+      ...base,
+      name: '现金担保看跌（全链优化）',
+      type: 'cash_secured_put',
+      expiration: getLegsExpiration([sellOpt], dte),
+      strikes: { sell: sellOpt.strike },
+      prices: { sell: sellOpt.mid.toFixed(2) },
+      reasoning: [
+        ...summary,
+        `卖出 Put ${sellOpt.strike}@$${sellOpt.mid.toFixed(2)}`,
+        `如被行权，成本价 $${(sellOpt.strike - fill.expected).toFixed(2)}`
+      ]
+    };
+  }
+
+  const { short: sellOpt, long: buyOpt } = candidate;
+  return {
+    ...base,
+    name: candidate.type === 'put' ? '看涨信用价差（全链优化）' : '看跌信用价差（全链优化）',
+    type: 'vertical_spread',
+    expiration: getLegsExpiration([sellOpt, buyOpt], dte),
+    strikes: {
+      sell: sellOpt.strike,
+      buy: buyOpt.strike
+    },
+    prices: {
+      sell: sellOpt.mid.toFixed(2),
+      buy: buyOpt.mid.toFixed(2)
+    },
+    reasoning: [
+      ...summary,
+      `卖出 ${sellOpt.strike}@$${sellOpt.mid.toFixed(2)}`,
+      `买入 ${buyOpt.strike}@$${buyOpt.mid.toFixed(2)}`,
+      `翼宽 $${candidate.width}，ROC ${base.roc}%`
+    ]
+  };
+}
+
+/**
+ * 全链优化候选的各腿（附带合约报价，用于成交价与流动性评估）
+ */
+function getCandidateLegs(candidate) {
+  const leg = (option, type, quantity) => ({ ...option, type, quantity });
+
+  if (candidate.structure === 'iron_condor') {
+    return [
+      leg(candidate.put.long, 'put', 1),
+      leg(candidate.put.short, 'put', -1),
+      leg(candidate.call.short, 'call', -1),
+      leg(candidate.call.long, 'call', 1)
+    ];
+  }
+  if (candidate.structure === 'cash_secured_put') {
+    return [leg(candidate.short, 'put', -1)];
+  }
+  return [leg(candidate.short, candidate.type, -1), leg(candidate.long, candidate.type, 1)];
+}
+
+/**
+ * 按账户配置确定张数（单笔风险、购买力、可选 Kelly，净收益目标封顶），费用分摊进各腿成交价
+ * @param {Object} params - 策略参数（含 accountProfile、feeSchedule）
+ * @param {Object} fill - fillModel.estimateFill 的结果
+ * @returns {Object|null} { contracts, netCredit, fees, fill, legs: 含费用的损益分析腿, sizing }，不适合该账户时为 null（理由记入 params.rejections）
+ */
+function sizeStructure(params, fill) {
+  const creditPerContract = fill.expected * 100;
+  const fillLegs = getFillLegs(fill);
+  const sizing = sizePosition(analyzeLegs(params, fillLegs), {
+    spot: params.currentPrice,
+    profit: creditPerContract,
+    profile: params.accountProfile,
+    feeSchedule: params.feeSchedule,
+    realWorld: analyzeRealWorld(params, fillLegs)
+  });
+  const size = sizing.contracts;
+  if (!size) {
+    const structure = formatStructure(fill.legs);
+    console.log(`Sizing rejected ${structure}: ${sizing.explanation}`);
+    params.rejections?.push({ kind: 'sizing', structure, explanation: sizing.explanation });
+    return null;
+  }
+
+  const fees = calculateFees(fill.legs, size, params.feeSchedule);
+  return {
+    contracts: size,
+    netCredit: Math.round(creditPerContract * size - fees.total),
+    fees,
+    fill,
+    legs: applyLegFees(getFillLegs(fill), fees),
+    sizing
+  };
+}
+
+/**
+ * 组合各腿的简写（如 90P/95P/105C/110C），用于日志与不交易理由
+ */
+function formatStructure(legs) {
+  return legs
+    .filter(leg => leg.type !== 'stock')
+    .map(leg => `${leg.strike}${leg.type === 'call' ? 'C' : 'P'}`)
+    .join('/');
+}
+
+/**
+ * 按预期成交价构建损益分析用的腿
+ * @param {Object} fill - fillModel.estimateFill 的结果
+ * @returns {Array} [{ type, strike, quantity, premium }]
+ */
+function getFillLegs(fill) {
+  return fill.legs.map(leg => ({ type: leg.type, strike: leg.strike, quantity: leg.quantity, premium: leg.fill }));
+}
+
+/**
+ * 组合流动性：各腿为带报价的合约，不可交易门槛沿用全链优化的流动性约束
+ * @param {Object} params - 策略参数
+ * @param {Array} legs - [{ ...合约, type, quantity }]
+ * @returns {Object} liquidity.gradeStructure 的结果
+ */
+function gradeLegs(params, legs) {
+  return gradeStructure(legs, { spot: params.currentPrice, constraints: params.optimizerConstraints });
+}
+
+/**
+ * 按到期价格分布分析组合损益：指定 probability.model 时使用该模型；
+ * 否则有波动率曲面时使用曲面隐含分布，无曲面时按平值 IV 的对数正态分布
+ * @param {Object} params - 策略参数
+ * @param {Array} legs - 组合各腿 [{ type, strike, quantity, premium }]
+ * @returns {Object} analyzePayoff 的结果
+ */
+function analyzeLegs(params, legs) {
+  const { currentPrice, atmIV, dte, optionsChain, volSurface, probability } = params;
+  const expiryDTE = optionsChain.dte || dte;
+
+  return analyzePayoff(legs, {
+    ...probability,
+    spot: currentPrice,
+    dte: expiryDTE,
+    iv: volSurface ? strike => getSurfaceIV(volSurface, strike, expiryDTE) || atmIV : atmIV
+  });
+}
+
+/**
+ * 按现实测度（近期已实现波动率）分析组合损益，供分数 Kelly 计算优势
+ * @param {Object} params - 策略参数（含 realWorld）
+ * @param {Array} legs - 组合各腿 [{ type, strike, quantity, premium }]
+ * @returns {Object|null} analyzePayoff 的结果，没有现实测度时为 null
+ */
+function analyzeRealWorld(params, legs) {
+  const { currentPrice, dte, optionsChain, realWorld } = params;
+  if (!realWorld) {
+    return null;
+  }
+
+  const { volatility, ...model } = realWorld;
+  const analysis = analyzePayoff(legs, { ...model, spot: currentPrice, dte: optionsChain.dte || dte, iv: volatility });
+  return { ...analysis, modelLabel: `已实现波动率 ${(volatility * 100).toFixed(1)}% ${analysis.modelLabel}` };
+}
+
+/**
+ * 损益分布说明（用于策略理由）
+ */
+function describePayoff(payoff, multiplier) {
+  const percent = value => `${(value * 100).toFixed(0)}%`;
+  return `${payoff.modelLabel}：期望值 $${Math.round(payoff.expectedValue * multiplier)}，` +
+    `最大盈利概率 ${percent(payoff.pMaxProfit)}，最大亏损概率 ${percent(payoff.pMaxLoss)}`;
+}
+
+/**
+ * 估算铁鹰：期权链不可用时，按 Black-Scholes 理论价构建
+ * @returns {Object|null} 策略，翼宽超出每张风险上限或不适合账户配置时为 null（不强行给出张数）
+ */
 function generateFallbackStrategy(params) {
-  const { currentPrice, atmIV, dte, volatilityRange, ivRank } = params;
-  
-  const putSell = Math.round(volatilityRange.oneSigma.lower / 5) * 5;
-  const credit = atmIV * currentPrice * 0.025;
-  const contracts = Math.ceil(150 / credit);
-  const netCredit = Math.round(credit * contracts);
-  const maxRisk = (10 * 100 * contracts) - netCredit;
+  const { currentPrice, atmIV, dte, ivRank, earnings } = params;
+
+  // 无期权链：在标准执行价网格上按目标 Delta 选取短腿
+  const putSelection = selectShortStrike(params, 'iron_condor', 'put');
+  const callSelection = selectShortStrike(params, 'iron_condor', 'call');
+  // 期权链不可用：Black-Scholes 按 ATM IV 定价各腿
+  const price = (type, strike) => priceOption({ type, spot: currentPrice, strike, dte, iv: atmIV }).price;
+  const putSell = putSelection.strike;
+  const callSell = callSelection.strike;
+  const putWing = selectWing(params, 'put', { strike: putSell, mid: price('put', putSell) });
+  const callWing = selectWing(params, 'call', { strike: callSell, mid: price('call', callSell) });
+  // 没有宽度满足每张风险上限时不给出估算策略
+  if (params.wingConstraints.maxRiskPerContract && (!putWing || !callWing)) {
+    params.rejections?.push({
+      kind: 'sizing',
+      structure: `${putSell}P/${callSell}C`,
+      explanation: `没有翼宽满足每张风险 ≤ $${params.wingConstraints.maxRiskPerContract}`
+    });
+    return null;
+  }
+  const putBuy = putWing ? putWing.best.longStrike : putSell - getStrikeInterval(currentPrice);
+  const callBuy = callWing ? callWing.best.longStrike : callSell + getStrikeInterval(currentPrice);
+
+  // 与链上铁鹰一致：跨越财报时放弃
+  const expiration = getLegsExpiration([], dte);
+  if (spansEarnings(expiration, earnings)) {
+    console.log(`Fallback iron condor dropped: expiry ${expiration} spans earnings ${earnings.nextEarningsDate}`);
+    params.rejections?.push({
+      kind: 'earnings',
+      structure: `${putBuy}P/${putSell}P/${callSell}C/${callBuy}C`,
+      explanation: `到期日 ${expiration} 跨越财报（${earnings.nextEarningsDate}）`
+    });
+    return null;
+  }
+
+  const prices = {
+    putBuy: price('put', putBuy),
+    putSell: price('put', putSell),
+    callSell: price('call', callSell),
+    callBuy: price('call', callBuy)
+  };
+
+  // 理论价没有买卖报价，按估计价差计算预期成交价
+  const fill = estimateFill([
+    { type: 'put', strike: putBuy, quantity: 1, mid: prices.putBuy },
+    { type: 'put', strike: putSell, quantity: -1, mid: prices.putSell },
+    { type: 'call', strike: callSell, quantity: -1, mid: prices.callSell },
+    { type: 'call', strike: callBuy, quantity: 1, mid: prices.callBuy }
+  ]);
+  // 不适合账户配置（或费用吃掉全部权利金）时不交易，理由由 sizeStructure 记录
+  const sized = sizeStructure(params, fill);
+  if (!sized) {
+    return null;
+  }
+  const { contracts, netCredit } = sized;
+  const maxRisk = Math.round((Math.max(putSell - putBuy, callBuy - callSell) * 100 * contracts) - netCredit);
+  const payoff = analyzeLegs(params, sized.legs);
 
   return {
     name: '铁鹰策略（估算）',
     type: 'iron_condor',
+    expiration,
     strikes: {
-      putBuy: putSell - 10,
+      putBuy,
       putSell,
-      callSell: Math.round(volatilityRange.oneSigma.upper / 5) * 5,
-      callBuy: Math.round(volatilityRange.oneSigma.upper / 5) * 5 + 10
+      callSell,
+      callBuy
+    },
+    prices: {
+      putBuy: prices.putBuy.toFixed(2),
+      putSell: prices.putSell.toFixed(2),
+      callSell: prices.callSell.toFixed(2),
+      callBuy: prices.callBuy.toFixed(2)
     },
     contracts,
     netCredit,
     maxRisk,
-    winRate: 68,
+    winRate: Math.round(payoff.pop * 100),
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
     usingRealPrices: false,
+    fill: summarizeFill(fill, contracts),
+    fees: summarizeFees(sized.fees),
+    sizing: sized.sizing,
     reasoning: [
-      '基于 IV 估算（期权链数据不可用）',
+      '基于 Black-Scholes 理论价（期权链数据不可用）',
       `预估净收益 $${netCredit}`,
       `IVR ${ivRank.ivRank}%`,
       '建议验证实际期权价格',
+      describePayoff(payoff, 100 * contracts),
       `每日 Theta 约 $${Math.round(netCredit / dte)}`
     ]
   };
 }
 
-function calcScore(s, ivr, ta, gex) {
+const EARNINGS_VERDICT_LABELS = { rich: '偏贵', cheap: '偏便宜', fair: '定价合理' };
+
+function calcScore(s, ivr, ta, gex, earnings) {
   let score = (s.winRate / 100) * 25;
   score += Math.min((s.roc / 50) * 20, 20);
   score += (ta.score / 100) * 15;
@@ -513,9 +1311,11 @@ function calcScore(s, ivr, ta, gex) {
     ? (ivr.ivRank >= 70 ? 15 : ivr.ivRank >= 50 ? 12 : 8)
     : (ivr.ivRank < 30 ? 15 : ivr.ivRank < 50 ? 10 : 5);
   
-  score += 10;
+  score += calculateLiquidityScore(s);
   score += gex.available && s.type === 'iron_condor' && gex.gamma_environment === 'positive' ? 10 : 6;
-  score += s.usingRealPrices ? 5 : 3;
+  score += calculateGreeksScore(s);
+  score -= s.usingRealPrices ? 0 : 2;
+  score -= calculateEarningsPenalty(s, earnings);
   
   return Math.round(Math.max(0, Math.min(100, score)));
 }
@@ -4,6 +4,8 @@
  * 检查近 7 天是否有财报
  */
 
+import { fetchNextEarnings } from './_lib/earnings.js';
+
 export default async function handler(req, res) {
   // CORS 头
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -29,19 +31,9 @@ export default async function handler(req, res) {
   }
 
   try {
-    const url = `https://www.alphavantage.co/query?function=EARNINGS_CALENDAR&symbol=${symbol}&horizon=3month&apikey=${API_KEY}`;
-
-    const response = await fetch(url);
-    const csvText = await response.text();
-
-    // 检查错误
-    if (csvText.includes('Error Message') || csvText.includes('Note')) {
-      return res.status(429).json({ error: 'API rate limit or error' });
-    }
+    const { nextEarningsDate, daysUntilEarnings, estimate } = await fetchNextEarnings(symbol.toUpperCase());
 
-    // 解析 CSV
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) {
+    if (!nextEarningsDate) {
       return res.status(200).json({
         symbol,
         hasEarningsNear: false,
@@ -51,44 +43,15 @@ export default async function handler(req, res) {
       });
     }
 
-    // 跳过标题行
-    const dataLines = lines.slice(1);
-    
-    // 查找最近的财报日期
-    let nearestEarnings = null;
-    let minDays = Infinity;
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    for (const line of dataLines) {
-      const parts = line.split(',');
-      if (parts.length < 2) continue;
-
-      const earningsDate = new Date(parts[1]);
-      earningsDate.setHours(0, 0, 0, 0);
-
-      const diffTime = earningsDate - today;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-      if (diffDays >= 0 && diffDays < minDays) {
-        minDays = diffDays;
-        nearestEarnings = {
-          date: parts[1],
-          estimate: parts[2] || 'N/A'
-        };
-      }
-    }
-
     // 判断是否在近 7 天内
-    const hasEarningsNear = minDays <= 7;
+    const hasEarningsNear = daysUntilEarnings <= 7;
 
     res.status(200).json({
       symbol,
       hasEarningsNear,
-      nextEarningsDate: nearestEarnings?.date || null,
-      daysUntilEarnings: minDays === Infinity ? null : minDays,
-      estimate: nearestEarnings?.estimate || null,
+      nextEarningsDate,
+      daysUntilEarnings,
+      estimate: estimate || null,
       warning: hasEarningsNear ? '⚠️ 财报在近 7 天内，风险较高' : null,
       timestamp: new Date().toISOString()
     });
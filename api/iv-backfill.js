@@ -0,0 +1,148 @@
+/**
+ * 历史 IV 回填任务
+ * 用 Alpha Vantage HISTORICAL_OPTIONS 补齐过去 12 个月缺失的每日 30 天 ATM IV
+ * 每次运行最多回填 limit 个交易日（受 API 限额约束），由 Vercel Cron 定时触发
+ * 失败的交易日记录退避时间，之后的运行跳过它们继续向前回填
+ * 需要持久化的 DATA_DIR（Vercel 函数的文件系统只读，/tmp 不跨实例保留）
+ */
+
+import { fetchAlphaVantage } from './_lib/alphaVantage.js';
+import {
+  getIVHistory,
+  compactIVHistory,
+  isValidSymbol,
+  recordIVSnapshot,
+  recordBackfillFailure,
+  getBackfillFailures,
+  isBackfillBlocked
+} from './_lib/ivHistoryStore.js';
+import { calculateSnapshotIV } from '../src/lib/ivRank.js';
+
+export default async function handler(req, res) {
+  // CORS 头
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // 配置了 CRON_SECRET 时只接受携带该密钥的请求
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && req.headers?.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const {
+    symbols = process.env.IV_BACKFILL_SYMBOLS || 'SPY,QQQ',
+    days = 365,
+    limit = 10
+  } = req.query;
+
+  if (!process.env.ALPHA_VANTAGE_API_KEY) {
+    return res.status(500).json({ error: 'ALPHA_VANTAGE_API_KEY not configured' });
+  }
+
+  // 回填结果必须写入持久存储，否则每次运行都从头开始
+  if (!process.env.DATA_DIR) {
+    return res.status(500).json({ error: 'DATA_DIR not configured', details: 'IV backfill requires a persistent DATA_DIR' });
+  }
+
+  const symbolList = symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  const results = [];
+
+  for (const symbol of symbolList) {
+    if (!isValidSymbol(symbol)) {
+      results.push({ symbol, error: 'Invalid symbol' });
+      continue;
+    }
+
+    try {
+      results.push(await backfillSymbol(symbol, parseInt(days) || 365, parseInt(limit) || 10));
+    } catch (error) {
+      console.error(`IV backfill failed for ${symbol}:`, error);
+      results.push({ symbol, error: error.message });
+    }
+  }
+
+  res.status(200).json({
+    results,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * 回填单个标的
+ */
+async function backfillSymbol(symbol, days, limit) {
+  // 日线收盘价作为当日 ATM 的参考价格
+  const dailyData = await fetchAlphaVantage({
+    function: 'TIME_SERIES_DAILY',
+    symbol,
+    outputsize: 'full'
+  }, { ttl: 60 * 60 });
+
+  const series = dailyData['Time Series (Daily)'];
+  if (!series) {
+    throw new Error('No daily price history available');
+  }
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  const cutoffDate = cutoff.toISOString().slice(0, 10);
+
+  const history = await getIVHistory(symbol, { days });
+  const recorded = new Set(history.map(record => record.date));
+  const failures = await getBackfillFailures(symbol);
+
+  // 从最近的交易日开始回填，跳过退避期内或已放弃的失败交易日
+  const missingDates = Object.keys(series)
+    .filter(date => date >= cutoffDate && !recorded.has(date))
+    .sort((a, b) => b.localeCompare(a));
+  const pendingDates = missingDates.filter(date => !isBackfillBlocked(failures.get(date)));
+
+  let filled = 0;
+  let failed = 0;
+
+  for (const date of pendingDates.slice(0, limit)) {
+    const spot = parseFloat(series[date]['4. close']);
+
+    try {
+      const optionsData = await fetchAlphaVantage({
+        function: 'HISTORICAL_OPTIONS',
+        symbol,
+        date
+      });
+
+      const iv = calculateSnapshotIV(optionsData?.data || [], spot, date);
+      if (!iv) {
+        await recordBackfillFailure(symbol, date, 'No usable ATM IV', failures.get(date));
+        failed++;
+        continue;
+      }
+
+      await recordIVSnapshot(symbol, { date, iv, spot, source: 'backfill' });
+      filled++;
+    } catch (error) {
+      console.error(`IV backfill ${symbol} ${date} failed:`, error.message);
+      await recordBackfillFailure(symbol, date, error.message, failures.get(date));
+      failed++;
+    }
+  }
+
+  // 重复写入（分析请求按日追加）在这里压缩，读取路径保持只读
+  const compacted = await compactIVHistory(symbol);
+
+  return {
+    symbol,
+    filled,
+    compacted,
+    failed,
+    skipped: missingDates.length - pendingDates.length,
+    remaining: Math.max(0, pendingDates.length - filled - failed),
+    historyDays: history.length + filled
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * 历史 IV API
+ * 返回标的的每日 30 天 ATM IV 序列及 52 周 IV Rank / 百分位
+ */
+
+import { getIVHistory, getIVRankFromHistory, isValidSymbol } from './_lib/ivHistoryStore.js';
+
+export default async function handler(req, res) {
+  // CORS 头
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const { symbol, days = 365 } = req.query;
+
+  if (!symbol) {
+    return res.status(400).json({ error: 'Symbol is required' });
+  }
+
+  const upperSymbol = String(symbol).toUpperCase();
+  if (!isValidSymbol(upperSymbol)) {
+    return res.status(400).json({ error: 'Invalid symbol', details: 'Symbol must match /^[A-Z0-9.^-]{1,10}$/' });
+  }
+
+  try {
+    const history = await getIVHistory(upperSymbol, { days: parseInt(days) || 365 });
+    const latest = history[history.length - 1] || null;
+    const rank = latest ? await getIVRankFromHistory(upperSymbol, latest.iv) : null;
+
+    const ivs = history.map(record => record.iv);
+
+    res.status(200).json({
+      symbol: upperSymbol,
+      days: parseInt(days) || 365,
+      count: history.length,
+      latest,
+      ivRank: rank?.ivRank ?? null,
+      ivPercentile: rank?.ivPercentile ?? null,
+      stats: ivs.length > 0 ? {
+        min: Math.min(...ivs),
+        max: Math.max(...ivs),
+        mean: Math.round(ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length * 10000) / 10000
+      } : null,
+      history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('IV History API Error:', error);
+    res.status(500).json({
+      error: 'Failed to read IV history',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * 交易管理任务
+ * 重估全部未平仓持仓，按管理规则（止盈、止损、到期离场、短腿击穿、Delta 超限）生成提醒，
+ * 通过 ALERT_NOTIFIERS 配置的渠道发送（同一持仓同一规则每天一次，只记录至少一个渠道送达的提醒），由 Vercel Cron 每个交易日触发一次
+ * 全部渠道发送失败时返回 502，下次运行会重新发送
+ * 参数：规则覆盖（profitTargetPct、stopLossMultiple、exitDTE、shortStrikeBreach、maxShortDelta，off 关闭）、
+ * notifiers（覆盖 ALERT_NOTIFIERS）、dryRun=1（只评估不发送）
+ */
+
+import { evaluatePositions, parseManagementRules } from '../src/lib/tradeManagement.js';
+import { listPositions } from './_lib/positionStore.js';
+import { revaluePositions } from './_lib/positionMarket.js';
+import { createNotifiers, notifyAll } from './_lib/notifiers.js';
+import { filterNewAlerts, recordAlerts } from './_lib/alertStore.js';
+
+export default async function handler(req, res) {
+  // CORS 头
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // 配置了 CRON_SECRET 时只接受携带该密钥的请求
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && req.headers?.authorization !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const {
+    notifiers = process.env.ALERT_NOTIFIERS || 'console',
+    dryRun = '0'
+  } = req.query;
+
+  try {
+    const rules = parseManagementRules(req.query, process.env);
+    const positions = await listPositions({ status: 'open' });
+    const entries = await revaluePositions(positions, true);
+    const alerts = evaluatePositions(entries, rules);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const fresh = await filterNewAlerts(alerts, today);
+    let delivery = {};
+    let delivered = [];
+
+    if (dryRun !== '1' && fresh.length > 0) {
+      ({ results: delivery, delivered } = await notifyAll(createNotifiers(notifiers), fresh));
+      await recordAlerts(delivered, today);
+    }
+
+    // 有新提醒但没有任何渠道送达：不记录，返回失败以便重试与告警
+    const deliveryFailed = dryRun !== '1' && fresh.length > 0 && delivered.length === 0;
+    if (deliveryFailed) {
+      console.error(`Alert delivery failed for all notifiers: ${notifiers}`);
+    }
+
+    res.status(deliveryFailed ? 502 : 200).json({
+      ...(deliveryFailed ? {
+        error: 'Alert delivery failed',
+        details: Object.entries(delivery).map(([name, result]) => `${name}: ${result.error}`).join('; ') || `No notifier available: ${notifiers}`
+      } : {}),
+      rules,
+      evaluated: entries.length,
+      failed: entries.filter(entry => entry.error).map(entry => ({ id: entry.position.id, symbol: entry.position.symbol, error: entry.error })),
+      alerts,
+      sent: delivered.length,
+      unsent: dryRun === '1' ? 0 : fresh.length - delivered.length,
+      suppressed: alerts.length - fresh.length,
+      delivery,
+      dryRun: dryRun === '1',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Trade management error:', error);
+    res.status(500).json({
+      error: 'Failed to evaluate positions',
+      details: error.message
+    });
+  }
+}
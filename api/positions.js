@@ -0,0 +1,156 @@
+/**
+ * 持仓 API
+ * GET    /api/positions            列出持仓（status=open|closed，revalue=0 跳过重估）
+ * GET    /api/positions?id=...     单个持仓
+ * POST   /api/positions            新建持仓（各腿成交记录）
+ * PUT    /api/positions?id=...     修改 / 平仓（status: 'closed' 与各腿 closePrice）
+ * DELETE /api/positions?id=...     删除持仓
+ * 写操作（POST / PUT / DELETE）需携带 Authorization: Bearer <POSITIONS_SECRET>，未配置密钥时拒绝写入
+ * 未平仓持仓以 Alpha Vantage 最新期权链重估：未实现盈亏、最大利润获取比例、持仓天数、组合 Greeks，
+ * 并按交易管理规则（见 tradeManagement.js，规则参数同 /api/manage-positions）附带提醒
+ * 重估每个标的消耗 2 次 Alpha Vantage 请求，同样需要 POSITIONS_SECRET，且整个请求共用一个等待预算
+ * 需要持久化的 DATA_DIR（Vercel 函数的文件系统只读，/tmp 不跨实例保留）
+ */
+
+import { summarizePortfolio } from '../src/lib/positionValuation.js';
+import { evaluatePosition, parseManagementRules } from '../src/lib/tradeManagement.js';
+import { revaluePositions } from './_lib/positionMarket.js';
+import { withAlphaVantageBudget, DEFAULT_MAX_WAIT_MS } from './_lib/alphaVantage.js';
+import {
+  validatePosition,
+  listPositions,
+  getPosition,
+  createPosition,
+  updatePosition,
+  deletePosition,
+  POSITION_STATUSES
+} from './_lib/positionStore.js';
+
+export default async function handler(req, res) {
+  // CORS 头
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  // 持仓必须写入持久存储，否则写入的持仓随实例丢失
+  if (!process.env.DATA_DIR) {
+    return res.status(503).json({ error: 'DATA_DIR not configured', details: 'Positions require a persistent DATA_DIR' });
+  }
+
+  const positionsSecret = process.env.POSITIONS_SECRET;
+  const authorized = Boolean(positionsSecret) && req.headers?.authorization === `Bearer ${positionsSecret}`;
+
+  // 写操作只接受携带 POSITIONS_SECRET 的请求
+  if (req.method !== 'GET') {
+    if (!positionsSecret) {
+      return res.status(500).json({
+        error: 'POSITIONS_SECRET not configured',
+        details: 'Position writes require POSITIONS_SECRET'
+      });
+    }
+    if (!authorized) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  const { id, status, revalue = '1' } = req.query;
+  const rules = parseManagementRules(req.query, process.env);
+
+  // 未携带密钥的读取只返回存储的持仓，不消耗 Alpha Vantage 额度
+  const revalueRequested = revalue !== '0';
+  const revalued = revalueRequested && authorized;
+  const revaluationError = revalueRequested && !authorized ? 'Revaluation requires POSITIONS_SECRET' : null;
+
+  try {
+    if (req.method === 'GET') {
+      if (id) {
+        const position = await getPosition(id);
+        if (!position) {
+          return res.status(404).json({ error: 'Position not found' });
+        }
+        const [entry] = withAlerts(await revalueWithinBudget([position], revalued, revaluationError), rules);
+        return res.status(200).json({ ...entry, revalued, timestamp: new Date().toISOString() });
+      }
+
+      const positions = await listPositions({ status: POSITION_STATUSES.includes(status) ? status : undefined });
+      const entries = withAlerts(await revalueWithinBudget(positions, revalued, revaluationError), rules);
+
+      return res.status(200).json({
+        count: entries.length,
+        revalued,
+        positions: entries,
+        portfolio: summarizePortfolio(entries),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (req.method === 'POST') {
+      const errors = validatePosition(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid position', details: errors });
+      }
+      const position = await createPosition(req.body);
+      return res.status(201).json({ position });
+    }
+
+    if (req.method === 'PUT' || req.method === 'PATCH') {
+      if (!id) {
+        return res.status(400).json({ error: 'id is required' });
+      }
+      const errors = validatePosition(req.body, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid position', details: errors });
+      }
+      const position = await updatePosition(id, req.body);
+      if (!position) {
+        return res.status(404).json({ error: 'Position not found' });
+      }
+      return res.status(200).json({ position });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!id) {
+        return res.status(400).json({ error: 'id is required' });
+      }
+      const deleted = await deletePosition(id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Position not found' });
+      }
+      return res.status(200).json({ deleted: true, id });
+    }
+
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+
+  } catch (error) {
+    console.error('Positions API Error:', error);
+    res.status(500).json({
+      error: 'Failed to process positions',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * 在 Alpha Vantage 等待预算内重估持仓；预算用尽后剩余标的立即失败，不拖过函数超时
+ * 未重估的未平仓持仓附带 skippedError 说明原因
+ */
+async function revalueWithinBudget(positions, revalue, skippedError) {
+  const entries = await withAlphaVantageBudget(DEFAULT_MAX_WAIT_MS, () => revaluePositions(positions, revalue));
+  if (revalue || !skippedError) {
+    return entries;
+  }
+  return entries.map(entry => (entry.position.status === 'open' ? { ...entry, error: skippedError } : entry));
+}
+
+/**
+ * 为每个持仓附带交易管理提醒
+ */
+function withAlerts(entries, rules) {
+  return entries.map(entry => ({ ...entry, alerts: evaluatePosition(entry.position, entry.valuation, rules) }));
+}
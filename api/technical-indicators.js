@@ -1,9 +1,11 @@
 /**
  * 技术指标 API
- * 获取 MACD、RSI、STOCH（KD）指标
- * 支持多周期：日线、1小时、2小时
+ * 由一条 OHLCV K 线在本地计算 MACD、RSI、STOCH（KD）、ATR、布林带、EMA
+ * 支持多周期：日线、1小时、2小时（120min）
  */
 
+import { fetchIndicators } from './_lib/technicals.js';
+
 export default async function handler(req, res) {
   // CORS 头
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -29,20 +31,19 @@ export default async function handler(req, res) {
   }
 
   try {
-    // 并行获取三个指标
-    const [macdData, rsiData, stochData] = await Promise.all([
-      fetchMACD(symbol, interval, API_KEY),
-      fetchRSI(symbol, interval, API_KEY),
-      fetchSTOCH(symbol, interval, API_KEY)
-    ]);
+    const indicators = await fetchIndicators(symbol, interval);
 
     // 返回综合数据
     res.status(200).json({
       symbol,
       interval,
-      macd: macdData,
-      rsi: rsiData,
-      stoch: stochData,
+      macd: indicators.macd,
+      rsi: indicators.rsi,
+      stoch: indicators.stoch,
+      atr: indicators.atr,
+      bollinger: indicators.bollinger,
+      ema: indicators.ema,
+      bars: indicators.bars,
       timestamp: new Date().toISOString()
     });
 
@@ -54,74 +55,3 @@ export default async function handler(req, res) {
     });
   }
 }
-
-async function fetchMACD(symbol, interval, apiKey) {
-  const url = `https://www.alphavantage.co/query?function=MACD&symbol=${symbol}&interval=${interval}&series_type=close&apikey=${apiKey}`;
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data['Error Message'] || data['Note']) {
-    throw new Error('MACD API error');
-  }
-
-  const technical = data['Technical Analysis: MACD'];
-  if (!technical) return null;
-
-  const latest = Object.keys(technical)[0];
-  const values = technical[latest];
-
-  return {
-    macd: parseFloat(values['MACD']),
-    signal: parseFloat(values['MACD_Signal']),
-    hist: parseFloat(values['MACD_Hist']),
-    trend: parseFloat(values['MACD_Hist']) > 0 ? 'bullish' : 'bearish'
-  };
-}
-
-async function fetchRSI(symbol, interval, apiKey) {
-  const url = `https://www.alphavantage.co/query?function=RSI&symbol=${symbol}&interval=${interval}&time_period=14&series_type=close&apikey=${apiKey}`;
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data['Error Message'] || data['Note']) {
-    throw new Error('RSI API error');
-  }
-
-  const technical = data['Technical Analysis: RSI'];
-  if (!technical) return null;
-
-  const latest = Object.keys(technical)[0];
-  const rsi = parseFloat(technical[latest]['RSI']);
-
-  return {
-    value: rsi,
-    signal: rsi > 70 ? 'overbought' : rsi < 30 ? 'oversold' : 'neutral'
-  };
-}
-
-async function fetchSTOCH(symbol, interval, apiKey) {
-  const url = `https://www.alphavantage.co/query?function=STOCH&symbol=${symbol}&interval=${interval}&apikey=${apiKey}`;
-  const response = await fetch(url);
-  const data = await response.json();
-
-  if (data['Error Message'] || data['Note']) {
-    throw new Error('STOCH API error');
-  }
-
-  const technical = data['Technical Analysis: STOCH'];
-  if (!technical) return null;
-
-  const latest = Object.keys(technical)[0];
-  const values = technical[latest];
-
-  const slowK = parseFloat(values['SlowK']);
-  const slowD = parseFloat(values['SlowD']);
-
-  return {
-    k: slowK,
-    d: slowD,
-    signal: slowK > 80 ? 'overbought' : slowK < 20 ? 'oversold' : 'neutral',
-    trend: slowK > slowD ? 'bullish' : 'bearish'
-  };
-}
-
@@ -1,9 +1,14 @@
 import { useState } from 'react';
+import PayoffChart from './components/PayoffChart.jsx';
+import PositionsPage from './components/PositionsPage.jsx';
 import './App.css';
 
 function App() {
+  const [page, setPage] = useState('analysis');
   const [symbol, setSymbol] = useState('');
   const [dte, setDte] = useState('7');
+  const [accountValue, setAccountValue] = useState('');
+  const [maxRiskPct, setMaxRiskPct] = useState('');
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
@@ -19,7 +24,10 @@ function App() {
     setResult(null);
 
     try {
-      const response = await fetch(`/api/analyze?symbol=${symbol.toUpperCase()}&dte=${dte}`);
+      const query = new URLSearchParams({ symbol: symbol.toUpperCase(), dte });
+      if (accountValue) query.set('accountValue', accountValue);
+      if (maxRiskPct) query.set('maxRiskPct', maxRiskPct);
+      const response = await fetch(`/api/analyze?${query}`);
       const data = await response.json();
 
       if (!response.ok) {
@@ -34,13 +42,36 @@ function App() {
     }
   };
 
-  return (
-    <div className="app">
+  const header = (
+    <>
       <header className="header">
         <h1>📊 期权现金流计算器</h1>
-        <p>智能推荐周度/双周度期权策略，每组净收益 ≥ $150</p>
+        <p>智能推荐周度/双周度期权策略，按账户规模与风险上限确定张数</p>
       </header>
 
+      <nav className="page-tabs">
+        {[['analysis', '策略分析'], ['positions', '持仓跟踪']].map(([key, label]) => (
+          <button key={key} className={page === key ? 'active' : ''} onClick={() => setPage(key)}>
+            {label}
+          </button>
+        ))}
+      </nav>
+    </>
+  );
+
+  if (page === 'positions') {
+    return (
+      <div className="app">
+        {header}
+        <PositionsPage />
+      </div>
+    );
+  }
+
+  return (
+    <div className="app">
+      {header}
+
       <div className="input-section">
         <div className="input-group">
           <label>股票代码</label>
@@ -61,6 +92,29 @@ function App() {
           </select>
         </div>
 
+        <div className="input-group">
+          <label>账户资金 ($)</label>
+          <input
+            type="number"
+            min="0"
+            placeholder="默认 50000"
+            value={accountValue}
+            onChange={(e) => setAccountValue(e.target.value)}
+          />
+        </div>
+
+        <div className="input-group">
+          <label>单笔风险上限 (%)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            placeholder="默认 5"
+            value={maxRiskPct}
+            onChange={(e) => setMaxRiskPct(e.target.value)}
+          />
+        </div>
+
         <button 
           className="analyze-btn" 
           onClick={handleAnalyze}
@@ -101,17 +155,123 @@ function App() {
                 <span className="label">波动范围</span>
                 <span className="value">
                   ${result.volatilityRange.oneSigma.lower.toFixed(2)} - ${result.volatilityRange.oneSigma.upper.toFixed(2)}
+                  {result.volatilityRange.modelLabel && `（${result.volatilityRange.modelLabel}）`}
                 </span>
               </div>
               <div className="info-item">
                 <span className="label">Gamma 环境</span>
                 <span className="value">{result.gexData.gamma_environment}</span>
               </div>
+              <div className="info-item">
+                <span className="label">下次财报</span>
+                <span className="value">
+                  {result.earnings?.nextEarningsDate
+                    ? `${result.earnings.nextEarningsDate}（${result.earnings.daysUntilEarnings} 天）${result.earnings.spansExpiry ? ' ⚠️' : ''}`
+                    : '暂无'}
+                </span>
+              </div>
             </div>
           </div>
 
+          {result.earnings?.nextEarningsDate && (
+            <div className="earnings-panel">
+              <h2>📅 财报波动</h2>
+              <div className="info-grid">
+                <div className="info-item">
+                  <span className="label">财报日期</span>
+                  <span className="value">{result.earnings.nextEarningsDate}</span>
+                </div>
+                <div className="info-item">
+                  <span className="label">隐含波动（跨式）</span>
+                  <span className="value">
+                    {result.earnings.expectedMove
+                      ? `±$${result.earnings.expectedMove.amount}（${result.earnings.expectedMove.percent}%）`
+                      : '暂无'}
+                  </span>
+                </div>
+                {result.earnings.moveComparison && (
+                  <>
+                    <div className="info-item">
+                      <span className="label">历史平均波动</span>
+                      <span className="value">
+                        ±{result.earnings.moveComparison.averagePercent}%（中位数 {result.earnings.moveComparison.medianPercent}%）
+                      </span>
+                    </div>
+                    <div className="info-item">
+                      <span className="label">跨式定价</span>
+                      <span className={`value verdict-${result.earnings.moveComparison.verdict}`}>
+                        {{ rich: '偏贵（利于卖方）', cheap: '偏便宜（利于买方）', fair: '合理' }[result.earnings.moveComparison.verdict]}
+                        {' '}× {result.earnings.moveComparison.ratio}
+                      </span>
+                    </div>
+                  </>
+                )}
+              </div>
+              {result.earnings.historicalMoves?.length > 0 && (
+                <table className="earnings-history">
+                  <thead>
+                    <tr>
+                      <th>财报日</th>
+                      <th>时段</th>
+                      <th>财报前</th>
+                      <th>财报后</th>
+                      <th>涨跌</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.earnings.historicalMoves.map(move => (
+                      <tr key={move.date}>
+                        <td>{move.date}</td>
+                        <td>{move.reportTime === 'pre-market' ? '盘前' : '盘后'}</td>
+                        <td>${move.before}</td>
+                        <td>${move.after}</td>
+                        <td className={move.percent >= 0 ? 'green' : 'red'}>
+                          {move.percent >= 0 ? '+' : ''}{move.percent}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {result.taScore.details && (
+            <div className="ta-signals">
+              <h2>📈 技术信号</h2>
+              <div className="ta-grid">
+                {[['daily', '日线'], ['hourly1', '1 小时'], ['hourly2', '2 小时']].map(([key, label]) => {
+                  const period = result.taScore.details[key];
+                  if (!period) return null;
+                  return (
+                    <div key={key} className="ta-period">
+                      <h4>{label} · {period.score}/100 ({period.trend})</h4>
+                      {period.signals.length > 0 ? (
+                        <ul>
+                          {period.signals.map((signal, i) => (
+                            <li key={i}>{signal}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <p className="ta-empty">指标数据不可用</p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           <div className="strategies-section">
             <h2>🎯 推荐策略（前 3 名）</h2>
+            {result.noTrade && (
+              <div className="strategy-card no-trade">
+                <h3>🚫 不交易：{result.noTrade.reason}</h3>
+                {result.noTrade.rejections.map((rejection, index) => (
+                  <p key={index} className="strategy-sizing">{rejection.structure}：{rejection.explanation}</p>
+                ))}
+              </div>
+            )}
             {result.strategies.map((strategy, index) => (
               <div key={index} className="strategy-card">
                 <div className="strategy-header">
@@ -124,22 +284,66 @@ function App() {
                 </div>
 
                 <div className="strategy-metrics">
-                  <div className="metric">
-                    <span className="metric-label">净收益</span>
-                    <span className="metric-value green">${strategy.netCredit}</span>
-                  </div>
+                  {strategy.netDebit !== undefined ? (
+                    <div className="metric">
+                      <span className="metric-label">净支出</span>
+                      <span className="metric-value">${strategy.netDebit}</span>
+                    </div>
+                  ) : (
+                    <div className="metric">
+                      <span className="metric-label">净收益</span>
+                      <span className="metric-value green">${strategy.netCredit}</span>
+                    </div>
+                  )}
                   <div className="metric">
                     <span className="metric-label">最大风险</span>
                     <span className="metric-value red">${strategy.maxRisk}</span>
                   </div>
                   <div className="metric">
                     <span className="metric-label">胜率</span>
-                    <span className="metric-value">{strategy.winRate}%</span>
+                    <span className="metric-value" title={strategy.probabilities?.modelLabel}>{strategy.winRate}%</span>
                   </div>
                   <div className="metric">
                     <span className="metric-label">张数</span>
-                    <span className="metric-value">{strategy.contracts}</span>
+                    <span className="metric-value" title={strategy.sizing?.explanation}>{strategy.contracts}</span>
                   </div>
+                  {strategy.margin?.permitted && (
+                    <div className="metric">
+                      <span className="metric-label">购买力占用</span>
+                      <span
+                        className="metric-value"
+                        title={[
+                          strategy.margin.label,
+                          `Reg-T：${strategy.margin.regT ? `$${strategy.margin.regT.buyingPower}` : '不允许'}`,
+                          `组合保证金：$${strategy.margin.portfolio.buyingPower}`,
+                          `现金：${strategy.margin.cash ? `$${strategy.margin.cash.buyingPower}` : '不允许'}`
+                        ].join('\n')}
+                      >
+                        ${strategy.margin.buyingPower}
+                      </span>
+                    </div>
+                  )}
+                  {strategy.margin?.returnOnBuyingPower != null && (
+                    <div className="metric">
+                      <span className="metric-label">购买力回报</span>
+                      <span className="metric-value green" title={`ROC（按最大风险）${strategy.roc}%`}>
+                        {strategy.margin.returnOnBuyingPower}% · 年化 {strategy.margin.annualizedReturn}%
+                      </span>
+                    </div>
+                  )}
+                  {strategy.liquidity && (
+                    <div className="metric">
+                      <span className="metric-label">流动性</span>
+                      <span
+                        className="metric-value"
+                        title={strategy.liquidity.legs
+                          .map(leg => `${leg.strike}${leg.type === 'call' ? 'C' : 'P'}：价差 ${(leg.spreadPct * 100).toFixed(0)}%，OI ${leg.openInterest}，成交量 ${leg.volume}`)
+                          .join('\n')}
+                      >
+                        {strategy.liquidity.grade} · {strategy.liquidity.score}
+                      </span>
+                    </div>
+                  )}
                 </div>
 
                 <div className="strategy-strikes">
@@ -150,17 +354,59 @@ function App() {
                       Call: {strategy.strikes.callSell}/{strategy.strikes.callBuy}
                     </p>
                   )}
-                  {strategy.type === 'credit_spread' && (
+                  {(strategy.type === 'credit_spread' || strategy.type === 'vertical_spread') && (
                     <p>
-                      {strategy.direction === 'put' ? 'Put' : 'Call'}: 
+                      {strategy.direction === 'put' || strategy.strikes.sell < result.currentPrice ? 'Put' : 'Call'}: 
                       买入 {strategy.strikes.buy} / 卖出 {strategy.strikes.sell}
                     </p>
                   )}
+                  {strategy.type === 'calendar_spread' && (
+                    <p>
+                      {strategy.strikes.strike}：卖出 {strategy.expirations.short || `${strategy.strikes.shortDTE} 天`} / 买入 {strategy.expirations.long || `${strategy.strikes.longDTE} 天`}
+                    </p>
+                  )}
+                  {strategy.type === 'diagonal_spread' && (
+                    <p>
+                      卖出 {strategy.strikes.shortStrike}（{strategy.expirations.short || `${strategy.strikes.shortDTE} 天`}）/
+                      买入 {strategy.strikes.longStrike}（{strategy.expirations.long || `${strategy.strikes.longDTE} 天`}）
+                    </p>
+                  )}
                   {strategy.type === 'cash_secured_put' && (
                     <p>卖出 Put {strategy.strikes.sell}</p>
                   )}
+                  {strategy.fill && (
+                    <p className="strategy-fill" title={`预期成交让出 ${(strategy.fill.slippage * 100).toFixed(0)}% 价差，滑点约 $${strategy.fill.slippageCost}`}>
+                      每股{strategy.fill.mid >= 0 ? '收入' : '支出'}：自然价 ${Math.abs(strategy.fill.natural).toFixed(2)} /
+                      中间价 ${Math.abs(strategy.fill.mid).toFixed(2)} / 预期成交 ${Math.abs(strategy.fill.expected).toFixed(2)}
+                      {strategy.fill.estimated && '（估计价差）'}
+                    </p>
+                  )}
+                  {strategy.fees && (
+                    <p className="strategy-fees">
+                      费用（{strategy.fees.label}）：${strategy.fees.total}
+                      {strategy.fees.roundTrip ? `（开仓 $${strategy.fees.open} + 平仓 $${strategy.fees.close}）` : '（仅开仓）'}，
+                      已从净收益中扣除
+                    </p>
+                  )}
+                  {strategy.sizing && (
+                    <p className="strategy-sizing" title={strategy.sizing.constraints.map(c => `${c.label}：${c.contracts} 张（${c.detail}）`).join('\n')}>
+                      仓位：{strategy.sizing.explanation}
+                    </p>
+                  )}
                 </div>
 
+                {strategy.legs?.length > 0 && (
+                  <div className="strategy-payoff">
+                    <h4>📉 损益图</h4>
+                    <PayoffChart
+                      strategy={strategy}
+                      currentPrice={result.currentPrice}
+                      volatilityRange={result.volatilityRange}
+                      gexData={result.gexData}
+                    />
+                  </div>
+                )}
+
                 <div className="strategy-reasoning">
                   <h4>📝 策略理由</h4>
                   <ul>
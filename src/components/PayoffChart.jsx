@@ -0,0 +1,149 @@
+import { useMemo, useState } from 'react';
+import { calculatePayoff } from '../lib/payoffEngine.js';
+
+// 画布尺寸（viewBox 坐标）与边距
+const WIDTH = 640;
+const HEIGHT = 260;
+const MARGIN = { top: 16, right: 16, bottom: 28, left: 56 };
+const STEPS = 160;
+
+// 到期曲线之外的中间日期曲线数量（T+0 与两个中间日期）
+const INTERMEDIATE_CURVES = 3;
+const CURVE_COLORS = ['#94a3b8', '#60a5fa', '#a78bfa', '#0f766e'];
+
+/**
+ * 策略损益图：到期损益与 T+n 损益曲线（期权腿按 Black-Scholes 以自身 IV 重估），
+ * 标注盈亏平衡点、±1σ / ±2σ 区间、Zero Gamma 与现价；悬停显示任意价格的损益
+ * @param {Object} props - { strategy: 含 legs、contracts、probabilities, currentPrice, volatilityRange, gexData }
+ */
+function PayoffChart({ strategy, currentPrice, volatilityRange, gexData }) {
+  const [hoverPrice, setHoverPrice] = useState(null);
+  const legs = strategy.legs;
+  const multiplier = 100 * (strategy.contracts || 1);
+
+  const chart = useMemo(() => {
+    if (!legs || legs.length === 0) return null;
+
+    // 最早到期的期权腿决定到期曲线；中间日期在今天与到期之间等分
+    const optionDTEs = legs.filter(leg => leg.type !== 'stock').map(leg => leg.dte).filter(dte => dte > 0);
+    const expiryDTE = optionDTEs.length > 0 ? Math.min(...optionDTEs) : 0;
+    const horizons = [...new Set([
+      ...Array.from({ length: INTERMEDIATE_CURVES }, (_, i) => Math.round(expiryDTE * i / INTERMEDIATE_CURVES)),
+      expiryDTE
+    ])];
+
+    // 价格区间覆盖 ±2σ 与全部执行价
+    const strikes = legs.filter(leg => leg.strike).map(leg => leg.strike);
+    const twoSigma = volatilityRange?.twoSigma;
+    const low = Math.min(currentPrice, ...strikes, twoSigma?.lower ?? currentPrice) * 0.97;
+    const high = Math.max(currentPrice, ...strikes, twoSigma?.upper ?? currentPrice) * 1.03;
+
+    const pnlAt = (price, horizonDTE) => calculatePayoff(legs, price, { horizonDTE }) * multiplier;
+    const curves = horizons.map((horizonDTE, index) => ({
+      horizonDTE,
+      label: horizonDTE === expiryDTE ? '到期' : `T+${horizonDTE}`,
+      color: horizonDTE === expiryDTE ? CURVE_COLORS[CURVE_COLORS.length - 1] : CURVE_COLORS[index],
+      points: Array.from({ length: STEPS + 1 }, (_, i) => {
+        const price = low + (high - low) * i / STEPS;
+        return { price, pnl: pnlAt(price, horizonDTE) };
+      })
+    }));
+
+    const values = curves.flatMap(curve => curve.points.map(point => point.pnl));
+    const padding = Math.max(1, (Math.max(...values) - Math.min(...values)) * 0.08);
+    const pnlMin = Math.min(0, ...values) - padding;
+    const pnlMax = Math.max(0, ...values) + padding;
+
+    const x = price => MARGIN.left + (price - low) / (high - low) * (WIDTH - MARGIN.left - MARGIN.right);
+    const y = pnl => MARGIN.top + (pnlMax - pnl) / (pnlMax - pnlMin) * (HEIGHT - MARGIN.top - MARGIN.bottom);
+
+    return { curves, low, high, pnlMin, pnlMax, x, y, pnlAt };
+  }, [legs, multiplier, currentPrice, volatilityRange]);
+
+  if (!chart) return null;
+
+  const { curves, low, high, pnlMin, pnlMax, x, y, pnlAt } = chart;
+  const plotBottom = HEIGHT - MARGIN.bottom;
+  const inRange = price => price > low && price < high;
+  const path = points => points.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.price).toFixed(1)},${y(point.pnl).toFixed(1)}`).join(' ');
+  const formatPnL = value => `${value >= 0 ? '+' : '-'}$${Math.abs(Math.round(value))}`;
+
+  const bands = [volatilityRange?.twoSigma, volatilityRange?.oneSigma]
+    .filter(Boolean)
+    .map((band, i) => ({ ...band, className: i === 0 ? 'band-two-sigma' : 'band-one-sigma' }));
+  const markers = [
+    { price: currentPrice, label: '现价', className: 'marker-spot' },
+    gexData?.available && { price: gexData.zero_gamma, label: 'Zero Γ', className: 'marker-gamma' }
+  ].filter(marker => marker && inRange(marker.price));
+  const breakevens = (strategy.probabilities?.breakevens || []).filter(inRange);
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const viewX = (event.clientX - rect.left) / rect.width * WIDTH;
+    const ratio = (viewX - MARGIN.left) / (WIDTH - MARGIN.left - MARGIN.right);
+    setHoverPrice(ratio >= 0 && ratio <= 1 ? low + (high - low) * ratio : null);
+  };
+
+  return (
+    <div className="payoff-chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHoverPrice(null)}
+      >
+        {bands.map(band => (
+          <rect
+            key={band.className}
+            className={band.className}
+            x={x(Math.max(low, band.lower))}
+            y={MARGIN.top}
+            width={Math.max(0, x(Math.min(high, band.upper)) - x(Math.max(low, band.lower)))}
+            height={plotBottom - MARGIN.top}
+          />
+        ))}
+
+        <line className="zero-line" x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(0)} y2={y(0)} />
+        <text className="axis-label" x={MARGIN.left - 6} y={y(pnlMax) + 4} textAnchor="end">{formatPnL(pnlMax)}</text>
+        <text className="axis-label" x={MARGIN.left - 6} y={y(0) + 4} textAnchor="end">$0</text>
+        <text className="axis-label" x={MARGIN.left - 6} y={y(pnlMin)} textAnchor="end">{formatPnL(pnlMin)}</text>
+        <text className="axis-label" x={MARGIN.left} y={HEIGHT - 8}>${low.toFixed(0)}</text>
+        <text className="axis-label" x={WIDTH - MARGIN.right} y={HEIGHT - 8} textAnchor="end">${high.toFixed(0)}</text>
+
+        {markers.map(marker => (
+          <g key={marker.className} className={marker.className}>
+            <line x1={x(marker.price)} x2={x(marker.price)} y1={MARGIN.top} y2={plotBottom} />
+            <text x={x(marker.price)} y={HEIGHT - 8} textAnchor="middle">{marker.label} {marker.price.toFixed(0)}</text>
+          </g>
+        ))}
+
+        {curves.map(curve => (
+          <path key={curve.label} d={path(curve.points)} stroke={curve.color} className="payoff-curve" />
+        ))}
+
+        {breakevens.map(price => (
+          <g key={price} className="marker-breakeven">
+            <circle cx={x(price)} cy={y(0)} r={4} />
+            <text x={x(price)} y={y(0) - 8} textAnchor="middle">{price}</text>
+          </g>
+        ))}
+
+        {hoverPrice !== null && (
+          <line className="hover-line" x1={x(hoverPrice)} x2={x(hoverPrice)} y1={MARGIN.top} y2={plotBottom} />
+        )}
+      </svg>
+
+      <div className="payoff-legend">
+        {curves.map(curve => (
+          <span key={curve.label} style={{ color: curve.color }}>
+            ━ {curve.label}
+            {hoverPrice !== null && `：${formatPnL(pnlAt(hoverPrice, curve.horizonDTE))}`}
+          </span>
+        ))}
+        {hoverPrice !== null && <span className="payoff-hover-price">标的 ${hoverPrice.toFixed(2)}</span>}
+        {bands.length > 0 && <span className="payoff-band-note">阴影：±1σ / ±2σ</span>}
+      </div>
+    </div>
+  );
+}
+
+export default PayoffChart;
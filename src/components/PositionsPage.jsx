@@ -0,0 +1,306 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STRATEGY_TYPES = [
+  ['iron_condor', '铁鹰'],
+  ['vertical_spread', '垂直价差'],
+  ['cash_secured_put', '现金担保看跌'],
+  ['calendar_spread', '日历价差'],
+  ['diagonal_spread', '对角价差'],
+  ['custom', '自定义']
+];
+
+const emptyLeg = () => ({ type: 'put', side: 'sell', quantity: 1, strike: '', expiration: '', fillPrice: '' });
+
+const emptyForm = () => ({
+  symbol: '',
+  name: '',
+  strategyType: 'iron_condor',
+  contracts: 1,
+  openedAt: new Date().toISOString().slice(0, 10),
+  notes: '',
+  legs: [emptyLeg()]
+});
+
+// 写入密钥（POSITIONS_SECRET）保存在本机浏览器，写入与重估持仓都需要
+const SECRET_STORAGE_KEY = 'positionsSecret';
+
+const formatMoney = value => (value === null || value === undefined ? '—' : `${value < 0 ? '-' : ''}$${Math.abs(value)}`);
+
+/**
+ * 持仓跟踪页：录入各腿成交，按最新期权链重估未平仓持仓，汇总组合盈亏与 Greeks
+ */
+function PositionsPage() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [secret, setSecret] = useState(() => localStorage.getItem(SECRET_STORAGE_KEY) || '');
+
+  const loadPositions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      // 重估持仓同样需要写入密钥，未填写时只显示存储的持仓
+      const storedSecret = localStorage.getItem(SECRET_STORAGE_KEY);
+      const response = await fetch('/api/positions', storedSecret ? { headers: { Authorization: `Bearer ${storedSecret}` } } : undefined);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || '读取持仓失败');
+      }
+      setData(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPositions();
+  }, [loadPositions]);
+
+  const request = async (url, options) => {
+    setError(null);
+    try {
+      const headers = { 'Content-Type': 'application/json', ...(secret ? { Authorization: `Bearer ${secret}` } : {}) };
+      const response = await fetch(url, { headers, ...options });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error([result.error, ...(result.details || [])].filter(Boolean).join('；'));
+      }
+      await loadPositions();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    const saved = await request('/api/positions', { method: 'POST', body: JSON.stringify(form) });
+    setSaving(false);
+    if (saved) setForm(emptyForm());
+  };
+
+  // 按当前估值（期权链 Mid 价）平仓
+  const handleClose = ({ position, valuation }) => {
+    const legs = position.legs.map((leg, i) => ({ ...leg, closePrice: valuation?.legs[i]?.mark ?? leg.closePrice }));
+    request(`/api/positions?id=${position.id}`, { method: 'PUT', body: JSON.stringify({ status: 'closed', legs }) });
+  };
+
+  const handleDelete = ({ position }) => {
+    if (window.confirm(`删除 ${position.symbol} ${position.name || ''} 持仓？`)) {
+      request(`/api/positions?id=${position.id}`, { method: 'DELETE' });
+    }
+  };
+
+  const updateSecret = (value) => {
+    setSecret(value);
+    localStorage.setItem(SECRET_STORAGE_KEY, value);
+  };
+
+  const updateField = (key, value) => setForm(current => ({ ...current, [key]: value }));
+  const updateLeg = (index, key, value) => setForm(current => ({
+    ...current,
+    legs: current.legs.map((leg, i) => (i === index ? { ...leg, [key]: value } : leg))
+  }));
+
+  const portfolio = data?.portfolio;
+
+  return (
+    <div className="positions-page">
+      <div className="position-form">
+        <h2>📝 记录开仓</h2>
+        <div className="position-form-grid">
+          <div className="input-group">
+            <label>股票代码</label>
+            <input value={form.symbol} onChange={(e) => updateField('symbol', e.target.value.toUpperCase())} />
+          </div>
+          <div className="input-group">
+            <label>名称</label>
+            <input value={form.name} onChange={(e) => updateField('name', e.target.value)} />
+          </div>
+          <div className="input-group">
+            <label>策略类型</label>
+            <select value={form.strategyType} onChange={(e) => updateField('strategyType', e.target.value)}>
+              {STRATEGY_TYPES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div className="input-group">
+            <label>张数</label>
+            <input type="number" min="1" value={form.contracts} onChange={(e) => updateField('contracts', e.target.value)} />
+          </div>
+          <div className="input-group">
+            <label>开仓日期</label>
+            <input type="date" value={form.openedAt} onChange={(e) => updateField('openedAt', e.target.value)} />
+          </div>
+          <div className="input-group">
+            <label>写入密钥</label>
+            <input type="password" value={secret} onChange={(e) => updateSecret(e.target.value)} />
+          </div>
+        </div>
+
+        <table className="positions-table">
+          <thead>
+            <tr>
+              <th>类型</th>
+              <th>方向</th>
+              <th>数量</th>
+              <th>执行价</th>
+              <th>到期日</th>
+              <th>成交价</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {form.legs.map((leg, i) => (
+              <tr key={i}>
+                <td>
+                  <select value={leg.type} onChange={(e) => updateLeg(i, 'type', e.target.value)}>
+                    <option value="put">Put</option>
+                    <option value="call">Call</option>
+                    <option value="stock">股票</option>
+                  </select>
+                </td>
+                <td>
+                  <select value={leg.side} onChange={(e) => updateLeg(i, 'side', e.target.value)}>
+                    <option value="sell">卖出</option>
+                    <option value="buy">买入</option>
+                  </select>
+                </td>
+                <td><input type="number" min="1" value={leg.quantity} onChange={(e) => updateLeg(i, 'quantity', e.target.value)} /></td>
+                <td><input type="number" step="0.5" value={leg.strike} disabled={leg.type === 'stock'} onChange={(e) => updateLeg(i, 'strike', e.target.value)} /></td>
+                <td><input type="date" value={leg.expiration} disabled={leg.type === 'stock'} onChange={(e) => updateLeg(i, 'expiration', e.target.value)} /></td>
+                <td><input type="number" step="0.01" value={leg.fillPrice} onChange={(e) => updateLeg(i, 'fillPrice', e.target.value)} /></td>
+                <td>
+                  {form.legs.length > 1 && (
+                    <button className="link-btn" onClick={() => updateField('legs', form.legs.filter((_, j) => j !== i))}>移除</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="position-form-actions">
+          <button className="link-btn" onClick={() => updateField('legs', [...form.legs, emptyLeg()])}>+ 添加一腿</button>
+          <button className="analyze-btn" onClick={handleSubmit} disabled={saving}>
+            {saving ? '保存中...' : '保存持仓'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          ⚠️ {error}
+        </div>
+      )}
+
+      {portfolio && (
+        <div className="market-info">
+          <h2>💼 组合概况</h2>
+          <div className="info-grid">
+            <div className="info-item">
+              <span className="label">未平仓 / 已平仓</span>
+              <span className="value">{portfolio.openPositions} / {portfolio.closedPositions}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">未实现盈亏</span>
+              <span className={`value ${portfolio.unrealizedPnL >= 0 ? 'green' : 'red'}`}>{formatMoney(portfolio.unrealizedPnL)}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">已实现盈亏</span>
+              <span className={`value ${portfolio.realizedPnL >= 0 ? 'green' : 'red'}`}>{formatMoney(portfolio.realizedPnL)}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">美元 Delta</span>
+              <span className="value">{formatMoney(portfolio.greeks.dollarDelta)}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">Theta / 天</span>
+              <span className="value">{formatMoney(portfolio.greeks.theta)}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">Vega / 1%</span>
+              <span className="value">{formatMoney(portfolio.greeks.vega)}</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="positions-list">
+        <h2>
+          📋 持仓 {loading && '（刷新中...）'}
+          <button className="link-btn" onClick={loadPositions} disabled={loading}>刷新</button>
+        </h2>
+        {data && !data.revalued && data.positions.length > 0 && <p className="ta-empty">填写写入密钥后刷新，按最新期权链重估未平仓持仓</p>}
+        {data?.positions.length === 0 && <p className="ta-empty">暂无持仓</p>}
+        {data?.positions.length > 0 && (
+          <table className="positions-table">
+            <thead>
+              <tr>
+                <th>持仓</th>
+                <th>状态</th>
+                <th>开仓权利金</th>
+                <th>盈亏</th>
+                <th>最大利润 %</th>
+                <th>持仓天数</th>
+                <th>DTE</th>
+                <th>Delta / Gamma / Theta / Vega</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.positions.map(entry => {
+                const { position, valuation } = entry;
+                const pnl = position.status === 'open' ? valuation?.unrealizedPnL : valuation?.realizedPnL;
+                return (
+                  <tr key={position.id}>
+                    <td>
+                      <strong>{position.symbol}</strong> {position.name} × {position.contracts}
+                      <div className="position-legs">
+                        {position.legs.map((leg, i) => (
+                          <span key={i}>
+                            {leg.side === 'sell' ? '卖' : '买'} {leg.type === 'stock' ? '股票' : `${leg.strike} ${leg.type === 'call' ? 'C' : 'P'} ${leg.expiration}`} @ {leg.fillPrice}
+                            {valuation?.legs[i] && ` → ${valuation.legs[i].mark}`}
+                          </span>
+                        ))}
+                      </div>
+                      {entry.alerts?.length > 0 && (
+                        <div className="position-alerts">
+                          {entry.alerts.map((alert, i) => (
+                            <span key={i} className={`position-alert ${alert.severity}`}>{alert.message}</span>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td>{position.status === 'open' ? '持仓中' : `已平仓 ${position.closedAt}`}</td>
+                    <td>{valuation ? formatMoney(valuation.openingCredit) : '—'}</td>
+                    <td className={pnl >= 0 ? 'green' : 'red'}>{valuation ? formatMoney(pnl) : entry.error || '—'}</td>
+                    <td>{valuation?.percentOfMaxProfit ?? '—'}{valuation?.percentOfMaxProfit !== null && valuation ? '%' : ''}</td>
+                    <td>{valuation?.daysHeld ?? '—'}</td>
+                    <td>{valuation?.dte ?? '—'}</td>
+                    <td>
+                      {valuation?.greeks
+                        ? `${valuation.greeks.delta} / ${valuation.greeks.gamma} / ${valuation.greeks.theta} / ${valuation.greeks.vega}`
+                        : '—'}
+                    </td>
+                    <td>
+                      {position.status === 'open' && <button className="link-btn" onClick={() => handleClose(entry)}>平仓</button>}
+                      <button className="link-btn" onClick={() => handleDelete(entry)}>删除</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PositionsPage;
@@ -0,0 +1,124 @@
+/**
+ * Black-Scholes 定价模块
+ * 欧式期权理论价格与 Greeks（Delta、Gamma、Theta、Vega、Rho）
+ * 支持无风险利率与连续股息率
+ */
+
+// 默认无风险利率（年化，小数形式）
+export const DEFAULT_RISK_FREE_RATE = 0.045;
+
+// 默认股息率（年化，小数形式）
+export const DEFAULT_DIVIDEND_YIELD = 0;
+
+/**
+ * 标准正态分布概率密度函数（PDF）
+ */
+export function normalPDF(x) {
+  return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * 标准正态分布累积分布函数（CDF）
+ * Abramowitz & Stegun 26.2.17 近似，误差 < 7.5e-8
+ */
+export function normalCDF(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = normalPDF(x);
+  const prob = d * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+
+  return x > 0 ? 1 - prob : prob;
+}
+
+/**
+ * 计算欧式期权价格与 Greeks
+ * @param {Object} params - 定价参数
+ * @param {string} params.type - 期权类型（'call' 或 'put'）
+ * @param {number} params.spot - 标的价格
+ * @param {number} params.strike - 执行价
+ * @param {number} params.dte - 距离到期天数
+ * @param {number} params.iv - 隐含波动率（小数形式，如 0.35 表示 35%）
+ * @param {number} [params.rate] - 无风险利率（年化，小数形式）
+ * @param {number} [params.dividendYield] - 连续股息率（年化，小数形式）
+ * @returns {Object} 每股价格及 Greeks（theta 为每日，vega/rho 为每 1%）
+ */
+export function priceOption({
+  type,
+  spot,
+  strike,
+  dte,
+  iv,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  const isCall = type === 'call';
+  const t = Math.max(0, dte) / 365;
+
+  // 到期或波动率为 0：只剩内在价值
+  if (t <= 0 || !iv || iv <= 0) {
+    const intrinsic = isCall ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+    const itm = isCall ? spot > strike : spot < strike;
+
+    return {
+      price: intrinsic,
+      delta: itm ? (isCall ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0
+    };
+  }
+
+  const sqrtT = Math.sqrt(t);
+  const d1 = (Math.log(spot / strike) + (rate - dividendYield + iv * iv / 2) * t) / (iv * sqrtT);
+  const d2 = d1 - iv * sqrtT;
+
+  const discountRate = Math.exp(-rate * t);
+  const discountDividend = Math.exp(-dividendYield * t);
+  const pdfD1 = normalPDF(d1);
+
+  let price, delta, theta, rho;
+
+  if (isCall) {
+    price = spot * discountDividend * normalCDF(d1) - strike * discountRate * normalCDF(d2);
+    delta = discountDividend * normalCDF(d1);
+    theta = -spot * discountDividend * pdfD1 * iv / (2 * sqrtT)
+      - rate * strike * discountRate * normalCDF(d2)
+      + dividendYield * spot * discountDividend * normalCDF(d1);
+    rho = strike * t * discountRate * normalCDF(d2);
+  } else {
+    price = strike * discountRate * normalCDF(-d2) - spot * discountDividend * normalCDF(-d1);
+    delta = -discountDividend * normalCDF(-d1);
+    theta = -spot * discountDividend * pdfD1 * iv / (2 * sqrtT)
+      + rate * strike * discountRate * normalCDF(-d2)
+      - dividendYield * spot * discountDividend * normalCDF(-d1);
+    rho = -strike * t * discountRate * normalCDF(-d2);
+  }
+
+  const gamma = discountDividend * pdfD1 / (spot * iv * sqrtT);
+  const vega = spot * discountDividend * pdfD1 * sqrtT;
+
+  return {
+    price: Math.max(0, price),
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: vega / 100,
+    rho: rho / 100
+  };
+}
+
+/**
+ * 计算单张合约（100 股）的理论价格（美元）
+ * @param {Object} params - 同 priceOption
+ * @returns {number} 每张合约价格
+ */
+export function priceContract(params) {
+  return priceOption(params).price * 100;
+}
+
+export default {
+  priceOption,
+  priceContract,
+  normalCDF,
+  normalPDF
+};
@@ -0,0 +1,149 @@
+/**
+ * 财报波动模块
+ * 由跨越财报日的平值跨式价格推算市场隐含的财报波动幅度，
+ * 并与历史财报后的实际波动对比，判断跨式价格偏贵还是偏便宜
+ */
+
+// 隐含波动 / 历史平均波动 超过 RICH_RATIO 视为偏贵，低于 CHEAP_RATIO 视为偏便宜
+export const RICH_RATIO = 1.15;
+export const CHEAP_RATIO = 0.85;
+export const DEFAULT_EARNINGS_LOOKBACK = 8;
+
+/**
+ * 计算隐含财报波动
+ * 取财报日当天或之后的第一个到期日，用最接近现价执行价的 Call + Put 中间价
+ * @param {Array} contracts - 原始期权合约（optionsData.data）
+ * @param {number} spot - 标的价格
+ * @param {string} earningsDate - 财报日期 YYYY-MM-DD
+ * @returns {Object|null} { amount: 跨式价格, percent, expiration, strike }
+ */
+export function calculateImpliedEarningsMove(contracts, spot, earningsDate) {
+  if (!contracts || contracts.length === 0 || !spot || !earningsDate) {
+    return null;
+  }
+
+  const expirations = [...new Set(contracts.map(contract => contract.expiration))]
+    .filter(expiration => expiration >= earningsDate)
+    .sort();
+
+  for (const expiration of expirations) {
+    const calls = new Map();
+    const puts = new Map();
+
+    for (const contract of contracts) {
+      if (contract.expiration !== expiration) continue;
+      const mid = ((parseFloat(contract.bid) || 0) + (parseFloat(contract.ask) || 0)) / 2;
+      if (mid <= 0) continue;
+      (contract.type === 'call' ? calls : puts).set(parseFloat(contract.strike), mid);
+    }
+
+    const strikes = [...calls.keys()].filter(strike => puts.has(strike));
+    if (strikes.length === 0) continue;
+
+    const strike = strikes.reduce((closest, candidate) => (
+      Math.abs(candidate - spot) < Math.abs(closest - spot) ? candidate : closest
+    ));
+    const straddle = calls.get(strike) + puts.get(strike);
+
+    return {
+      amount: round2(straddle),
+      percent: round2(straddle / spot * 100),
+      expiration,
+      strike
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 计算历史财报后的实际波动
+ * 盘后公布：财报日收盘 → 次一交易日收盘；盘前公布：前一交易日收盘 → 财报日收盘
+ * @param {Array} bars - 日线（升序）[{ time, close }]
+ * @param {Array} reports - 历史财报 [{ reportedDate, reportTime }]
+ * @param {number} [count] - 取最近 N 次财报
+ * @returns {Array} [{ date, reportTime, before, after, move, percent }]，按日期降序
+ */
+export function calculateHistoricalEarningsMoves(bars, reports, count = DEFAULT_EARNINGS_LOOKBACK) {
+  if (!bars || bars.length < 2 || !reports || reports.length === 0) {
+    return [];
+  }
+
+  const dates = bars.map(bar => String(bar.time).slice(0, 10));
+  const moves = [];
+
+  const sorted = [...reports].sort((a, b) => b.reportedDate.localeCompare(a.reportedDate));
+
+  for (const report of sorted) {
+    if (moves.length >= count) break;
+
+    // 财报日当天或之后的第一个交易日
+    const index = dates.findIndex(date => date >= report.reportedDate);
+    if (index === -1) continue;
+
+    const isPreMarket = report.reportTime === 'pre-market';
+    const beforeIndex = isPreMarket ? index - 1 : index;
+    const afterIndex = beforeIndex + 1;
+    if (beforeIndex < 0 || afterIndex >= bars.length) continue;
+
+    const before = bars[beforeIndex].close;
+    const after = bars[afterIndex].close;
+
+    moves.push({
+      date: report.reportedDate,
+      reportTime: report.reportTime || null,
+      before: round2(before),
+      after: round2(after),
+      move: round2(after - before),
+      percent: round2((after - before) / before * 100)
+    });
+  }
+
+  return moves;
+}
+
+/**
+ * 对比隐含波动与历史波动，给出跨式价格判断
+ * @param {Object} impliedMove - calculateImpliedEarningsMove 的结果
+ * @param {Array} historicalMoves - calculateHistoricalEarningsMoves 的结果
+ * @returns {Object|null} { verdict: 'rich' | 'cheap' | 'fair', ratio, impliedPercent, averagePercent, medianPercent, maxPercent, exceededCount, samples }
+ */
+export function compareEarningsMove(impliedMove, historicalMoves) {
+  if (!impliedMove || !historicalMoves || historicalMoves.length === 0) {
+    return null;
+  }
+
+  const absolute = historicalMoves.map(move => Math.abs(move.percent)).sort((a, b) => a - b);
+  const average = absolute.reduce((sum, value) => sum + value, 0) / absolute.length;
+  const middle = Math.floor(absolute.length / 2);
+  const median = absolute.length % 2 === 0 ? (absolute[middle - 1] + absolute[middle]) / 2 : absolute[middle];
+
+  if (average <= 0) {
+    return null;
+  }
+
+  const ratio = impliedMove.percent / average;
+  const verdict = ratio >= RICH_RATIO ? 'rich' : ratio <= CHEAP_RATIO ? 'cheap' : 'fair';
+
+  return {
+    verdict,
+    ratio: round2(ratio),
+    impliedPercent: impliedMove.percent,
+    averagePercent: round2(average),
+    medianPercent: round2(median),
+    maxPercent: round2(absolute[absolute.length - 1]),
+    // 实际波动超过本次隐含波动的次数
+    exceededCount: absolute.filter(value => value > impliedMove.percent).length,
+    samples: absolute.length
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  calculateImpliedEarningsMove,
+  calculateHistoricalEarningsMoves,
+  compareEarningsMove
+};
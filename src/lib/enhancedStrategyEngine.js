@@ -3,6 +3,16 @@
  * 包含 6-8 种实用期权策略
  */
 
+import { priceOption } from './blackScholes.js';
+import { getSurfaceIV } from './volatilitySurface.js';
+import { analyzePayoff, summarizePayoff, summarizeLegs } from './payoffEngine.js';
+import { gradeStructure, LIQUIDITY_FULL_SCORE } from './liquidity.js';
+import { estimateFill, summarizeFill } from './fillModel.js';
+import { calculateFees, applyLegFees, summarizeFees } from './feeModel.js';
+import { calculateLiquidityScore } from './scoringSystem.js';
+import { calculateMargin } from './marginModel.js';
+import { sizePosition } from './positionSizing.js';
+
 /**
  * 生成所有策略推荐
  */
@@ -13,34 +23,46 @@ export function generateAllStrategies(params) {
 
   // 1. 铁鹰策略（卖方）
   if (ivRank.ivRank >= 45) {
-    strategies.push(generateIronCondor(params));
+    const ironCondor = generateIronCondor(params);
+    if (ironCondor) strategies.push(ironCondor);
   }
 
   // 2. 垂直价差 - 看涨/看跌
-  strategies.push(generateVerticalSpread(params));
+  const vertical = generateVerticalSpread(params);
+  if (vertical) strategies.push(vertical);
 
   // 3. 蝶式策略（买方）
   if (ivRank.ivRank <= 60) {
-    strategies.push(generateButterfly(params));
+    const butterfly = generateButterfly(params);
+    if (butterfly) strategies.push(butterfly);
   }
 
   // 4. 现金担保看跌
   if (taScore.trend !== 'bearish') {
-    strategies.push(generateCashSecuredPut(params));
+    const cashSecuredPut = generateCashSecuredPut(params);
+    if (cashSecuredPut) strategies.push(cashSecuredPut);
   }
 
   // 5. 日历价差
   if (dte >= 7) {
-    strategies.push(generateCalendarSpread(params));
+    const calendar = generateCalendarSpread(params);
+    if (calendar) strategies.push(calendar);
   }
 
   // 6. 对角价差
   if (dte >= 7 && taScore.trend !== 'neutral') {
-    strategies.push(generateDiagonalSpread(params));
+    const diagonal = generateDiagonalSpread(params);
+    if (diagonal) strategies.push(diagonal);
   }
 
-  // 计算综合评分并排序
+  // 计算购买力与综合评分并排序
   strategies.forEach(strategy => {
+    strategy.margin = calculateMargin(strategy.legs, {
+      spot: currentPrice,
+      contracts: strategy.contracts,
+      profit: strategy.netCredit > 0 ? strategy.netCredit : strategy.maxProfit,
+      accountType: params.accountProfile?.accountType
+    });
     strategy.score = calculateScore(strategy, ivRank, taScore, gexData);
   });
 
@@ -59,17 +81,30 @@ export function generateAllStrategies(params) {
  * 1. 铁鹰策略（Iron Condor）- 卖方策略
  */
 function generateIronCondor(params) {
-  const { currentPrice, atmIV, dte, volatilityRange, ivRank } = params;
+  const { dte, volatilityRange, ivRank } = params;
 
   const putSellStrike = Math.round(volatilityRange.oneSigma.lower / 5) * 5;
   const putBuyStrike = putSellStrike - 10;
   const callSellStrike = Math.round(volatilityRange.oneSigma.upper / 5) * 5;
   const callBuyStrike = callSellStrike + 10;
 
-  const creditPerContract = atmIV * currentPrice * 0.025;
-  const contracts = Math.ceil(150 / creditPerContract);
-  const netCredit = Math.round(creditPerContract * contracts);
+  const legs = [
+    modelLeg(params, 'put', putBuyStrike, 1),
+    modelLeg(params, 'put', putSellStrike, -1),
+    modelLeg(params, 'call', callSellStrike, -1),
+    modelLeg(params, 'call', callBuyStrike, 1)
+  ];
+  const creditPerContract = getLegsCredit(legs) * 100;
+  const sized = sizeWithFees(params, legs, creditPerContract);
+  if (!sized) {
+    return null;
+  }
+
+  const { contracts, fees } = sized;
+  const netCredit = Math.round(creditPerContract * contracts - fees.total);
   const maxRisk = (10 * 100 * contracts) - netCredit;
+  const payoff = analyzeLegs(params, sized.legs);
+  const winRate = Math.round(payoff.pop * 100);
 
   return {
     name: '铁鹰策略',
@@ -84,14 +119,18 @@ function generateIronCondor(params) {
     contracts,
     netCredit,
     maxRisk,
-    winRate: 68 + (ivRank.ivRank > 70 ? 7 : ivRank.ivRank > 50 ? 4 : 0),
+    winRate,
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
     strategyType: 'seller',
     reasoning: [
       `卖方策略，收取权利金 $${netCredit}`,
       `IVR ${ivRank.ivRank}%，${ivRank.level === 'high' ? '高 IV 环境理想' : '适合卖出'}`,
       `价格区间：${putSellStrike} - ${callSellStrike}（±1σ）`,
-      `胜率约 ${68 + (ivRank.ivRank > 70 ? 7 : ivRank.ivRank > 50 ? 4 : 0)}%`,
+      `胜率约 ${winRate}%，期望值 $${Math.round(payoff.expectedValue * 100 * contracts)}`,
       `每日 Theta 收益约 $${Math.round(netCredit / dte)}`
     ]
   };
@@ -101,7 +140,7 @@ function generateIronCondor(params) {
  * 2. 垂直价差（Vertical Spread）- 方向性策略
  */
 function generateVerticalSpread(params) {
-  const { currentPrice, atmIV, dte, volatilityRange, taScore, ivRank } = params;
+  const { volatilityRange, taScore } = params;
 
   const isBullish = taScore.trend === 'bullish' || taScore.trend === 'neutral';
   const spreadWidth = 10;
@@ -120,10 +159,22 @@ function generateVerticalSpread(params) {
     strategyName = '看跌信用价差';
   }
 
-  const creditPerContract = atmIV * currentPrice * 0.018;
-  const contracts = Math.ceil(150 / creditPerContract);
-  const netCredit = Math.round(creditPerContract * contracts);
+  const optionType = isBullish ? 'put' : 'call';
+  const legs = [
+    modelLeg(params, optionType, sellStrike, -1),
+    modelLeg(params, optionType, buyStrike, 1)
+  ];
+  const creditPerContract = getLegsCredit(legs) * 100;
+  const sized = sizeWithFees(params, legs, creditPerContract);
+  if (!sized) {
+    return null;
+  }
+
+  const { contracts, fees } = sized;
+  const netCredit = Math.round(creditPerContract * contracts - fees.total);
   const maxRisk = (spreadWidth * 100 * contracts) - netCredit;
+  const payoff = analyzeLegs(params, sized.legs);
+  const winRate = Math.round(payoff.pop * 100);
 
   return {
     name: strategyName,
@@ -136,14 +187,18 @@ function generateVerticalSpread(params) {
     contracts,
     netCredit,
     maxRisk,
-    winRate: 72 + (ivRank.ivRank > 60 ? 5 : 0),
+    winRate,
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
     strategyType: 'seller',
     reasoning: [
       `${isBullish ? '看涨' : '看跌'}方向性策略，卖出 ${isBullish ? 'Put' : 'Call'} 价差`,
       `TA 趋势 ${taScore.trend}，与策略方向一致`,
       `卖出行权价 ${sellStrike}，买入保护 ${buyStrike}`,
-      `胜率约 ${72 + (ivRank.ivRank > 60 ? 5 : 0)}%，风险有限`,
+      `胜率约 ${winRate}%，风险有限`,
       `最大利润 $${netCredit}，风险收益比 1:${(maxRisk/netCredit).toFixed(2)}`
     ]
   };
@@ -153,18 +208,29 @@ function generateVerticalSpread(params) {
  * 3. 蝶式策略（Butterfly）- 买方策略
  */
 function generateButterfly(params) {
-  const { currentPrice, atmIV, dte, ivRank } = params;
+  const { currentPrice, ivRank } = params;
 
   const centerStrike = Math.round(currentPrice / 5) * 5;
   const wingWidth = 10;
   const lowerStrike = centerStrike - wingWidth;
   const upperStrike = centerStrike + wingWidth;
 
-  const debitPerContract = atmIV * currentPrice * 0.012;
-  const contracts = Math.ceil(150 / (wingWidth * 100 - debitPerContract));
-  const netDebit = Math.round(debitPerContract * contracts);
+  const legs = [
+    modelLeg(params, 'call', lowerStrike, 1),
+    modelLeg(params, 'call', centerStrike, -2),
+    modelLeg(params, 'call', upperStrike, 1)
+  ];
+  const debitPerContract = -getLegsCredit(legs) * 100;
+  const sized = sizeWithFees(params, legs, wingWidth * 100 - debitPerContract);
+  if (!sized) {
+    return null;
+  }
+
+  const { contracts, fees } = sized;
+  const netDebit = Math.round(debitPerContract * contracts + fees.total);
   const maxProfit = (wingWidth * 100 * contracts) - netDebit;
   const maxRisk = netDebit;
+  const payoff = analyzeLegs(params, sized.legs);
 
   return {
     name: '蝶式策略',
@@ -179,8 +245,12 @@ function generateButterfly(params) {
     netDebit,
     maxProfit,
     maxRisk,
-    winRate: 55 + (ivRank.ivRank < 40 ? 10 : 0),
+    winRate: Math.round(payoff.pop * 100),
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((maxProfit / netDebit) * 100),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
     strategyType: 'buyer',
     reasoning: [
       `买方策略，支付成本 $${netDebit}`,
@@ -196,13 +266,21 @@ function generateButterfly(params) {
  * 4. 现金担保看跌（Cash-Secured Put）
  */
 function generateCashSecuredPut(params) {
-  const { currentPrice, atmIV, dte, ivRank } = params;
+  const { currentPrice } = params;
 
   const sellStrike = Math.round((currentPrice * 0.95) / 5) * 5;
-  const creditPerContract = atmIV * currentPrice * 0.012;
-  const contracts = Math.ceil(150 / creditPerContract);
-  const netCredit = Math.round(creditPerContract * contracts);
+  const legs = [modelLeg(params, 'put', sellStrike, -1)];
+  const creditPerContract = getLegsCredit(legs) * 100;
+  const sized = sizeWithFees(params, legs, creditPerContract);
+  if (!sized) {
+    return null;
+  }
+
+  const { contracts, fees } = sized;
+  const netCredit = Math.round(creditPerContract * contracts - fees.total);
   const maxRisk = (sellStrike * 100 * contracts) - netCredit;
+  const payoff = analyzeLegs(params, sized.legs);
+  const winRate = Math.round(payoff.pop * 100);
 
   return {
     name: '现金担保看跌',
@@ -214,117 +292,418 @@ function generateCashSecuredPut(params) {
     contracts,
     netCredit,
     maxRisk,
-    winRate: 76,
+    winRate,
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
     strategyType: 'seller',
     reasoning: [
       '卖方策略，适合愿意持有股票的投资者',
       `卖出 Put ${sellStrike}，低于当前价 ${((1 - sellStrike/currentPrice) * 100).toFixed(1)}%`,
       `收取权利金 $${netCredit}，降低持股成本`,
-      `如果被行权，实际成本价 $${(sellStrike - creditPerContract).toFixed(2)}`,
-      `胜率约 76%，不被行权概率高`
+      `如果被行权，实际成本价 $${(sellStrike - creditPerContract / 100).toFixed(2)}`,
+      `胜率约 ${winRate}%，不被行权概率高`
     ]
   };
 }
 
 /**
  * 5. 日历价差（Calendar Spread）
+ * 卖出近月、买入远月同一执行价；有期权链时两腿均使用实际到期日的报价
+ * @param {Object} params - 策略参数（可含 optionsChain 近月、backChain 远月）
+ * @returns {Object|null} 策略，净支出不为正时返回 null
  */
-function generateCalendarSpread(params) {
-  const { currentPrice, atmIV, dte } = params;
-
-  const strike = Math.round(currentPrice / 5) * 5;
-  const shortDTE = dte;
-  const longDTE = dte + 7; // 长腿多 7 天
+export function generateCalendarSpread(params) {
+  const { currentPrice } = params;
+  const { shortDTE, longDTE, shortExpiration, longExpiration } = getCalendarDTEs(params);
 
-  const shortCredit = atmIV * currentPrice * 0.015;
-  const longDebit = atmIV * currentPrice * 0.022;
-  const netDebit = longDebit - shortCredit;
+  const strike = findCommonStrike(params, 'call', currentPrice);
+  const shortLeg = getCalendarLeg(params, params.optionsChain, 'call', strike, shortDTE);
+  const longLeg = getCalendarLeg(params, params.backChain, 'call', strike, longDTE);
 
-  const contracts = Math.ceil(150 / (shortCredit * 0.7)); // 预期收益约 70% 短腿权利金
-  const netDebitTotal = Math.round(netDebit * contracts);
-  const maxProfit = Math.round(shortCredit * 0.7 * contracts);
-  const maxRisk = netDebitTotal;
-
-  return {
+  return buildTimeSpread(params, {
     name: '日历价差',
     type: 'calendar_spread',
     direction: 'neutral',
+    optionType: 'call',
+    shortLeg,
+    longLeg,
+    shortDTE,
+    longDTE,
+    shortExpiration,
+    longExpiration,
     strikes: {
-      strike: strike,
-      shortDTE: shortDTE,
-      longDTE: longDTE
+      strike: shortLeg.strike,
+      shortDTE,
+      longDTE
     },
-    contracts,
-    netDebit: netDebitTotal,
-    maxProfit,
-    maxRisk,
-    winRate: 62,
-    roc: Math.round((maxProfit / netDebitTotal) * 100),
-    strategyType: 'buyer',
     reasoning: [
       '时间价值策略，卖出近月买入远月',
-      `执行价 ${strike}（ATM），利用时间衰减差异`,
-      `短腿 ${shortDTE} 天，长腿 ${longDTE} 天`,
-      `最大利润在短腿到期时实现`,
-      `适合预期价格在 ${strike} 附近波动`
+      `执行价 ${shortLeg.strike}（ATM），利用时间衰减差异`,
+      `短腿 ${shortDTE} 天 @$${shortLeg.mid.toFixed(2)}，长腿 ${longDTE} 天 @$${longLeg.mid.toFixed(2)}`,
+      `适合预期价格在 ${shortLeg.strike} 附近波动`
     ]
-  };
+  });
 }
 
 /**
  * 6. 对角价差（Diagonal Spread）
+ * 买入远月平值、卖出近月虚值（看涨用 Call，看跌用 Put）
+ * @param {Object} params - 策略参数（可含 optionsChain 近月、backChain 远月）
+ * @returns {Object|null} 策略，净支出不为正时返回 null
  */
-function generateDiagonalSpread(params) {
-  const { currentPrice, atmIV, dte, taScore } = params;
+export function generateDiagonalSpread(params) {
+  const { currentPrice, taScore } = params;
+  const { shortDTE, longDTE, shortExpiration, longExpiration } = getCalendarDTEs(params);
 
   const isBullish = taScore.trend === 'bullish';
-  const shortStrike = isBullish 
-    ? Math.round((currentPrice * 1.03) / 5) * 5
-    : Math.round((currentPrice * 0.97) / 5) * 5;
-  const longStrike = isBullish
-    ? Math.round((currentPrice * 1.05) / 5) * 5
-    : Math.round((currentPrice * 0.95) / 5) * 5;
-
-  const shortDTE = dte;
-  const longDTE = dte + 7;
-
-  const shortCredit = atmIV * currentPrice * 0.014;
-  const longDebit = atmIV * currentPrice * 0.020;
-  const netDebit = longDebit - shortCredit;
+  const optionType = isBullish ? 'call' : 'put';
+  const shortStrike = findCommonStrike(params, optionType, currentPrice * (isBullish ? 1.03 : 0.97));
+  const longStrike = findCommonStrike(params, optionType, currentPrice);
 
-  const contracts = Math.ceil(150 / (shortCredit * 0.6));
-  const netDebitTotal = Math.round(netDebit * contracts);
-  const maxProfit = Math.round(shortCredit * 0.6 * contracts);
-  const maxRisk = netDebitTotal;
+  const shortLeg = getCalendarLeg(params, params.optionsChain, optionType, shortStrike, shortDTE);
+  const longLeg = getCalendarLeg(params, params.backChain, optionType, longStrike, longDTE);
 
-  return {
+  return buildTimeSpread(params, {
     name: isBullish ? '看涨对角价差' : '看跌对角价差',
     type: 'diagonal_spread',
     direction: isBullish ? 'bullish' : 'bearish',
+    optionType,
+    shortLeg,
+    longLeg,
+    shortDTE,
+    longDTE,
+    shortExpiration,
+    longExpiration,
     strikes: {
-      shortStrike,
-      longStrike,
+      shortStrike: shortLeg.strike,
+      longStrike: longLeg.strike,
       shortDTE,
       longDTE
     },
+    reasoning: [
+      `${isBullish ? '看涨' : '看跌'}方向性策略，结合时间价值`,
+      `卖出近月 ${shortLeg.strike}@$${shortLeg.mid.toFixed(2)}，买入远月 ${longLeg.strike}@$${longLeg.mid.toFixed(2)}`,
+      `TA 趋势 ${taScore.trend}，与策略方向一致`,
+      `短腿 ${shortDTE} 天，长腿 ${longDTE} 天`
+    ]
+  });
+}
+
+/**
+ * 组装日历 / 对角价差：按近月到期时的损益曲线计算最大盈亏与盈亏平衡点
+ */
+function buildTimeSpread(params, spread) {
+  const { shortLeg, longLeg, shortDTE, longDTE } = spread;
+
+  // 净支出按预期成交价（买入远月让向 Ask，卖出近月让向 Bid）
+  const quotes = [
+    { ...shortLeg, type: spread.optionType, quantity: -1 },
+    { ...longLeg, type: spread.optionType, quantity: 1 }
+  ];
+  const fill = estimateFill(quotes);
+  const [shortFill, longFill] = fill.legs.map(leg => leg.fill);
+  const debit = -fill.expected;
+  if (!(debit > 0) || longDTE <= shortDTE) {
+    return null;
+  }
+
+  const profileFor = profileDebit => calculateFrontExpiryProfile(params, {
+    optionType: spread.optionType,
+    shortStrike: shortLeg.strike,
+    longStrike: longLeg.strike,
+    remainingDTE: longDTE - shortDTE,
+    longIV: longLeg.iv,
+    debit: profileDebit
+  });
+  const grossProfile = profileFor(debit);
+
+  // 张数按账户配置确定（收益按近月到期时的最大利润计），概率在近月到期时评估，远月腿保留时间价值
+  const frontParams = { ...params, dte: shortDTE };
+  const sized = sizeWithFees(frontParams, [
+    { type: spread.optionType, strike: shortLeg.strike, quantity: -1, premium: shortFill, dte: shortDTE, iv: shortLeg.iv },
+    { type: spread.optionType, strike: longLeg.strike, quantity: 1, premium: longFill, dte: longDTE, iv: longLeg.iv }
+  ], grossProfile.maxProfit * 100);
+  if (!sized) {
+    return null;
+  }
+
+  // 费用等同于增加净支出：最大盈亏与盈亏平衡点按含费用的支出重算
+  const { contracts, fees } = sized;
+  const profile = profileFor(debit + fees.total / (100 * contracts));
+
+  const edge = calculateTermStructureEdge(shortLeg.iv, shortDTE, longLeg.iv, longDTE);
+  const payoff = analyzeLegs(frontParams, sized.legs);
+
+  const netDebit = Math.round(debit * 100 * contracts + fees.total);
+  const maxProfit = Math.round(profile.maxProfit * 100 * contracts);
+  const maxRisk = Math.round(profile.maxLoss * 100 * contracts);
+
+  return {
+    name: spread.name,
+    type: spread.type,
+    direction: spread.direction,
+    strikes: spread.strikes,
+    expirations: {
+      short: spread.shortExpiration,
+      long: spread.longExpiration
+    },
+    prices: {
+      short: shortLeg.mid.toFixed(2),
+      long: longLeg.mid.toFixed(2)
+    },
     contracts,
-    netDebit: netDebitTotal,
+    netDebit,
     maxProfit,
     maxRisk,
-    winRate: 58,
-    roc: Math.round((maxProfit / netDebitTotal) * 100),
+    breakevens: profile.breakevens,
+    termStructure: edge,
+    winRate: Math.round(payoff.pop * 100),
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
+    roc: Math.round((maxProfit / maxRisk) * 100),
     strategyType: 'buyer',
+    usingRealPrices: shortLeg.source === 'market' && longLeg.source === 'market',
+    // 有期权链时按两腿报价评估流动性（无报价的腿不可交易）
+    fill: summarizeFill(fill, contracts),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
+    liquidity: params.optionsChain
+      ? gradeStructure(quotes, { spot: params.currentPrice, constraints: params.optimizerConstraints })
+      : null,
     reasoning: [
-      `${isBullish ? '看涨' : '看跌'}方向性策略，结合时间价值`,
-      `卖出近月 ${shortStrike}，买入远月 ${longStrike}`,
-      `TA 趋势 ${taScore.trend}，与策略方向一致`,
-      `短腿 ${shortDTE} 天，长腿 ${longDTE} 天`,
-      `适合温和的方向性移动`
+      ...spread.reasoning,
+      `近月到期时最大利润 $${maxProfit}，最大亏损 $${maxRisk}`,
+      profile.breakevens.length === 2
+        ? `盈亏平衡区间 $${profile.breakevens[0]} - $${profile.breakevens[1]}`
+        : `盈亏平衡点 ${profile.breakevens.map(price => `$${price}`).join('、') || '无'}`,
+      `盈利概率 ${Math.round(payoff.pop * 100)}%，期望值 $${Math.round(payoff.expectedValue * 100 * contracts)}`,
+      `近月 IV ${(edge.frontIV * 100).toFixed(1)}% vs 远月 IV ${(edge.backIV * 100).toFixed(1)}%，` +
+        `远期 IV ${edge.forwardIV ? (edge.forwardIV * 100).toFixed(1) + '%' : '—'}` +
+        `（${edge.favorable ? '近月偏贵，期限结构有利' : '近月偏便宜，期限结构不利'}）`
     ]
   };
 }
 
+/**
+ * 近月到期时的损益曲线（每股）
+ * 近月腿按内在价值结算，远月腿以剩余期限和自身 IV 用 Black-Scholes 重估
+ * @param {Object} params - 策略参数（currentPrice、rate、dividendYield）
+ * @param {Object} spread - { optionType, shortStrike, longStrike, remainingDTE, longIV, debit }
+ * @returns {Object} { maxProfit, maxLoss, breakevens }
+ */
+export function calculateFrontExpiryProfile(params, spread) {
+  const { currentPrice, rate, dividendYield } = params;
+  const { optionType, shortStrike, longStrike, remainingDTE, longIV, debit } = spread;
+
+  const intrinsic = price => (optionType === 'call'
+    ? Math.max(price - shortStrike, 0)
+    : Math.max(shortStrike - price, 0));
+  const pnlAt = price => priceOption({
+    type: optionType,
+    spot: price,
+    strike: longStrike,
+    dte: remainingDTE,
+    iv: longIV,
+    rate,
+    dividendYield
+  }).price - intrinsic(price) - debit;
+
+  // 价格网格：现价 ±60%，另加两端极值以覆盖深度实值 / 虚值
+  const steps = 240;
+  const prices = [currentPrice * 0.01];
+  for (let i = 0; i <= steps; i++) {
+    prices.push(currentPrice * (0.4 + 1.2 * i / steps));
+  }
+  prices.push(currentPrice * 10);
+
+  const pnl = prices.map(pnlAt);
+  const breakevens = [];
+  for (let i = 1; i < prices.length; i++) {
+    if ((pnl[i - 1] < 0) !== (pnl[i] < 0)) {
+      const ratio = pnl[i - 1] / (pnl[i - 1] - pnl[i]);
+      breakevens.push(Math.round((prices[i - 1] + (prices[i] - prices[i - 1]) * ratio) * 100) / 100);
+    }
+  }
+
+  return {
+    maxProfit: Math.max(...pnl),
+    maxLoss: Math.max(-Math.min(...pnl), debit),
+    breakevens
+  };
+}
+
+/**
+ * 期限结构优势：近月 IV 高于远月（或高于两到期日之间的远期 IV）时卖近买远有利
+ * @returns {Object} { frontIV, backIV, ivSpread, forwardIV, favorable }
+ */
+export function calculateTermStructureEdge(frontIV, frontDTE, backIV, backDTE) {
+  const frontVariance = frontIV ** 2 * frontDTE / 365;
+  const backVariance = backIV ** 2 * backDTE / 365;
+  const forwardVariance = (backVariance - frontVariance) / ((backDTE - frontDTE) / 365);
+
+  return {
+    frontIV: round4(frontIV),
+    backIV: round4(backIV),
+    ivSpread: round4(frontIV - backIV),
+    forwardIV: forwardVariance > 0 ? round4(Math.sqrt(forwardVariance)) : null,
+    favorable: frontIV >= backIV
+  };
+}
+
+/**
+ * 取近月与远月都挂牌、最接近目标价的执行价；无期权链时按 $5 取整
+ */
+function findCommonStrike(params, type, target) {
+  const side = type === 'call' ? 'calls' : 'puts';
+  const frontStrikes = (params.optionsChain?.[side] || []).map(option => option.strike);
+  const backStrikes = new Set((params.backChain?.[side] || []).map(option => option.strike));
+  const common = frontStrikes.filter(strike => backStrikes.has(strike));
+
+  if (common.length === 0) {
+    return Math.round(target / 5) * 5;
+  }
+
+  return common.reduce((closest, strike) => (
+    Math.abs(strike - target) < Math.abs(closest - target) ? strike : closest
+  ));
+}
+
+/**
+ * 取日历 / 对角价差的一条腿：有报价时用中间价（source 'market'），否则 Black-Scholes 定价（source 'model'）
+ */
+function getCalendarLeg(params, chain, type, strike, dte) {
+  const options = chain?.[type === 'call' ? 'calls' : 'puts'] || [];
+  const option = options.find(candidate => candidate.strike === strike);
+
+  if (option && option.mid > 0) {
+    return { ...option, strike, mid: option.mid, iv: option.iv || params.atmIV, source: 'market' };
+  }
+
+  const iv = option?.iv || params.atmIV;
+  return { strike, mid: priceLeg({ ...params, atmIV: iv }, type, strike, dte), iv, source: 'model' };
+}
+
+/**
+ * 日历 / 对角价差的近月与远月 DTE
+ * 优先使用期权链中的实际到期日（optionsChain 为近月，backChain 为远月），否则远月按近月 + 7 天
+ * @param {Object} params - 策略参数
+ * @returns {Object} { shortDTE, longDTE, shortExpiration, longExpiration }
+ */
+function getCalendarDTEs(params) {
+  const { dte, optionsChain, backChain } = params;
+  const shortDTE = optionsChain?.dte || dte;
+
+  return {
+    shortDTE,
+    longDTE: backChain?.dte || shortDTE + 7,
+    shortExpiration: optionsChain?.expiration || null,
+    longExpiration: backChain?.expiration || null
+  };
+}
+
+/**
+ * 按 Black-Scholes 理论价构建一条损益分析用的腿
+ * @param {Object} params - 策略参数
+ * @param {string} type - 'call' 或 'put'
+ * @param {number} strike - 执行价
+ * @param {number} quantity - 正为买入，负为卖出
+ */
+function modelLeg(params, type, strike, quantity) {
+  return { type, strike, quantity, premium: priceLeg(params, type, strike) };
+}
+
+/**
+ * 组合每股净权利金（净收入为正）
+ */
+function getLegsCredit(legs) {
+  return legs.reduce((sum, leg) => sum - leg.quantity * leg.premium, 0);
+}
+
+/**
+ * 按账户配置确定张数（见 positionSizing.sizePosition，有 realWorld 时含分数 Kelly 约束），费用分摊进各腿成交价
+ * @param {Object} params - 策略参数（可含 accountProfile、feeSchedule、realWorld）
+ * @param {Array} legs - 组合各腿 [{ type, strike, quantity, premium, dte?, iv? }]
+ * @param {number} profitPerContract - 每张组合的净收益（借方策略为最大利润），美元
+ * @returns {Object|null} { contracts, fees, legs: 含费用的腿, sizing }，不适合该账户或费用吃掉全部收益时为 null
+ */
+function sizeWithFees(params, legs, profitPerContract) {
+  const sizing = sizePosition(analyzeLegs(params, legs), {
+    spot: params.currentPrice,
+    profit: profitPerContract,
+    profile: params.accountProfile,
+    feeSchedule: params.feeSchedule,
+    realWorld: analyzeRealWorld(params, legs)
+  });
+  if (!sizing.contracts) {
+    return null;
+  }
+
+  const fees = calculateFees(legs, sizing.contracts, params.feeSchedule);
+  return { contracts: sizing.contracts, fees, legs: applyLegFees(legs, fees), sizing };
+}
+
+/**
+ * 按到期价格分布分析组合损益：指定 probability.model 时使用该模型；
+ * 否则有波动率曲面时使用曲面隐含分布，无曲面时按平值 IV 的对数正态分布
+ * @param {Object} params - 策略参数（currentPrice、atmIV、dte，可选 volSurface、probability、rate、dividendYield）
+ * @param {Array} legs - 组合各腿 [{ type, strike, quantity, premium, dte?, iv? }]
+ * @returns {Object} analyzePayoff 的结果
+ */
+function analyzeLegs(params, legs) {
+  const { currentPrice, atmIV, dte, volSurface, probability, rate, dividendYield } = params;
+
+  return analyzePayoff(legs, {
+    ...probability,
+    spot: currentPrice,
+    dte,
+    iv: volSurface ? strike => getSurfaceIV(volSurface, strike, dte) || atmIV : atmIV,
+    rate,
+    dividendYield
+  });
+}
+
+/**
+ * 按现实测度（近期已实现波动率）分析组合损益，供分数 Kelly 计算优势
+ * 到期分布按已实现波动率生成，到期后仍有剩余期限的腿（日历 / 对角的远月腿）按自身 IV 估值
+ * @param {Object} params - 策略参数（可含 realWorld: { model, degreesOfFreedom, returns, volatility }）
+ * @param {Array} legs - 组合各腿 [{ type, strike, quantity, premium, dte?, iv? }]
+ * @returns {Object|null} analyzePayoff 的结果，没有现实测度时为 null
+ */
+function analyzeRealWorld(params, legs) {
+  const { currentPrice, dte, rate, dividendYield, realWorld } = params;
+  if (!realWorld) {
+    return null;
+  }
+
+  const { volatility, ...model } = realWorld;
+  const analysis = analyzePayoff(legs, { ...model, spot: currentPrice, dte, iv: volatility, rate, dividendYield });
+  return { ...analysis, modelLabel: `已实现波动率 ${(volatility * 100).toFixed(1)}% ${analysis.modelLabel}` };
+}
+
+/**
+ * Black-Scholes 计算单腿每股理论价格
+ * @param {Object} params - 策略参数（currentPrice、atmIV、dte，可选 rate、dividendYield）
+ * @param {string} type - 'call' 或 'put'
+ * @param {number} strike - 执行价
+ * @param {number} [dte] - 到期天数，默认使用 params.dte
+ */
+function priceLeg(params, type, strike, dte = params.dte) {
+  const { currentPrice, atmIV, rate, dividendYield } = params;
+
+  return priceOption({
+    type,
+    spot: currentPrice,
+    strike,
+    dte,
+    iv: atmIV,
+    rate,
+    dividendYield
+  }).price;
+}
+
 /**
  * 计算策略综合评分
  */
@@ -374,12 +753,20 @@ function calculateScore(strategy, ivRank, taScore, gexData) {
   }
 
   // 7. 流动性（5%）
-  score += 5;
+  score += calculateLiquidityScore(strategy) / LIQUIDITY_FULL_SCORE * 5;
 
   return Math.round(Math.max(0, Math.min(100, score)));
 }
 
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
 export default {
-  generateAllStrategies
+  generateAllStrategies,
+  generateCalendarSpread,
+  generateDiagonalSpread,
+  calculateFrontExpiryProfile,
+  calculateTermStructureEdge
 };
 
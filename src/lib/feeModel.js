@@ -0,0 +1,199 @@
+/**
+ * 佣金与费用模型
+ * 按券商费用表逐腿、逐张计算开仓与平仓（往返）费用：佣金（可有每单最低、每腿上限）、
+ * 交易所 / 监管 / 清算费（ORF、OCC 等，按张收取）
+ * 费用按各腿张数分摊到每股成交价中，使损益曲线、盈亏平衡点与概率都反映费用
+ */
+
+// 券商费用表（美元）：
+// commissionPerContract 开仓佣金 / 张，closeCommissionPerContract 平仓佣金 / 张，
+// minCommissionPerOrder 每单最低佣金，maxCommissionPerLeg 每腿佣金上限，
+// feesPerContract 交易所 / 监管 / 清算费 / 张（开平仓各收一次）
+export const BROKER_PROFILES = {
+  ibkr: {
+    label: 'Interactive Brokers',
+    commissionPerContract: 0.65,
+    closeCommissionPerContract: 0.65,
+    minCommissionPerOrder: 1,
+    maxCommissionPerLeg: null,
+    feesPerContract: 0.05
+  },
+  tastytrade: {
+    label: 'tastytrade',
+    commissionPerContract: 1,
+    closeCommissionPerContract: 0,
+    minCommissionPerOrder: 0,
+    maxCommissionPerLeg: 10,
+    feesPerContract: 0.15
+  },
+  schwab: {
+    label: 'Charles Schwab',
+    commissionPerContract: 0.65,
+    closeCommissionPerContract: 0.65,
+    minCommissionPerOrder: 0,
+    maxCommissionPerLeg: null,
+    feesPerContract: 0.03
+  },
+  robinhood: {
+    label: 'Robinhood',
+    commissionPerContract: 0,
+    closeCommissionPerContract: 0,
+    minCommissionPerOrder: 0,
+    maxCommissionPerLeg: null,
+    feesPerContract: 0.03
+  },
+  none: {
+    label: '不计费用',
+    commissionPerContract: 0,
+    closeCommissionPerContract: 0,
+    minCommissionPerOrder: 0,
+    maxCommissionPerLeg: null,
+    feesPerContract: 0
+  }
+};
+
+export const DEFAULT_BROKER = 'ibkr';
+
+// 默认按往返（开仓 + 平仓）计费
+export const DEFAULT_FEE_SCHEDULE = { broker: DEFAULT_BROKER, ...BROKER_PROFILES[DEFAULT_BROKER], roundTrip: true };
+
+// 每组净收益目标（美元）
+export const DEFAULT_TARGET_CREDIT = 150;
+
+// 按目标确定张数时的上限
+const MAX_CONTRACTS = 500;
+
+/**
+ * 解析费用表：请求参数 broker 优先，其次环境变量 BROKER_PROFILE，再次默认券商；
+ * commissionPerContract 覆盖开平仓佣金，feeRoundTrip=0 只计开仓
+ * @param {Object} query - { broker, commissionPerContract, feeRoundTrip }
+ * @param {Object} [env] - 环境变量
+ * @returns {Object} 费用表 { broker, label, ...BROKER_PROFILES[broker], roundTrip }
+ */
+export function parseFeeSchedule(query, env = {}) {
+  const requested = String(query?.broker || env.BROKER_PROFILE || '').toLowerCase();
+  const broker = BROKER_PROFILES[requested] ? requested : DEFAULT_BROKER;
+  const schedule = { broker, ...BROKER_PROFILES[broker], roundTrip: query?.feeRoundTrip !== '0' };
+
+  const commission = parseFloat(query?.commissionPerContract);
+  if (isFinite(commission) && commission >= 0) {
+    schedule.commissionPerContract = commission;
+    schedule.closeCommissionPerContract = commission;
+  }
+
+  return schedule;
+}
+
+/**
+ * 计算组合费用
+ * @param {Array} legs - [{ quantity }]（每张组合中各腿的数量，正买负卖）
+ * @param {number} contracts - 张数
+ * @param {Object} [schedule] - 费用表
+ * @returns {Object} { broker, label, open, close, total, perContract, roundTrip, legs: [{ total, perShare }] }
+ */
+export function calculateFees(legs, contracts, schedule = DEFAULT_FEE_SCHEDULE) {
+  const counts = legs.map(leg => Math.abs(leg.quantity) * contracts);
+
+  // 单边（开仓或平仓）各腿费用：佣金按腿封顶，每单最低佣金按张数分摊到各腿
+  const sideFees = commissionPerContract => {
+    const commissions = counts.map(count => {
+      const commission = commissionPerContract * count;
+      return schedule.maxCommissionPerLeg === null ? commission : Math.min(commission, schedule.maxCommissionPerLeg);
+    });
+    const totalCommission = commissions.reduce((sum, value) => sum + value, 0);
+    const totalCount = counts.reduce((sum, count) => sum + count, 0);
+    const minimumTopUp = totalCommission > 0 && totalCommission < schedule.minCommissionPerOrder
+      ? schedule.minCommissionPerOrder - totalCommission
+      : 0;
+
+    return counts.map((count, i) => commissions[i] + (totalCount > 0 ? minimumTopUp * count / totalCount : 0) +
+      schedule.feesPerContract * count);
+  };
+
+  const open = sideFees(schedule.commissionPerContract);
+  const close = schedule.roundTrip ? sideFees(schedule.closeCommissionPerContract) : counts.map(() => 0);
+  const legTotals = counts.map((count, i) => open[i] + close[i]);
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const total = sum(legTotals);
+
+  return {
+    broker: schedule.broker,
+    label: schedule.label,
+    open: round2(sum(open)),
+    close: round2(sum(close)),
+    total: round2(total),
+    perContract: contracts > 0 ? round2(total / contracts) : 0,
+    roundTrip: schedule.roundTrip,
+    legs: legTotals.map((legTotal, i) => ({
+      total: round2(legTotal),
+      perShare: counts[i] > 0 ? legTotal / (counts[i] * 100) : 0
+    }))
+  };
+}
+
+/**
+ * 将费用分摊进各腿每股成交价：买入腿成本增加，卖出腿收入减少
+ * @param {Array} legs - [{ type, strike, quantity, premium }]
+ * @param {Object} fees - calculateFees 的结果（腿的顺序一致）
+ * @returns {Array} 调整后的腿
+ */
+export function applyLegFees(legs, fees) {
+  return legs.map((leg, i) => {
+    const perShare = fees.legs[i]?.perShare || 0;
+    return { ...leg, premium: leg.quantity < 0 ? leg.premium - perShare : leg.premium + perShare };
+  });
+}
+
+/**
+ * 扣除费用后达到净收益目标所需的最少张数
+ * @param {number} profitPerContract - 每张组合的净权利金（借方策略为最大利润），美元
+ * @param {Array} legs - [{ quantity }]
+ * @param {Object} [schedule] - 费用表
+ * @param {number} [target] - 净收益目标
+ * @returns {number|null} 张数，费用吃掉全部收益时为 null
+ */
+export function contractsForTarget(profitPerContract, legs, schedule = DEFAULT_FEE_SCHEDULE, target = DEFAULT_TARGET_CREDIT) {
+  if (!(profitPerContract > 0)) {
+    return null;
+  }
+
+  const net = contracts => profitPerContract * contracts - calculateFees(legs, contracts, schedule).total;
+  for (let contracts = Math.max(1, Math.ceil(target / profitPerContract)); contracts <= MAX_CONTRACTS; contracts++) {
+    if (net(contracts) >= target) {
+      return contracts;
+    }
+  }
+  return null;
+}
+
+/**
+ * 费用摘要（用于 API 输出）
+ */
+export function summarizeFees(fees) {
+  const { broker, label, open, close, total, perContract, roundTrip } = fees;
+  return { broker, label, open, close, total, perContract, roundTrip };
+}
+
+/**
+ * 费用说明（用于策略理由）
+ * @param {Object} fees - calculateFees / summarizeFees 的结果
+ * @param {number} [grossCredit] - 扣费前的净收益（美元），给出时附带费用占比
+ */
+export function describeFees(fees, grossCredit) {
+  const share = grossCredit > 0 && fees.total > 0 ? `，占权利金 ${(fees.total / grossCredit * 100).toFixed(1)}%` : '';
+  const detail = fees.roundTrip ? `开仓 $${fees.open} + 平仓 $${fees.close}` : '仅开仓';
+  return `费用（${fees.label}）：$${fees.total}（${detail}${share}）`;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  parseFeeSchedule,
+  calculateFees,
+  applyLegFees,
+  contractsForTarget,
+  summarizeFees,
+  describeFees
+};
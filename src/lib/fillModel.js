@@ -0,0 +1,100 @@
+/**
+ * 成交价模型
+ * 组合的三种价格（每股，正数为收取权利金）：
+ * - 自然价：卖出按 Bid、买入按 Ask，立即成交的最差价格
+ * - 中间价：各腿中间价之和
+ * - 预期成交价：从中间价向自然价让出一部分，让出比例（滑点）随腿数与价差宽度增加
+ * 无报价的腿（Black-Scholes 理论价）按估计价差处理
+ */
+
+// 单腿、价差极窄时预期让出的比例
+const BASE_SLIPPAGE = 0.2;
+// 每多一条腿增加的让出比例（多腿组合需要同时成交，做市商要求更多让步）
+const PER_LEG_SLIPPAGE = 0.1;
+// 各腿平均价差比例（价差 / 中间价）的加权
+const SPREAD_SLIPPAGE_WEIGHT = 1;
+const MAX_SLIPPAGE = 0.9;
+
+// 无报价时估计的价差：理论价的 10%，至少一个最小报价单位
+const ESTIMATED_SPREAD_PCT = 0.1;
+const MIN_TICK = 0.05;
+
+/**
+ * 估计组合的成交价
+ * @param {Array} legs - [{ type, strike, quantity, bid, ask, mid }]（quantity 正数买入、负数卖出；无 bid/ask 时以 mid 估计价差）
+ * @param {Object} [options] - { slippage: 覆盖模型的让出比例 0-1 }
+ * @returns {Object} { natural, mid, expected, slippage, estimated, legs: [{ ...腿, bid, ask, fill }] }
+ */
+export function estimateFill(legs, { slippage } = {}) {
+  const quoted = legs.map(leg => {
+    const mid = leg.mid ?? leg.premium ?? 0;
+    if (leg.bid > 0 && leg.ask >= leg.bid) {
+      return { ...leg, mid, estimated: false };
+    }
+    const halfSpread = Math.max(MIN_TICK, mid * ESTIMATED_SPREAD_PCT) / 2;
+    return { ...leg, mid, bid: Math.max(0, mid - halfSpread), ask: mid + halfSpread, estimated: true };
+  });
+
+  const spreadPcts = quoted.map(leg => (leg.mid > 0 ? (leg.ask - leg.bid) / leg.mid : 1));
+  const averageSpreadPct = spreadPcts.reduce((sum, value) => sum + value, 0) / Math.max(1, spreadPcts.length);
+  const fraction = slippage ?? Math.min(
+    MAX_SLIPPAGE,
+    BASE_SLIPPAGE + PER_LEG_SLIPPAGE * Math.max(0, quoted.length - 1) + SPREAD_SLIPPAGE_WEIGHT * averageSpreadPct
+  );
+
+  // 每腿的预期成交价：卖出从中间价向 Bid 让，买入从中间价向 Ask 让
+  const filled = quoted.map(leg => ({
+    ...leg,
+    fill: leg.quantity < 0
+      ? leg.mid - fraction * (leg.mid - leg.bid)
+      : leg.mid + fraction * (leg.ask - leg.mid)
+  }));
+  const credit = price => filled.reduce((sum, leg) => sum - leg.quantity * price(leg), 0);
+
+  return {
+    natural: round4(credit(leg => (leg.quantity < 0 ? leg.bid : leg.ask))),
+    mid: round4(credit(leg => leg.mid)),
+    expected: round4(credit(leg => leg.fill)),
+    slippage: round4(fraction),
+    estimated: filled.some(leg => leg.estimated),
+    legs: filled.map(leg => ({ ...leg, fill: round4(leg.fill) }))
+  };
+}
+
+/**
+ * 成交价摘要（用于 API 输出）：每股价格与按张数计的滑点成本
+ * @param {Object} fill - estimateFill 的结果
+ * @param {number} contracts - 张数
+ * @returns {Object} { natural, mid, expected, slippage, slippageCost, estimated }
+ */
+export function summarizeFill(fill, contracts) {
+  return {
+    natural: fill.natural,
+    mid: fill.mid,
+    expected: fill.expected,
+    slippage: fill.slippage,
+    slippageCost: Math.round((fill.mid - fill.expected) * 100 * contracts),
+    estimated: fill.estimated
+  };
+}
+
+/**
+ * 成交价说明（用于策略理由）
+ */
+export function describeFill(fill, contracts) {
+  const label = fill.mid >= 0 ? '净收入' : '净支出';
+  const price = value => `$${Math.abs(value).toFixed(2)}`;
+  return `${label}（每股）：自然价 ${price(fill.natural)} / 中间价 ${price(fill.mid)} / 预期成交 ${price(fill.expected)}` +
+    `（让出 ${(fill.slippage * 100).toFixed(0)}% 价差，${contracts} 张滑点约 $${Math.round(Math.abs(fill.mid - fill.expected) * 100 * contracts)}` +
+    `${fill.estimated ? '，含估计价差' : ''}）`;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default {
+  estimateFill,
+  summarizeFill,
+  describeFill
+};
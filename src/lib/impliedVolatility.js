@@ -0,0 +1,140 @@
+/**
+ * 隐含波动率求解模块
+ * 从期权 Bid/Ask/Mid 价格反推 IV，并与数据商提供的 IV 对比
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+
+// 数据商 IV 与反推 IV 相差超过 5 个波动率点视为不一致
+export const IV_MISMATCH_THRESHOLD = 0.05;
+
+const MIN_IV = 0.001;
+const MAX_IV = 5;
+
+/**
+ * 由期权价格反推隐含波动率
+ * 先用 Newton-Raphson 迭代，Vega 过小或越界时改用二分法
+ * @param {Object} params - 求解参数
+ * @param {number} params.price - 期权每股价格
+ * @param {string} params.type - 'call' 或 'put'
+ * @param {number} params.spot - 标的价格
+ * @param {number} params.strike - 执行价
+ * @param {number} params.dte - 距离到期天数
+ * @param {number} [params.rate] - 无风险利率
+ * @param {number} [params.dividendYield] - 连续股息率
+ * @returns {number|null} 隐含波动率（小数形式），价格不满足无套利边界时返回 null
+ */
+export function solveImpliedVolatility({
+  price,
+  type,
+  spot,
+  strike,
+  dte,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  if (!price || price <= 0 || !spot || !strike || !dte || dte <= 0) {
+    return null;
+  }
+
+  // 无套利边界检查
+  const t = dte / 365;
+  const forwardSpot = spot * Math.exp(-dividendYield * t);
+  const discountedStrike = strike * Math.exp(-rate * t);
+  const lowerBound = type === 'call'
+    ? Math.max(0, forwardSpot - discountedStrike)
+    : Math.max(0, discountedStrike - forwardSpot);
+  const upperBound = type === 'call' ? forwardSpot : discountedStrike;
+
+  if (price <= lowerBound || price >= upperBound) {
+    return null;
+  }
+
+  const pricing = { type, spot, strike, dte, rate, dividendYield };
+  const tolerance = 1e-6;
+
+  // Newton-Raphson
+  let iv = 0.3;
+  for (let i = 0; i < 50; i++) {
+    const { price: modelPrice, vega } = priceOption({ ...pricing, iv });
+    const diff = modelPrice - price;
+
+    if (Math.abs(diff) < tolerance) {
+      return iv;
+    }
+
+    // vega 为每 1% 波动率，换算为每 1.0
+    const vegaPerUnit = vega * 100;
+    if (vegaPerUnit < 1e-8) break;
+
+    const next = iv - diff / vegaPerUnit;
+    if (next <= MIN_IV || next >= MAX_IV || isNaN(next)) break;
+    iv = next;
+  }
+
+  // 二分法兜底
+  let low = MIN_IV;
+  let high = MAX_IV;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    const modelPrice = priceOption({ ...pricing, iv: mid }).price;
+
+    if (Math.abs(modelPrice - price) < tolerance) {
+      return mid;
+    }
+
+    if (modelPrice > price) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * 为单个合约反推 Bid/Ask/Mid IV，并标记与数据商 IV 的差异
+ * @param {Object} contract - 合约（type、strike、bid、ask、implied_volatility 或 iv）
+ * @param {number} spot - 标的价格
+ * @param {number} dte - 距离到期天数
+ * @param {Object} [options] - { rate, dividendYield, threshold }
+ * @returns {Object} { bidIV, askIV, midIV, vendorIV, ivDiff, ivMismatch }
+ */
+export function solveContractIVs(contract, spot, dte, options = {}) {
+  const { rate, dividendYield, threshold = IV_MISMATCH_THRESHOLD } = options;
+  const strike = parseFloat(contract.strike);
+  const bid = parseFloat(contract.bid) || 0;
+  const ask = parseFloat(contract.ask) || 0;
+  const vendorIV = parseFloat(contract.implied_volatility ?? contract.vendorIV) || null;
+
+  const solve = price => solveImpliedVolatility({
+    price,
+    type: contract.type,
+    spot,
+    strike,
+    dte,
+    rate,
+    dividendYield
+  });
+
+  const bidIV = bid > 0 ? solve(bid) : null;
+  const askIV = ask > 0 ? solve(ask) : null;
+  const midIV = bid > 0 && ask > 0 ? solve((bid + ask) / 2) : null;
+
+  const ivDiff = midIV !== null && vendorIV ? vendorIV - midIV : null;
+
+  return {
+    bidIV,
+    askIV,
+    midIV,
+    vendorIV,
+    ivDiff,
+    ivMismatch: ivDiff !== null && Math.abs(ivDiff) > threshold
+  };
+}
+
+export default {
+  solveImpliedVolatility,
+  solveContractIVs
+};
@@ -0,0 +1,297 @@
+/**
+ * 本地技术指标引擎
+ * 由 OHLCV K 线计算 MACD、RSI、KD（慢速随机指标）、ATR、布林带与 EMA
+ * 输出结构与 calculateTAScore 的输入一致
+ *
+ * K 线格式：[{ time, open, high, low, close, volume }]，按时间升序
+ */
+
+/**
+ * 简单移动平均（前 period-1 个值为 null）
+ * @param {Array<number>} values - 数值序列
+ * @param {number} period - 周期
+ * @returns {Array<number|null>} SMA 序列
+ */
+export function calculateSMA(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+
+  return result;
+}
+
+/**
+ * 指数移动平均（以首个 SMA 作为种子，跳过前导 null）
+ * @param {Array<number|null>} values - 数值序列
+ * @param {number} period - 周期
+ * @returns {Array<number|null>} EMA 序列
+ */
+export function calculateEMA(values, period) {
+  const result = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const start = values.findIndex(value => value !== null && value !== undefined);
+
+  if (start === -1 || values.length - start < period) {
+    return result;
+  }
+
+  let ema = 0;
+  for (let i = start; i < start + period; i++) {
+    ema += values[i];
+  }
+  ema /= period;
+  result[start + period - 1] = ema;
+
+  for (let i = start + period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    result[i] = ema;
+  }
+
+  return result;
+}
+
+/**
+ * MACD
+ * @param {Array<number>} closes - 收盘价
+ * @returns {Object|null} { macd, signal, hist, trend }
+ */
+export function calculateMACD(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = calculateEMA(closes, fastPeriod);
+  const slow = calculateEMA(closes, slowPeriod);
+  const macdLine = closes.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+  const signalLine = calculateEMA(macdLine, signalPeriod);
+
+  const last = closes.length - 1;
+  if (last < 0 || signalLine[last] === null) {
+    return null;
+  }
+
+  const hist = macdLine[last] - signalLine[last];
+
+  return {
+    macd: round(macdLine[last], 4),
+    signal: round(signalLine[last], 4),
+    hist: round(hist, 4),
+    trend: hist > 0 ? 'bullish' : 'bearish'
+  };
+}
+
+/**
+ * RSI（Wilder 平滑）
+ * @param {Array<number>} closes - 收盘价
+ * @returns {Object|null} { value, signal }
+ */
+export function calculateRSI(closes, period = 14) {
+  if (closes.length <= period) {
+    return null;
+  }
+
+  let avgGain = 0;
+  let avgLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) avgGain += change; else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+  }
+
+  const rsi = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+
+  return {
+    value: round(rsi, 2),
+    signal: rsi > 70 ? 'overbought' : rsi < 30 ? 'oversold' : 'neutral'
+  };
+}
+
+/**
+ * 慢速随机指标（KD）
+ * 默认参数与 Alpha Vantage STOCH 一致：fastK 5、slowK 3、slowD 3
+ * @param {Array} bars - K 线
+ * @returns {Object|null} { k, d, signal, trend }
+ */
+export function calculateStochastic(bars, fastKPeriod = 5, slowKPeriod = 3, slowDPeriod = 3) {
+  const fastK = bars.map((_, i) => {
+    if (i < fastKPeriod - 1) return null;
+    const window = bars.slice(i - fastKPeriod + 1, i + 1);
+    const highest = Math.max(...window.map(bar => bar.high));
+    const lowest = Math.min(...window.map(bar => bar.low));
+    return highest === lowest ? 50 : (bars[i].close - lowest) / (highest - lowest) * 100;
+  });
+
+  const slowK = smoothSMA(fastK, slowKPeriod);
+  const slowD = smoothSMA(slowK, slowDPeriod);
+
+  const last = bars.length - 1;
+  if (last < 0 || slowD[last] === null) {
+    return null;
+  }
+
+  const k = slowK[last];
+  const d = slowD[last];
+
+  return {
+    k: round(k, 2),
+    d: round(d, 2),
+    signal: k > 80 ? 'overbought' : k < 20 ? 'oversold' : 'neutral',
+    trend: k > d ? 'bullish' : 'bearish'
+  };
+}
+
+/**
+ * 对含前导 null 的序列做 SMA
+ */
+function smoothSMA(values, period) {
+  const start = values.findIndex(value => value !== null);
+  if (start === -1) {
+    return new Array(values.length).fill(null);
+  }
+
+  const smoothed = calculateSMA(values.slice(start), period);
+  return [...new Array(start).fill(null), ...smoothed];
+}
+
+/**
+ * ATR 平均真实波幅（Wilder 平滑）
+ * @param {Array} bars - K 线
+ * @returns {Object|null} { value, percent }
+ */
+export function calculateATR(bars, period = 14) {
+  if (bars.length <= period) {
+    return null;
+  }
+
+  const trueRanges = bars.slice(1).map((bar, i) => {
+    const prevClose = bars[i].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+  });
+
+  let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+
+  const lastClose = bars[bars.length - 1].close;
+
+  return {
+    value: round(atr, 4),
+    percent: round(atr / lastClose * 100, 2)
+  };
+}
+
+/**
+ * 布林带
+ * @param {Array<number>} closes - 收盘价
+ * @returns {Object|null} { upper, middle, lower, bandwidth, percentB }
+ */
+export function calculateBollingerBands(closes, period = 20, stdDevMultiplier = 2) {
+  if (closes.length < period) {
+    return null;
+  }
+
+  const window = closes.slice(-period);
+  const middle = window.reduce((sum, value) => sum + value, 0) / period;
+  const variance = window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+  const stdDev = Math.sqrt(variance);
+
+  const upper = middle + stdDevMultiplier * stdDev;
+  const lower = middle - stdDevMultiplier * stdDev;
+  const lastClose = closes[closes.length - 1];
+
+  return {
+    upper: round(upper, 4),
+    middle: round(middle, 4),
+    lower: round(lower, 4),
+    bandwidth: round((upper - lower) / middle * 100, 2),
+    percentB: upper === lower ? 0.5 : round((lastClose - lower) / (upper - lower), 4)
+  };
+}
+
+/**
+ * 合并 K 线（如 60 分钟合并为 2 小时），只在同一交易日内合并
+ * @param {Array} bars - K 线（time 为 'YYYY-MM-DD HH:mm:ss'）
+ * @param {number} factor - 合并根数
+ * @returns {Array} 合并后的 K 线
+ */
+export function resampleBars(bars, factor) {
+  const result = [];
+  let group = [];
+
+  const flush = () => {
+    if (group.length === 0) return;
+    result.push({
+      time: group[0].time,
+      open: group[0].open,
+      high: Math.max(...group.map(bar => bar.high)),
+      low: Math.min(...group.map(bar => bar.low)),
+      close: group[group.length - 1].close,
+      volume: group.reduce((sum, bar) => sum + (bar.volume || 0), 0)
+    });
+    group = [];
+  };
+
+  for (const bar of bars) {
+    if (group.length > 0 && String(bar.time).slice(0, 10) !== String(group[0].time).slice(0, 10)) {
+      flush();
+    }
+    group.push(bar);
+    if (group.length === factor) flush();
+  }
+  flush();
+
+  return result;
+}
+
+/**
+ * 计算一个周期的全部指标
+ * @param {Array} bars - K 线（升序）
+ * @returns {Object} { macd, rsi, stoch, atr, bollinger, ema, lastClose, bars }
+ */
+export function computeIndicators(bars) {
+  const closes = bars.map(bar => bar.close);
+  const ema20 = calculateEMA(closes, 20);
+  const ema50 = calculateEMA(closes, 50);
+  const last = closes.length - 1;
+
+  return {
+    macd: calculateMACD(closes),
+    rsi: calculateRSI(closes),
+    stoch: calculateStochastic(bars),
+    atr: calculateATR(bars),
+    bollinger: calculateBollingerBands(closes),
+    ema: {
+      ema20: last >= 0 && ema20[last] !== null ? round(ema20[last], 4) : null,
+      ema50: last >= 0 && ema50[last] !== null ? round(ema50[last], 4) : null
+    },
+    lastClose: last >= 0 ? closes[last] : null,
+    bars: bars.length
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  calculateSMA,
+  calculateEMA,
+  calculateMACD,
+  calculateRSI,
+  calculateStochastic,
+  calculateATR,
+  calculateBollingerBands,
+  resampleBars,
+  computeIndicators
+};
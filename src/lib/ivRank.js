@@ -9,6 +9,12 @@
  * - IVR < 25%：低位，适合买方策略
  */
 
+import { solveContractIVs } from './impliedVolatility.js';
+import { buildVolatilitySurface, getSurfaceIV } from './volatilitySurface.js';
+
+// 历史 IV 快照统一使用 30 天恒定期限的 ATM IV，保证每日可比
+export const IV_SNAPSHOT_DTE = 30;
+
 /**
  * 计算 IV Rank
  * @param {number} currentIV - 当前隐含波动率
@@ -82,7 +88,9 @@ function getIVRankInterpretation(ivRank) {
 
 /**
  * 从期权链提取 ATM IV
- * @param {Array} optionsChain - 期权链数据
+ * 使用由 Bid/Ask 反推的 Mid IV，并对 ATM 执行价的 Call/Put 取平均；
+ * 仅当无法反推时才退回数据商提供的 implied_volatility
+ * @param {Array} optionsChain - 期权链数据（原始合约或 parseOptionsChain 解析后的合约）
  * @param {number} currentPrice - 当前股价
  * @returns {number} ATM IV
  */
@@ -91,8 +99,8 @@ export function extractATMIV(optionsChain, currentPrice) {
     return null;
   }
 
-  // 找到最接近 ATM 的期权
-  let closestOption = null;
+  // 找到最接近 ATM 的执行价
+  let closestStrike = null;
   let minDiff = Infinity;
 
   for (const option of optionsChain) {
@@ -101,15 +109,57 @@ export function extractATMIV(optionsChain, currentPrice) {
 
     if (diff < minDiff) {
       minDiff = diff;
-      closestOption = option;
+      closestStrike = strike;
     }
   }
 
-  if (!closestOption || !closestOption.implied_volatility) {
+  const atmOptions = optionsChain.filter(option => parseFloat(option.strike) === closestStrike);
+
+  const solvedIVs = atmOptions
+    .map(option => getSolvedIV(option, currentPrice))
+    .filter(iv => iv > 0);
+
+  if (solvedIVs.length > 0) {
+    return solvedIVs.reduce((sum, iv) => sum + iv, 0) / solvedIVs.length;
+  }
+
+  const vendorIVs = atmOptions
+    .map(option => parseFloat(option.implied_volatility ?? option.vendorIV))
+    .filter(iv => iv > 0);
+
+  if (vendorIVs.length === 0) {
+    return null;
+  }
+
+  return vendorIVs.reduce((sum, iv) => sum + iv, 0) / vendorIVs.length;
+}
+
+/**
+ * 获取合约的反推 Mid IV（已解析的合约直接读取 midIV）
+ */
+function getSolvedIV(option, currentPrice) {
+  if (option.midIV !== undefined) {
+    return option.midIV;
+  }
+
+  if (!option.type || !option.expiration) {
     return null;
   }
 
-  return parseFloat(closestOption.implied_volatility);
+  const dte = Math.round((new Date(option.expiration) - new Date()) / (1000 * 60 * 60 * 24));
+  return solveContractIVs(option, currentPrice, dte).midIV;
+}
+
+/**
+ * 计算用于历史存储与 IV Rank 的 30 天 ATM IV
+ * @param {Array} contracts - 原始期权链
+ * @param {number} spot - 标的价格（历史链使用当日收盘价）
+ * @param {Date|string} [asOf] - 期权链日期，默认今天
+ * @returns {number|null} 30 天 ATM IV
+ */
+export function calculateSnapshotIV(contracts, spot, asOf = new Date()) {
+  const surface = buildVolatilitySurface(contracts, spot, { asOf });
+  return getSurfaceIV(surface, spot, IV_SNAPSHOT_DTE);
 }
 
 /**
@@ -132,6 +182,7 @@ export function calculateIVPercentile(currentIV, historicalIVs) {
 export default {
   calculateIVRank,
   extractATMIV,
+  calculateSnapshotIV,
   calculateIVPercentile
 };
 
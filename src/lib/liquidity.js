@@ -0,0 +1,179 @@
+/**
+ * 流动性评估模块
+ * 按买卖价差占中间价比例、持仓量、成交量与距标的价格的远近为每条期权腿打分，
+ * 再合成整个组合的流动性评分；无双边报价、持仓量不足或价差过宽的腿视为不可交易
+ */
+
+// 流动性满分（综合评分中的权重）
+export const LIQUIDITY_FULL_SCORE = 10;
+
+// 不可交易的硬性门槛（与全链优化的 minOpenInterest / maxSpreadPct 约束一致）
+export const DEFAULT_LIQUIDITY_CONSTRAINTS = {
+  minOpenInterest: 10,
+  maxSpreadPct: 0.5
+};
+
+// 价差在一个最小报价单位以内时视为最紧（低价期权的百分比价差天然偏大）
+const MIN_TICK = 0.05;
+
+// 分档阈值：[阈值, 得分 0-1]
+const SPREAD_TIERS = [[0.05, 1], [0.1, 0.8], [0.2, 0.55], [0.35, 0.3]];
+const OPEN_INTEREST_TIERS = [[1000, 1], [500, 0.8], [100, 0.55], [50, 0.35]];
+const VOLUME_TIERS = [[500, 1], [100, 0.8], [10, 0.5], [1, 0.25]];
+const DISTANCE_TIERS = [[0.1, 1], [0.2, 0.7], [0.3, 0.4]];
+
+// 单腿各项权重
+const LEG_WEIGHTS = { spread: 0.4, openInterest: 0.3, volume: 0.15, distance: 0.15 };
+
+// 组合总价差占净权利金的比例分档：[阈值, 折算系数]
+const NET_SPREAD_TIERS = [[0.2, 1], [0.4, 0.85], [0.7, 0.65]];
+const NET_SPREAD_FLOOR = 0.45;
+
+const GRADES = [[0.8, 'A'], [0.6, 'B'], [0.4, 'C']];
+
+/**
+ * 合约不可交易的原因：无双边报价、持仓量不足、买卖价差过宽
+ * @param {Object} option - 解析后的合约（bid、ask、mid、openInterest）
+ * @param {Object} [constraints] - { minOpenInterest, maxSpreadPct }
+ * @returns {Array} 原因（空数组表示可交易）
+ */
+export function getUntradeableReasons(option, constraints = DEFAULT_LIQUIDITY_CONSTRAINTS) {
+  const { minOpenInterest, maxSpreadPct } = { ...DEFAULT_LIQUIDITY_CONSTRAINTS, ...constraints };
+
+  if (!(option.bid > 0) || !(option.ask >= option.bid) || !(option.mid > 0)) {
+    return ['无双边报价'];
+  }
+
+  const reasons = [];
+  if (!(option.openInterest >= minOpenInterest)) {
+    reasons.push(`持仓量 ${option.openInterest || 0} < ${minOpenInterest}`);
+  }
+  const spreadPct = (option.ask - option.bid) / option.mid;
+  if (spreadPct > maxSpreadPct) {
+    reasons.push(`价差 ${(spreadPct * 100).toFixed(0)}% > ${(maxSpreadPct * 100).toFixed(0)}%`);
+  }
+  return reasons;
+}
+
+/**
+ * 单腿流动性评估
+ * @param {Object} option - 解析后的合约，附 type（call / put）
+ * @param {Object} options - { spot, constraints }
+ * @returns {Object} { type, strike, bid, ask, spreadPct, openInterest, volume, distancePct, score (0-1), grade, tradeable, reasons }
+ */
+export function gradeLeg(option, { spot, constraints } = {}) {
+  const reasons = getUntradeableReasons(option, constraints);
+  const spread = Math.max(0, (option.ask || 0) - (option.bid || 0));
+  const spreadPct = option.mid > 0 ? spread / option.mid : null;
+  const distancePct = spot > 0 ? Math.abs(option.strike - spot) / spot : null;
+
+  const tierScore = (value, tiers, higherIsBetter) => {
+    if (value === null || !isFinite(value)) return 0;
+    const tier = tiers.find(([limit]) => (higherIsBetter ? value >= limit : value <= limit));
+    return tier ? tier[1] : 0;
+  };
+
+  const components = {
+    spread: spread <= MIN_TICK && option.mid > 0 ? 1 : tierScore(spreadPct, SPREAD_TIERS, false),
+    openInterest: tierScore(option.openInterest || 0, OPEN_INTEREST_TIERS, true),
+    volume: tierScore(option.volume || 0, VOLUME_TIERS, true),
+    distance: distancePct === null ? 1 : tierScore(distancePct, DISTANCE_TIERS, false)
+  };
+  const score = reasons.length > 0
+    ? 0
+    : Object.entries(LEG_WEIGHTS).reduce((sum, [key, weight]) => sum + components[key] * weight, 0);
+
+  return {
+    type: option.type,
+    strike: option.strike,
+    expiration: option.expiration,
+    bid: option.bid || 0,
+    ask: option.ask || 0,
+    spreadPct: spreadPct === null ? null : round4(spreadPct),
+    openInterest: option.openInterest || 0,
+    volume: option.volume || 0,
+    distancePct: distancePct === null ? null : round4(distancePct),
+    score: round4(score),
+    grade: gradeFor(score),
+    tradeable: reasons.length === 0,
+    reasons
+  };
+}
+
+/**
+ * 组合流动性评估
+ * 组合评分以最差一腿为主（成交受限于最差的一腿），兼顾各腿平均，
+ * 再按各腿价差之和占净权利金的比例折算（价差吃掉大部分权利金的组合难以按中间价成交）
+ * @param {Array} legs - [{ ...合约, type, quantity }]（quantity 正数买入、负数卖出）
+ * @param {Object} options - { spot, constraints }
+ * @returns {Object} { score (0-LIQUIDITY_FULL_SCORE), grade, tradeable, netSpread, netSpreadPct, legs, worstLeg, reasons }
+ */
+export function gradeStructure(legs, { spot, constraints } = {}) {
+  const graded = legs.map(leg => ({ ...gradeLeg(leg, { spot, constraints }), quantity: leg.quantity }));
+  if (graded.length === 0) {
+    return null;
+  }
+
+  const worstLeg = graded.reduce((worst, leg) => (leg.score < worst.score ? leg : worst));
+  const meanScore = graded.reduce((sum, leg) => sum + leg.score, 0) / graded.length;
+
+  // 每股：各腿价差之和 vs 净权利金
+  const netSpread = graded.reduce((sum, leg) => sum + Math.abs(leg.quantity) * (leg.ask - leg.bid), 0);
+  const netPremium = Math.abs(legs.reduce((sum, leg) => sum + leg.quantity * (leg.mid || 0), 0));
+  const netSpreadPct = netPremium > 0 ? netSpread / netPremium : null;
+  const netFactor = netSpreadPct === null
+    ? NET_SPREAD_FLOOR
+    : (NET_SPREAD_TIERS.find(([limit]) => netSpreadPct <= limit) || [null, NET_SPREAD_FLOOR])[1];
+
+  const tradeable = graded.every(leg => leg.tradeable);
+  const ratio = tradeable ? (0.7 * worstLeg.score + 0.3 * meanScore) * netFactor : 0;
+
+  return {
+    score: Math.round(ratio * LIQUIDITY_FULL_SCORE * 10) / 10,
+    grade: tradeable ? gradeFor(ratio) : 'F',
+    tradeable,
+    netSpread: round4(netSpread),
+    netSpreadPct: netSpreadPct === null ? null : round4(netSpreadPct),
+    legs: graded,
+    worstLeg: { type: worstLeg.type, strike: worstLeg.strike, grade: worstLeg.grade },
+    reasons: graded
+      .filter(leg => !leg.tradeable)
+      .map(leg => `${describeLeg(leg)}：${leg.reasons.join('，')}`)
+  };
+}
+
+/**
+ * 组合流动性说明（用于策略理由）
+ */
+export function describeLiquidity(liquidity) {
+  if (!liquidity) {
+    return '流动性：无报价数据，未评估';
+  }
+  if (!liquidity.tradeable) {
+    return `流动性不可交易：${liquidity.reasons.join('；')}`;
+  }
+
+  const worst = liquidity.legs.find(leg => leg.type === liquidity.worstLeg.type && leg.strike === liquidity.worstLeg.strike);
+  const netSpread = liquidity.netSpreadPct === null ? '' : `，总价差占净权利金 ${(liquidity.netSpreadPct * 100).toFixed(0)}%`;
+  return `流动性 ${liquidity.grade}（${liquidity.score}/${LIQUIDITY_FULL_SCORE}）：最差腿 ${describeLeg(worst)} ` +
+    `价差 ${(worst.spreadPct * 100).toFixed(0)}%、持仓量 ${worst.openInterest}、成交量 ${worst.volume}${netSpread}`;
+}
+
+function describeLeg(leg) {
+  return `${leg.strike}${leg.type === 'call' ? 'C' : 'P'}`;
+}
+
+function gradeFor(score) {
+  return (GRADES.find(([limit]) => score >= limit) || [null, 'D'])[1];
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default {
+  getUntradeableReasons,
+  gradeLeg,
+  gradeStructure,
+  describeLiquidity
+};
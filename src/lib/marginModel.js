@@ -0,0 +1,292 @@
+/**
+ * 保证金与购买力模型
+ * 按各腿结构计算券商实际占用的购买力：
+ * - Reg-T：被同类型、到期不早于它的买入腿覆盖的卖出腿按价差宽度计（铁鹰类两侧取大），
+ *   未覆盖的卖出腿按裸卖公式计；收取的权利金抵减占用，支付的权利金增加占用
+ * - 组合保证金（近似）：标的 ±15% 区间内按 Black-Scholes 即时重估的最大亏损，不低于每张卖出合约的最低要求
+ * - 现金账户：卖出看跌全额现金担保，价差按宽度全额担保，不允许裸卖看涨
+ * 并给出购买力回报率与年化回报率（与按最大风险计的 ROC 并列）
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+
+const CONTRACT_MULTIPLIER = 100;
+
+export const ACCOUNT_TYPES = {
+  regt: { label: 'Reg-T 保证金账户' },
+  portfolio: { label: '组合保证金（近似）' },
+  cash: { label: '现金账户' }
+};
+
+export const DEFAULT_ACCOUNT_TYPE = 'regt';
+
+// Reg-T 裸卖：标的价格 20% − 价外金额 + 权利金，不低于 10%（看跌按行权价、看涨按标的价格）+ 权利金
+const NAKED_UNDERLYING_PCT = 0.2;
+const NAKED_MINIMUM_PCT = 0.1;
+
+// Reg-T 股票初始保证金比例
+const STOCK_MARGIN_PCT = 0.5;
+
+// 组合保证金近似：个股标的压力区间 ±15%，分 10 档
+const PORTFOLIO_MOVE = 0.15;
+const PORTFOLIO_STEPS = 10;
+// 每张卖出合约的最低要求（美元）
+const PORTFOLIO_MINIMUM_PER_SHORT = 37.5;
+
+/**
+ * 解析账户类型：请求参数 accountType 优先，其次环境变量 ACCOUNT_TYPE，再次默认 Reg-T
+ * @param {Object} query - { accountType }
+ * @param {Object} [env] - 环境变量
+ * @returns {string} regt / portfolio / cash
+ */
+export function parseAccountType(query, env = {}) {
+  const requested = String(query?.accountType || env.ACCOUNT_TYPE || '').toLowerCase();
+  return ACCOUNT_TYPES[requested] ? requested : DEFAULT_ACCOUNT_TYPE;
+}
+
+/**
+ * 计算组合的保证金要求与购买力占用
+ * @param {Array} legs - 每张组合的各腿 [{ type: 'call' | 'put' | 'stock', strike, quantity: 正买负卖, premium, dte, iv }]（见 payoffEngine.summarizeLegs）
+ * @param {Object} params - {
+ *   spot, contracts, profit: 对应 ROC 的收益（信用策略为净权利金，借方策略为最大利润，美元），
+ *   accountType, rate, dividendYield
+ * }
+ * @returns {Object|null} {
+ *   accountType, label, requirement, buyingPower, permitted,
+ *   regT / portfolio: { requirement, buyingPower }, cash: { requirement, buyingPower } | null（不允许时）,
+ *   returnOnBuyingPower (%), annualizedReturn (%), dte
+ * }
+ */
+export function calculateMargin(legs, {
+  spot,
+  contracts = 1,
+  profit,
+  accountType = DEFAULT_ACCOUNT_TYPE,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  if (!legs || legs.length === 0 || !spot) {
+    return null;
+  }
+
+  // 每股净权利金：正数为收入，负数为支出
+  const netCredit = legs.reduce((sum, leg) => sum - leg.quantity * leg.premium, 0);
+  const scale = value => (value === null ? null : Math.round(value * CONTRACT_MULTIPLIER * contracts));
+  const toAccount = requirement => (requirement === null
+    ? null
+    : { requirement: scale(requirement), buyingPower: scale(Math.max(0, requirement - netCredit)) });
+
+  const regT = toAccount(calculateRegTRequirement(legs, spot));
+  const cash = toAccount(calculateCashRequirement(legs, spot));
+  const portfolioRequirement = calculatePortfolioRequirement(legs, { spot, rate, dividendYield });
+  // 组合保证金以当前市值为基准计亏损，权利金已在市值中，占用即要求本身
+  const portfolio = { requirement: scale(portfolioRequirement), buyingPower: scale(portfolioRequirement) };
+
+  const selected = { regt: regT, portfolio, cash }[accountType] || regT;
+  const optionDTEs = legs.filter(leg => leg.type !== 'stock').map(leg => leg.dte);
+  const dte = optionDTEs.length > 0 ? Math.max(1, Math.min(...optionDTEs)) : null;
+  const returnOnBuyingPower = selected && selected.buyingPower > 0 && isFinite(profit)
+    ? profit / selected.buyingPower * 100
+    : null;
+
+  return {
+    accountType,
+    label: ACCOUNT_TYPES[accountType]?.label || ACCOUNT_TYPES[DEFAULT_ACCOUNT_TYPE].label,
+    requirement: selected ? selected.requirement : null,
+    buyingPower: selected ? selected.buyingPower : null,
+    permitted: selected !== null,
+    regT,
+    portfolio,
+    cash,
+    returnOnBuyingPower: returnOnBuyingPower === null ? null : round1(returnOnBuyingPower),
+    annualizedReturn: returnOnBuyingPower === null || dte === null ? null : round1(returnOnBuyingPower * 365 / dte),
+    dte
+  };
+}
+
+/**
+ * Reg-T 保证金要求（每股，未抵减权利金）
+ * 卖出腿优先与同类型、到期不早于它且行权价最有利的买入腿配对：
+ * 配对后只在买入腿行权价不利时（看涨买高、看跌买低）按差额计；未配对的卖出腿按裸卖计
+ */
+export function calculateRegTRequirement(legs, spot) {
+  const spreadRequirement = { call: 0, put: 0 };
+  let nakedRequirement = 0;
+  let stockRequirement = 0;
+
+  for (const type of ['call', 'put']) {
+    const { paired, naked } = pairShortLegs(legs.filter(leg => leg.type === type));
+    spreadRequirement[type] = paired.reduce((sum, pair) => sum + pair.requirement, 0);
+    nakedRequirement += naked.reduce((sum, leg) => sum + calculateNakedRequirement(leg, spot), 0);
+  }
+
+  for (const leg of legs.filter(leg => leg.type === 'stock')) {
+    stockRequirement += Math.abs(leg.quantity) * spot * STOCK_MARGIN_PCT;
+  }
+
+  // 到期时看涨侧与看跌侧不可能同时亏损（铁鹰、铁蝶），两侧价差只按较大一侧计
+  const requirement = Math.max(spreadRequirement.call, spreadRequirement.put) + nakedRequirement + stockRequirement;
+  return capAtExpiryLoss(legs, requirement);
+}
+
+/**
+ * 现金账户要求（每股，未抵减权利金）：卖出看跌按行权价全额担保，有裸卖看涨时不允许（返回 null）
+ */
+export function calculateCashRequirement(legs, spot) {
+  const spreadRequirement = { call: 0, put: 0 };
+  let collateral = 0;
+
+  for (const type of ['call', 'put']) {
+    const { paired, naked } = pairShortLegs(legs.filter(leg => leg.type === type));
+    if (type === 'call' && naked.length > 0) {
+      return null;
+    }
+    spreadRequirement[type] = paired.reduce((sum, pair) => sum + pair.requirement, 0);
+    collateral += naked.reduce((sum, leg) => sum + leg.strike, 0);
+  }
+
+  for (const leg of legs.filter(leg => leg.type === 'stock')) {
+    if (leg.quantity < 0) {
+      return null;
+    }
+    collateral += leg.quantity * spot;
+  }
+
+  return capAtExpiryLoss(legs, Math.max(spreadRequirement.call, spreadRequirement.put) + collateral);
+}
+
+/**
+ * 组合保证金近似要求（每股）：标的在 ±15% 区间内即时变动时组合的最大亏损（保持各腿 IV 与剩余期限），
+ * 不低于每张卖出合约的最低要求
+ */
+export function calculatePortfolioRequirement(legs, {
+  spot,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  const value = price => legs.reduce((sum, leg) => {
+    if (leg.type === 'stock') {
+      return sum + leg.quantity * price;
+    }
+    const { price: optionPrice } = priceOption({
+      type: leg.type, spot: price, strike: leg.strike, dte: leg.dte, iv: leg.iv, rate, dividendYield
+    });
+    return sum + leg.quantity * optionPrice;
+  }, 0);
+
+  const baseValue = value(spot);
+  let worstLoss = 0;
+  for (let i = 0; i <= PORTFOLIO_STEPS; i++) {
+    const move = -PORTFOLIO_MOVE + 2 * PORTFOLIO_MOVE * i / PORTFOLIO_STEPS;
+    worstLoss = Math.max(worstLoss, baseValue - value(spot * (1 + move)));
+  }
+
+  const shortContracts = legs
+    .filter(leg => leg.type !== 'stock' && leg.quantity < 0)
+    .reduce((sum, leg) => sum - leg.quantity, 0);
+
+  return Math.max(worstLoss, shortContracts * PORTFOLIO_MINIMUM_PER_SHORT / CONTRACT_MULTIPLIER);
+}
+
+/**
+ * 同一到期日、卖出腿全部被覆盖的期权组合（蝶式、铁鹰等），占用不超过到期最大亏损：
+ * 逐对配对会把蝶式的第二条卖出腿算成看涨价差，而其到期最大亏损只是支付的权利金
+ */
+function capAtExpiryLoss(legs, requirement) {
+  const options = legs.filter(leg => leg.type !== 'stock');
+  const expirations = new Set(options.map(leg => leg.dte));
+  if (options.length !== legs.length || expirations.size !== 1) {
+    return requirement;
+  }
+  const covered = ['call', 'put'].every(type => pairShortLegs(options.filter(leg => leg.type === type)).naked.length === 0);
+  if (!covered) {
+    return requirement;
+  }
+
+  // 到期损益为分段线性，最大亏损出现在 0、各执行价或价格足够高处
+  const netCredit = legs.reduce((sum, leg) => sum - leg.quantity * leg.premium, 0);
+  const strikes = options.map(leg => leg.strike);
+  const expiryValue = price => options.reduce((sum, leg) => sum + leg.quantity *
+    (leg.type === 'call' ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price)), 0);
+  const maxLoss = Math.max(0, ...[0, ...strikes, Math.max(...strikes) * 2].map(price => -(netCredit + expiryValue(price))));
+
+  return Math.min(requirement, maxLoss + netCredit);
+}
+
+/**
+ * Reg-T 裸卖单腿要求（每股，含权利金）
+ */
+function calculateNakedRequirement(leg, spot) {
+  const outOfMoney = leg.type === 'put' ? Math.max(0, spot - leg.strike) : Math.max(0, leg.strike - spot);
+  const minimumBase = leg.type === 'put' ? leg.strike : spot;
+  return Math.max(
+    NAKED_UNDERLYING_PCT * spot - outOfMoney + leg.premium,
+    NAKED_MINIMUM_PCT * minimumBase + leg.premium
+  );
+}
+
+/**
+ * 同类型期权的卖出腿与买入腿配对（按单张展开，蝶式的 −2 中腿拆成两张）
+ * @param {Array} legs - 同一类型的期权腿
+ * @returns {Object} { paired: [{ short, long, requirement }], naked: [卖出腿] }
+ */
+function pairShortLegs(legs) {
+  const expand = leg => Array.from({ length: Math.round(Math.abs(leg.quantity)) }, () => leg);
+  const shorts = legs.filter(leg => leg.quantity < 0).flatMap(expand);
+  const longs = legs.filter(leg => leg.quantity > 0).flatMap(expand);
+
+  // 买入腿行权价不利时的差额：看涨买入价高于卖出价、看跌买入价低于卖出价
+  const shortfall = (short, long) => (short.type === 'call'
+    ? Math.max(0, long.strike - short.strike)
+    : Math.max(0, short.strike - long.strike));
+
+  const paired = [];
+  const naked = [];
+  for (const short of shorts) {
+    let best = -1;
+    longs.forEach((long, i) => {
+      if ((long.dte ?? 0) < (short.dte ?? 0)) return;
+      if (best < 0 || shortfall(short, long) < shortfall(short, longs[best])) {
+        best = i;
+      }
+    });
+
+    if (best < 0) {
+      naked.push(short);
+    } else {
+      paired.push({ short, long: longs[best], requirement: shortfall(short, longs[best]) });
+      longs.splice(best, 1);
+    }
+  }
+
+  return { paired, naked };
+}
+
+/**
+ * 购买力说明（用于策略理由）
+ */
+export function describeMargin(margin) {
+  const amount = account => (account ? `$${account.buyingPower}` : '不允许');
+  const comparison = `Reg-T ${amount(margin.regT)} / 组合保证金 ${amount(margin.portfolio)} / 现金 ${amount(margin.cash)}`;
+  if (!margin.permitted) {
+    return `购买力（${margin.label}）：该结构不允许（${comparison}）`;
+  }
+
+  const returns = margin.returnOnBuyingPower === null
+    ? ''
+    : `，购买力回报 ${margin.returnOnBuyingPower}%，年化 ${margin.annualizedReturn}%`;
+  return `购买力占用（${margin.label}）：$${margin.buyingPower}${returns}（${comparison}）`;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export default {
+  parseAccountType,
+  calculateMargin,
+  calculateRegTRequirement,
+  calculateCashRequirement,
+  calculatePortfolioRequirement,
+  describeMargin
+};
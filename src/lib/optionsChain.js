@@ -0,0 +1,135 @@
+/**
+ * 期权链解析模块
+ * 按到期日分组解析原始合约，选取最接近目标 DTE 的到期日，
+ * 并提供日历 / 对角价差所需的第二个（远月）到期日
+ */
+
+import { solveContractIVs } from './impliedVolatility.js';
+
+// 远月与近月至少相隔的天数
+export const MIN_BACK_EXPIRY_GAP = 7;
+
+/**
+ * 解析单个合约（由 Bid/Ask 反推 IV，不直接信任数据商字段）
+ * @param {Object} option - 原始合约
+ * @param {number} spot - 标的价格
+ * @param {number} dte - 距离到期天数
+ * @returns {Object} 解析后的合约
+ */
+export function parseOptionContract(option, spot, dte) {
+  const solved = solveContractIVs(option, spot, dte);
+  const bid = parseFloat(option.bid) || 0;
+  const ask = parseFloat(option.ask) || 0;
+
+  return {
+    strike: parseFloat(option.strike),
+    bid,
+    ask,
+    last: parseFloat(option.last) || 0,
+    mid: (bid + ask) / 2,
+    iv: solved.midIV || solved.vendorIV || 0,
+    bidIV: solved.bidIV,
+    askIV: solved.askIV,
+    midIV: solved.midIV,
+    vendorIV: solved.vendorIV,
+    ivMismatch: solved.ivMismatch,
+    delta: parseFloat(option.delta) || 0,
+    gamma: parseFloat(option.gamma) || 0,
+    theta: parseFloat(option.theta) || 0,
+    vega: parseFloat(option.vega) || 0,
+    volume: parseInt(option.volume) || 0,
+    openInterest: parseInt(option.open_interest) || 0,
+    expiration: option.expiration,
+    daysToExp: dte
+  };
+}
+
+/**
+ * 按到期日解析期权链
+ * @param {Array} data - 原始合约（optionsData.data）
+ * @param {number} spot - 标的价格
+ * @param {Object} [options] - { asOf: 估值日期，默认今天 }
+ * @returns {Object} { expirations: 到期日升序, byExpiration: { [expiration]: { expiration, dte, calls, puts } } }
+ */
+export function parseOptionsChain(data, spot, { asOf = new Date() } = {}) {
+  const today = new Date(asOf);
+  const byExpiration = {};
+
+  for (const option of data || []) {
+    if (!option.expiration) continue;
+
+    const dte = Math.round((new Date(option.expiration) - today) / (1000 * 60 * 60 * 24));
+    if (dte <= 0) continue;
+
+    if (!byExpiration[option.expiration]) {
+      byExpiration[option.expiration] = { expiration: option.expiration, dte, calls: [], puts: [] };
+    }
+
+    const slice = byExpiration[option.expiration];
+    const parsed = parseOptionContract(option, spot, dte);
+    if (option.type === 'call') {
+      slice.calls.push(parsed);
+    } else {
+      slice.puts.push(parsed);
+    }
+  }
+
+  for (const slice of Object.values(byExpiration)) {
+    slice.calls.sort((a, b) => a.strike - b.strike);
+    slice.puts.sort((a, b) => a.strike - b.strike);
+  }
+
+  return {
+    expirations: Object.keys(byExpiration).sort(),
+    byExpiration
+  };
+}
+
+/**
+ * 选取最接近目标 DTE 的到期日（距离相同时取较近的一个）
+ * @param {Object} chain - parseOptionsChain 的结果
+ * @param {number} targetDTE - 目标 DTE
+ * @returns {Object|null} { expiration, dte, calls, puts }
+ */
+export function selectExpiry(chain, targetDTE) {
+  let best = null;
+
+  for (const expiration of chain.expirations) {
+    const slice = chain.byExpiration[expiration];
+    if (slice.calls.length === 0 && slice.puts.length === 0) continue;
+    if (!best || Math.abs(slice.dte - targetDTE) < Math.abs(best.dte - targetDTE)) {
+      best = slice;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * 选取远月到期日：近月之后至少相隔 minGap 天的第一个到期日，
+ * 不存在时退回近月之后的最后一个到期日
+ * @param {Object} chain - parseOptionsChain 的结果
+ * @param {string} frontExpiration - 近月到期日
+ * @param {number} [minGap] - 最小间隔天数
+ * @returns {Object|null} { expiration, dte, calls, puts }
+ */
+export function selectBackExpiry(chain, frontExpiration, minGap = MIN_BACK_EXPIRY_GAP) {
+  const front = chain.byExpiration[frontExpiration];
+  if (!front) {
+    return null;
+  }
+
+  const later = chain.expirations
+    .filter(expiration => expiration > frontExpiration)
+    .map(expiration => chain.byExpiration[expiration])
+    .filter(slice => slice.calls.length > 0 && slice.puts.length > 0);
+
+  return later.find(slice => slice.dte - front.dte >= minGap) || later[later.length - 1] || null;
+}
+
+export default {
+  parseOptionContract,
+  parseOptionsChain,
+  selectExpiry,
+  selectBackExpiry
+};
@@ -0,0 +1,248 @@
+/**
+ * 损益曲线引擎
+ * 对任意多腿组合构建到期损益曲线，并对标的到期价格分布（概率模型或波动率曲面隐含）积分，
+ * 得到盈利概率、期望值、最大盈利概率与最大亏损概率
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+import { createProbabilityModel, MODEL_LABELS } from './probabilityModel.js';
+
+// 积分网格覆盖 ±N 个标准差
+const GRID_SIGMAS = 6;
+const DEFAULT_GRID_STEPS = 400;
+
+/**
+ * 组合在某一价格下的损益（每股）
+ * 到期日不晚于 horizonDTE 的腿按内在价值结算，更晚到期的腿以剩余期限和自身 IV 重估
+ * @param {Array} legs - [{ type: 'call' | 'put' | 'stock', strike, quantity: 正买负卖, premium: 每股成交价, dte?, iv? }]
+ * @param {number} price - 标的价格
+ * @param {Object} [options] - { horizonDTE, rate, dividendYield }
+ * @returns {number} 每股损益
+ */
+export function calculatePayoff(legs, price, { horizonDTE = 0, rate, dividendYield } = {}) {
+  return legs.reduce((sum, leg) => {
+    if (leg.type === 'stock') {
+      return sum + leg.quantity * (price - leg.premium);
+    }
+
+    const remaining = (leg.dte ?? horizonDTE) - horizonDTE;
+    const value = remaining > 0 && leg.iv > 0
+      ? priceOption({ type: leg.type, spot: price, strike: leg.strike, dte: remaining, iv: leg.iv, rate, dividendYield }).price
+      : leg.type === 'call' ? Math.max(price - leg.strike, 0) : Math.max(leg.strike - price, 0);
+
+    return sum + leg.quantity * (value - leg.premium);
+  }, 0);
+}
+
+/**
+ * 构建损益曲线
+ * @param {Array} legs - 组合各腿（同 calculatePayoff）
+ * @param {Object} options - { from, to, steps, horizonDTE, rate, dividendYield }
+ * @returns {Array} [{ price, pnl }]（每股）
+ */
+export function buildPayoffCurve(legs, { from, to, steps = 200, ...options }) {
+  const curve = [];
+  for (let i = 0; i <= steps; i++) {
+    const price = from + (to - from) * i / steps;
+    curve.push({ price, pnl: calculatePayoff(legs, price, options) });
+  }
+  return curve;
+}
+
+/**
+ * 标的到期价格分布
+ * model 为 market_implied 且 density 为同一期限的期权链隐含分布（volatilityAnalysis.extractRiskNeutralDensity）时直接使用；
+ * 指定 model（lognormal / student_t / bootstrap）或 iv 为数值时使用概率模型（iv 为函数时取现价处 IV）；
+ * 未指定 model 且 iv 为 strike => iv 时由曲面上相邻执行价的 Call 价格差分得到隐含分布：P(S_T < K) = 1 + e^{rt} ∂C/∂K
+ * @param {Object} params - { spot, dte, iv: 数值或函数, model, rate, dividendYield, degreesOfFreedom, returns, density }
+ * @returns {Object} { model, label, volatility: 现价处 IV, cdf: price => P(S_T < price) }
+ */
+export function createTerminalDistribution({
+  spot,
+  dte,
+  iv,
+  model = null,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD,
+  degreesOfFreedom,
+  returns,
+  density
+}) {
+  if (model === 'market_implied' && density && density.dte === dte) {
+    return { model: density.model, label: density.label, volatility: density.atmIV, cdf: density.cdf };
+  }
+
+  if (model || typeof iv !== 'function') {
+    const volatility = typeof iv === 'function' ? iv(spot) : iv;
+    const distribution = createProbabilityModel({
+      spot,
+      dte,
+      iv: volatility,
+      model: model || 'lognormal',
+      rate,
+      dividendYield,
+      degreesOfFreedom,
+      returns
+    });
+    return { model: distribution.model, label: distribution.label, volatility, cdf: distribution.cdf };
+  }
+
+  const growth = Math.exp(rate * dte / 365);
+  const callAt = strike => priceOption({ type: 'call', spot, strike, dte, iv: iv(strike), rate, dividendYield }).price;
+
+  return {
+    model: 'surface',
+    label: MODEL_LABELS.surface,
+    volatility: iv(spot),
+    cdf: price => {
+      if (price <= 0) return 0;
+      const h = price * 0.001;
+      const slope = (callAt(price + h) - callAt(price - h)) / (2 * h);
+      return Math.max(0, Math.min(1, 1 + growth * slope));
+    }
+  };
+}
+
+/**
+ * 分析组合：按到期价格分布对损益曲线积分
+ * @param {Array} legs - 组合各腿（同 calculatePayoff，腿未给 dte 时取 options.dte）
+ * @param {Object} options - { spot, dte, iv: 数值或 strike => iv, model, rate, dividendYield, degreesOfFreedom, returns, density, steps }
+ * @returns {Object} 每股 { pop, expectedValue, pMaxProfit, pMaxLoss, maxProfit, maxLoss, breakevens, horizonDTE, model, modelLabel, legs: 补全 dte / iv 的各腿 }
+ */
+export function analyzePayoff(legs, options) {
+  const { spot, dte, iv, rate, dividendYield, steps = DEFAULT_GRID_STEPS } = options;
+  const ivAt = typeof iv === 'function' ? iv : () => iv;
+
+  // 损益在最早到期的期权腿到期时评估；其余腿保留时间价值
+  const positioned = legs.map(leg => (leg.type === 'stock' ? leg : {
+    ...leg,
+    dte: leg.dte ?? dte,
+    iv: leg.iv > 0 ? leg.iv : ivAt(leg.strike)
+  }));
+  const optionDTEs = positioned.filter(leg => leg.type !== 'stock').map(leg => leg.dte);
+  const horizonDTE = optionDTEs.length > 0 ? Math.min(...optionDTEs) : dte;
+  const pnlAt = price => calculatePayoff(positioned, price, { horizonDTE, rate, dividendYield });
+
+  const distribution = createTerminalDistribution({ ...options, dte: horizonDTE });
+  const spread = Math.max(distribution.volatility * Math.sqrt(horizonDTE / 365), 0.02);
+  const low = spot * Math.exp(-GRID_SIGMAS * spread);
+  const high = spot * Math.exp(GRID_SIGMAS * spread);
+
+  // 网格包含各执行价，使分段线性的到期损益在节点间精确线性
+  const prices = [...new Set([
+    ...Array.from({ length: steps + 1 }, (_, i) => low + (high - low) * i / steps),
+    ...positioned.filter(leg => leg.strike > low && leg.strike < high).map(leg => leg.strike)
+  ])].sort((a, b) => a - b);
+  const pnl = prices.map(pnlAt);
+
+  // 累积分布在网格上强制单调（曲面隐含分布的数值差分可能有微小回撤）
+  let running = 0;
+  const cdf = prices.map(price => (running = Math.max(running, distribution.cdf(price))));
+
+  // 最大盈亏另取两端极值，覆盖深度实值 / 虚值
+  const extremes = [pnlAt(spot * 0.01), pnlAt(spot * 10)];
+  const maxProfit = Math.max(...pnl, ...extremes);
+  const maxLoss = Math.max(0, -Math.min(...pnl, ...extremes));
+  const tolerance = Math.max(1e-4, (maxProfit + maxLoss) * 1e-3);
+
+  // 网格两端之外的概率质量按端点损益计入
+  let pop = (cdf[0] * (pnl[0] > 0 ? 1 : 0)) + ((1 - cdf[cdf.length - 1]) * (pnl[pnl.length - 1] > 0 ? 1 : 0));
+  let expectedValue = cdf[0] * pnl[0] + (1 - cdf[cdf.length - 1]) * pnl[pnl.length - 1];
+  let pMaxProfit = 0;
+  let pMaxLoss = 0;
+  const breakevens = [];
+
+  const isMaxProfit = value => value >= maxProfit - tolerance;
+  const isMaxLoss = value => maxLoss > 0 && value <= -maxLoss + tolerance;
+  if (isMaxProfit(pnl[0])) pMaxProfit += cdf[0];
+  if (isMaxProfit(pnl[pnl.length - 1])) pMaxProfit += 1 - cdf[cdf.length - 1];
+  if (isMaxLoss(pnl[0])) pMaxLoss += cdf[0];
+  if (isMaxLoss(pnl[pnl.length - 1])) pMaxLoss += 1 - cdf[cdf.length - 1];
+
+  for (let i = 1; i < prices.length; i++) {
+    const [a, b] = [prices[i - 1], prices[i]];
+    const [pa, pb] = [pnl[i - 1], pnl[i]];
+    const mass = cdf[i] - cdf[i - 1];
+
+    expectedValue += mass * (pa + pb) / 2;
+    if (isMaxProfit(pa) && isMaxProfit(pb)) pMaxProfit += mass;
+    if (isMaxLoss(pa) && isMaxLoss(pb)) pMaxLoss += mass;
+
+    if ((pa > 0) === (pb > 0)) {
+      if (pa > 0) pop += mass;
+      continue;
+    }
+
+    // 区间内穿越零点：线性插值求盈亏平衡点，按该点拆分概率质量
+    const root = a + (b - a) * pa / (pa - pb);
+    const rootCDF = Math.min(cdf[i], Math.max(cdf[i - 1], distribution.cdf(root)));
+    pop += pa > 0 ? rootCDF - cdf[i - 1] : cdf[i] - rootCDF;
+    breakevens.push(Math.round(root * 100) / 100);
+  }
+
+  return {
+    pop: clamp01(pop),
+    expectedValue,
+    pMaxProfit: clamp01(pMaxProfit),
+    pMaxLoss: clamp01(pMaxLoss),
+    maxProfit,
+    maxLoss,
+    breakevens,
+    horizonDTE,
+    model: distribution.model,
+    modelLabel: distribution.label,
+    legs: positioned
+  };
+}
+
+/**
+ * 概率分析摘要（用于 API 输出）
+ * @param {Object} analysis - analyzePayoff 的结果
+ * @param {number} multiplier - 每股金额换算为组合金额的乘数（100 × 张数）
+ */
+export function summarizePayoff(analysis, multiplier) {
+  const round4 = value => Math.round(value * 10000) / 10000;
+
+  return {
+    pop: round4(analysis.pop),
+    expectedValue: Math.round(analysis.expectedValue * multiplier),
+    pMaxProfit: round4(analysis.pMaxProfit),
+    pMaxLoss: round4(analysis.pMaxLoss),
+    breakevens: analysis.breakevens,
+    model: analysis.model,
+    modelLabel: analysis.modelLabel
+  };
+}
+
+/**
+ * 组合各腿摘要（用于 API 输出，供前端重估 T+n 损益曲线）
+ * @param {Object} analysis - analyzePayoff 的结果
+ * @returns {Array} 每张合约 [{ type, strike, quantity, premium, dte, iv }]
+ */
+export function summarizeLegs(analysis) {
+  const round4 = value => Math.round(value * 10000) / 10000;
+
+  return analysis.legs.map(leg => (leg.type === 'stock'
+    ? { type: 'stock', quantity: leg.quantity, premium: round4(leg.premium) }
+    : {
+      type: leg.type,
+      strike: leg.strike,
+      quantity: leg.quantity,
+      premium: round4(leg.premium),
+      dte: leg.dte,
+      iv: round4(leg.iv)
+    }));
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+export default {
+  calculatePayoff,
+  buildPayoffCurve,
+  createTerminalDistribution,
+  analyzePayoff,
+  summarizePayoff,
+  summarizeLegs
+};
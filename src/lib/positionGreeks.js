@@ -0,0 +1,81 @@
+/**
+ * 组合 Greeks 模块
+ * 按各腿的 IV 与剩余期限用 Black-Scholes 计算 Greeks（与定价使用的 IV 一致），
+ * 按张数汇总为组合净 Delta / Gamma / Theta / Vega 与美元 Delta
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+
+const CONTRACT_MULTIPLIER = 100;
+
+/**
+ * 汇总组合 Greeks
+ * @param {Array} legs - 每张合约的各腿 [{ type: 'call' | 'put' | 'stock', strike, quantity: 正买负卖, dte, iv }]（见 payoffEngine.summarizeLegs）
+ * @param {Object} params - { spot, contracts, rate, dividendYield }
+ * @returns {Object|null} {
+ *   delta: 等效股数, gamma: 每 $1 的 Delta 变化（股）, theta: 每日美元, vega: 每 1% IV 美元,
+ *   dollarDelta: Delta × 现价（美元敞口）, oneDayMove: 一日 1σ 价格变动,
+ *   deltaPnL / gammaPnL: 一日 1σ 变动下 Delta / Gamma 贡献的损益, dte: 最近到期腿的天数
+ * }
+ */
+export function aggregatePositionGreeks(legs, {
+  spot,
+  contracts = 1,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  if (!legs || legs.length === 0 || !spot) {
+    return null;
+  }
+
+  const totals = { delta: 0, gamma: 0, theta: 0, vega: 0 };
+  let weightedIV = 0;
+  let optionWeight = 0;
+
+  for (const leg of legs) {
+    if (leg.type === 'stock') {
+      // 股票腿按每股计（与 payoffEngine 相同），换算到每张合约对应的 100 股
+      totals.delta += leg.quantity * CONTRACT_MULTIPLIER;
+      continue;
+    }
+
+    const greeks = priceOption({ type: leg.type, spot, strike: leg.strike, dte: leg.dte, iv: leg.iv, rate, dividendYield });
+    for (const key of Object.keys(totals)) {
+      totals[key] += leg.quantity * greeks[key] * CONTRACT_MULTIPLIER;
+    }
+    weightedIV += Math.abs(leg.quantity) * leg.iv;
+    optionWeight += Math.abs(leg.quantity);
+  }
+
+  const scale = value => value * contracts;
+  const [delta, gamma, theta, vega] = [totals.delta, totals.gamma, totals.theta, totals.vega].map(scale);
+
+  // 一日 1σ 变动：期权腿按数量加权的平均 IV
+  const iv = optionWeight > 0 ? weightedIV / optionWeight : 0;
+  const oneDayMove = spot * iv / Math.sqrt(365);
+  const optionDTEs = legs.filter(leg => leg.type !== 'stock').map(leg => leg.dte);
+
+  return {
+    delta: round2(delta),
+    gamma: round4(gamma),
+    theta: round2(theta),
+    vega: round2(vega),
+    dollarDelta: Math.round(delta * spot),
+    oneDayMove: round2(oneDayMove),
+    deltaPnL: round2(delta * oneDayMove),
+    gammaPnL: round2(0.5 * gamma * oneDayMove * oneDayMove),
+    dte: optionDTEs.length > 0 ? Math.min(...optionDTEs) : null
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default {
+  aggregatePositionGreeks
+};
@@ -0,0 +1,188 @@
+/**
+ * 仓位规模模块
+ * 按账户配置确定张数：单笔最大亏损占账户比例、单笔购买力占用比例、可选的分数 Kelly（按现实测度下的 POP / 期望值），
+ * 净收益目标只作为目标（达到目标即不再加仓），取各约束中最小的张数并说明起约束作用的一项
+ */
+
+import { calculateFees, contractsForTarget, DEFAULT_TARGET_CREDIT } from './feeModel.js';
+import { calculateMargin, parseAccountType, DEFAULT_ACCOUNT_TYPE } from './marginModel.js';
+
+// 账户配置：accountValue 账户资金（美元），maxRiskPct 单笔最大亏损占比（%），
+// maxBuyingPowerPct 单笔购买力占用占比（%），kellyFraction Kelly 比例（0 为不使用），
+// targetIncome 每组净收益目标（美元，0 为不设目标），accountType 购买力计算的账户类型
+export const DEFAULT_ACCOUNT_PROFILE = {
+  accountValue: 50000,
+  maxRiskPct: 5,
+  maxBuyingPowerPct: 30,
+  kellyFraction: 0,
+  targetIncome: DEFAULT_TARGET_CREDIT,
+  accountType: DEFAULT_ACCOUNT_TYPE
+};
+
+// 单笔张数上限
+const MAX_CONTRACTS = 500;
+
+const CONSTRAINT_LABELS = {
+  fees: '费用',
+  risk: '单笔风险上限',
+  buyingPower: '购买力上限',
+  kelly: '分数 Kelly',
+  target: '收益目标',
+  maximum: '张数上限'
+};
+
+// 请求参数与环境变量的对应
+const PROFILE_FIELDS = {
+  accountValue: 'ACCOUNT_VALUE',
+  maxRiskPct: 'MAX_RISK_PCT',
+  maxBuyingPowerPct: 'MAX_BUYING_POWER_PCT',
+  kellyFraction: 'KELLY_FRACTION',
+  targetIncome: 'TARGET_INCOME'
+};
+
+/**
+ * 解析账户配置：请求参数优先，其次环境变量，再次默认值；无效或负数忽略
+ * @param {Object} query - { accountValue, maxRiskPct, maxBuyingPowerPct, kellyFraction, targetIncome, accountType }
+ * @param {Object} [env] - 环境变量（ACCOUNT_VALUE、MAX_RISK_PCT、MAX_BUYING_POWER_PCT、KELLY_FRACTION、TARGET_INCOME、ACCOUNT_TYPE）
+ * @returns {Object} 账户配置
+ */
+export function parseAccountProfile(query, env = {}) {
+  const profile = { ...DEFAULT_ACCOUNT_PROFILE, accountType: parseAccountType(query, env) };
+
+  for (const [field, envKey] of Object.entries(PROFILE_FIELDS)) {
+    const value = [query?.[field], env[envKey]]
+      .map(raw => parseFloat(raw))
+      .find(parsed => isFinite(parsed) && parsed >= 0);
+    if (value !== undefined) {
+      profile[field] = value;
+    }
+  }
+  if (!(profile.accountValue > 0)) {
+    profile.accountValue = DEFAULT_ACCOUNT_PROFILE.accountValue;
+  }
+  profile.kellyFraction = Math.min(1, profile.kellyFraction);
+
+  return profile;
+}
+
+/**
+ * 按账户配置确定张数
+ * @param {Object} analysis - 每张组合（不含费用）的 payoffEngine.analyzePayoff 结果（pop、expectedValue、maxProfit、maxLoss、legs）
+ * @param {Object} options - {
+ *   spot, profit: 每张组合的净收益（信用策略为净权利金，借方策略为最大利润，美元，默认 analysis.maxProfit），
+ *   profile: 账户配置, feeSchedule: 费用表,
+ *   realWorld: 同一组合在现实测度（如已实现波动率）下的 analyzePayoff 结果；
+ *     风险中性期望值扣除滑点与费用后恒不为正，没有现实测度时不使用 Kelly 约束
+ * }
+ * @returns {Object} {
+ *   contracts（0 表示不适合该账户）, binding, bindingLabel, explanation,
+ *   riskPerContract, buyingPowerPerContract, totalRisk, totalBuyingPower, riskPct, buyingPowerPct,
+ *   targetIncome, expectedIncome, meetsTarget, constraints: [{ key, label, contracts, detail }]
+ * }
+ */
+export function sizePosition(analysis, { spot, profit, profile, feeSchedule, realWorld = null } = {}) {
+  const account = { ...DEFAULT_ACCOUNT_PROFILE, ...profile };
+  const { accountValue } = account;
+  const legs = analysis.legs;
+  const profitPerContract = profit ?? analysis.maxProfit * 100;
+
+  // 每张的费用按单张计算（每单最低佣金使单张偏高，保守）
+  const unitFees = calculateFees(legs, 1, feeSchedule).total;
+  const riskPerContract = analysis.maxLoss * 100 + unitFees;
+  const margin = calculateMargin(legs, { spot, contracts: 1, accountType: account.accountType });
+  const buyingPowerPerContract = margin?.permitted ? margin.buyingPower : null;
+  const money = value => `$${Math.round(value)}`;
+  const fit = (budget, perContract) => (perContract > 0 ? Math.floor(budget / perContract) : MAX_CONTRACTS);
+
+  const constraints = [];
+  if (!(profitPerContract - unitFees > 0)) {
+    constraints.push({ key: 'fees', contracts: 0, detail: `每张收益 ${money(profitPerContract)} 不足以覆盖费用 ${money(unitFees)}` });
+  }
+
+  const riskBudget = accountValue * account.maxRiskPct / 100;
+  constraints.push({
+    key: 'risk',
+    contracts: fit(riskBudget, riskPerContract),
+    detail: `单笔最大亏损 ≤ 账户 ${account.maxRiskPct}%（${money(riskBudget)}），每张 ${money(riskPerContract)}`
+  });
+
+  const buyingPowerBudget = accountValue * account.maxBuyingPowerPct / 100;
+  constraints.push(buyingPowerPerContract === null
+    ? { key: 'buyingPower', contracts: 0, detail: `${margin?.label || '当前账户'}不允许该结构` }
+    : {
+      key: 'buyingPower',
+      contracts: fit(buyingPowerBudget, buyingPowerPerContract),
+      detail: `购买力占用 ≤ 账户 ${account.maxBuyingPowerPct}%（${money(buyingPowerBudget)}），每张 ${money(buyingPowerPerContract)}`
+    });
+
+  if (account.kellyFraction > 0 && realWorld) {
+    // 二元结果下 Kelly 最优风险比例 f* = p − q / b 等于期望值 / 最大利润（均扣除费用，概率取现实测度）
+    const netProfit = realWorld.maxProfit * 100 - unitFees;
+    const expectedValue = realWorld.expectedValue * 100 - unitFees;
+    const edge = netProfit > 0 ? Math.max(0, Math.min(1, expectedValue / netProfit)) : 0;
+    constraints.push({
+      key: 'kelly',
+      contracts: fit(account.kellyFraction * edge * accountValue, riskPerContract),
+      detail: `${account.kellyFraction} × Kelly（${realWorld.modelLabel}，f* = ${(edge * 100).toFixed(1)}%，` +
+        `POP ${(realWorld.pop * 100).toFixed(0)}%，期望值 ${money(expectedValue)}/张）`
+    });
+  }
+
+  if (account.targetIncome > 0) {
+    const needed = contractsForTarget(profitPerContract, legs, feeSchedule, account.targetIncome);
+    if (needed) {
+      constraints.push({ key: 'target', contracts: needed, detail: `${needed} 张即达到 ${money(account.targetIncome)} 净收益目标` });
+    }
+  }
+
+  constraints.push({ key: 'maximum', contracts: MAX_CONTRACTS, detail: `单笔不超过 ${MAX_CONTRACTS} 张` });
+
+  const labeled = constraints.map(constraint => ({ ...constraint, label: CONSTRAINT_LABELS[constraint.key] }));
+  const binding = labeled.reduce((min, constraint) => (constraint.contracts < min.contracts ? constraint : min));
+  const contracts = Math.max(0, binding.contracts);
+
+  const expectedIncome = contracts > 0
+    ? Math.round(profitPerContract * contracts - calculateFees(legs, contracts, feeSchedule).total)
+    : 0;
+  const meetsTarget = account.targetIncome > 0 ? expectedIncome >= account.targetIncome : null;
+  const explanation = contracts === 0
+    ? `不适合当前账户：${binding.label}（${binding.detail}）`
+    : `${contracts} 张，受${binding.label}约束（${binding.detail}）` +
+      (meetsTarget === false ? `；净收益 ${money(expectedIncome)} 未达 ${money(account.targetIncome)} 目标` : '');
+
+  return {
+    contracts,
+    binding: binding.key,
+    bindingLabel: binding.label,
+    explanation,
+    accountValue,
+    riskPerContract: Math.round(riskPerContract),
+    buyingPowerPerContract,
+    totalRisk: Math.round(riskPerContract * contracts),
+    totalBuyingPower: buyingPowerPerContract === null ? null : buyingPowerPerContract * contracts,
+    riskPct: round2(riskPerContract * contracts / accountValue * 100),
+    buyingPowerPct: buyingPowerPerContract === null ? null : round2(buyingPowerPerContract * contracts / accountValue * 100),
+    targetIncome: account.targetIncome,
+    expectedIncome,
+    meetsTarget,
+    constraints: labeled
+  };
+}
+
+/**
+ * 仓位说明（用于策略理由）
+ */
+export function describeSizing(sizing) {
+  return `仓位：${sizing.explanation}；占账户风险 ${sizing.riskPct}%` +
+    (sizing.buyingPowerPct === null ? '' : `、购买力 ${sizing.buyingPowerPct}%`);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  parseAccountProfile,
+  sizePosition,
+  describeSizing
+};
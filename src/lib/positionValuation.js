@@ -0,0 +1,155 @@
+/**
+ * 持仓估值模块
+ * 以最新期权链重估持仓：各腿优先取期权链 Mid 价，无报价时按 Black-Scholes 估算，
+ * 计算未实现盈亏、已获取的最大利润比例、持仓天数与组合 Greeks，并汇总整个组合
+ */
+
+import { priceOption } from './blackScholes.js';
+import { analyzePayoff } from './payoffEngine.js';
+import { aggregatePositionGreeks } from './positionGreeks.js';
+
+const CONTRACT_MULTIPLIER = 100;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * 重估单个持仓
+ * @param {Object} position - 持仓（见 api/_lib/positionStore.js）
+ * @param {Object} market - { spot, chain: parseOptionsChain 的结果, iv: 无报价时使用的 IV（平值）, asOf, rate, dividendYield }
+ * @returns {Object} { spot, legs, openingCredit, marketValue, unrealizedPnL, realizedPnL, maxProfit, maxLoss, percentOfMaxProfit, daysHeld, dte, greeks }
+ */
+export function revaluePosition(position, { spot, chain, iv, asOf = new Date(), rate, dividendYield }) {
+  const today = new Date(asOf);
+  const multiplier = CONTRACT_MULTIPLIER * position.contracts;
+  const closed = position.status === 'closed';
+
+  const legs = position.legs.map(leg => {
+    const signed = (leg.side === 'sell' ? -1 : 1) * leg.quantity;
+    // 已平仓：按平仓价结算，未记录平仓价的期权腿视为到期作废、股票腿视为按成本平仓
+    if (closed) {
+      const mark = leg.closePrice ?? (leg.type === 'stock' ? leg.fillPrice : 0);
+      return { ...leg, signed, mark, markSource: 'closed' };
+    }
+    if (leg.type === 'stock') {
+      return { ...leg, signed, mark: spot, markSource: 'market' };
+    }
+
+    const dte = Math.round((new Date(leg.expiration) - today) / DAY_MS);
+    const slice = chain?.byExpiration?.[leg.expiration];
+    const contract = slice?.[leg.type === 'call' ? 'calls' : 'puts'].find(option => option.strike === leg.strike);
+    const legIV = contract?.iv > 0 ? contract.iv : iv;
+
+    let mark;
+    let markSource;
+    if (dte <= 0) {
+      [mark, markSource] = [leg.type === 'call' ? Math.max(spot - leg.strike, 0) : Math.max(leg.strike - spot, 0), 'expired'];
+    } else if (contract?.mid > 0) {
+      [mark, markSource] = [contract.mid, 'market'];
+    } else {
+      [mark, markSource] = [priceOption({ type: leg.type, spot, strike: leg.strike, dte, iv: legIV, rate, dividendYield }).price, 'model'];
+    }
+
+    return { ...leg, signed, dte, iv: legIV, mark, markSource };
+  });
+
+  const openingCredit = -legs.reduce((sum, leg) => sum + leg.signed * leg.fillPrice, 0) * multiplier;
+  const marketValue = legs.reduce((sum, leg) => sum + leg.signed * leg.mark, 0) * multiplier;
+  const pnl = marketValue + openingCredit;
+
+  // 最大盈亏：按成交价的到期损益（多到期日组合在最早到期日评估）
+  const liveLegs = closed ? [] : legs.filter(leg => leg.type === 'stock' || leg.dte > 0);
+  const optionDTEs = liveLegs.filter(leg => leg.type !== 'stock').map(leg => leg.dte);
+  const dte = optionDTEs.length > 0 ? Math.min(...optionDTEs) : 0;
+  const payoff = !closed && dte > 0
+    ? analyzePayoff(liveLegs.map(toPayoffLeg), { spot, dte, iv, rate, dividendYield })
+    : null;
+  const maxProfit = payoff ? Math.round(payoff.maxProfit * multiplier) : null;
+  const maxLoss = payoff ? Math.round(payoff.maxLoss * multiplier) : null;
+
+  const greeks = !closed && dte > 0
+    ? aggregatePositionGreeks(liveLegs.map(toPayoffLeg), { spot, contracts: position.contracts, rate, dividendYield })
+    : null;
+
+  const end = closed && position.closedAt ? new Date(position.closedAt) : today;
+
+  return {
+    spot,
+    legs: legs.map(({ signed, ...leg }) => ({
+      ...leg,
+      iv: leg.iv !== undefined ? round4(leg.iv) : undefined,
+      mark: round2(leg.mark),
+      pnl: Math.round(signed * (leg.mark - leg.fillPrice) * multiplier)
+    })),
+    openingCredit: Math.round(openingCredit),
+    marketValue: Math.round(marketValue),
+    unrealizedPnL: closed ? 0 : Math.round(pnl),
+    realizedPnL: closed ? Math.round(pnl) : 0,
+    maxProfit,
+    maxLoss,
+    percentOfMaxProfit: maxProfit > 0 ? Math.round(pnl / maxProfit * 1000) / 10 : null,
+    daysHeld: Math.max(0, Math.floor((end - new Date(position.openedAt)) / DAY_MS)),
+    dte: closed ? null : dte,
+    greeks
+  };
+}
+
+/**
+ * 汇总组合：盈亏合计、Greeks 合计（Delta / Gamma 按标的分别汇总，美元 Delta、Theta、Vega 可跨标的相加）
+ * @param {Array} entries - [{ position, valuation }]
+ * @returns {Object} { openPositions, closedPositions, unrealizedPnL, realizedPnL, greeks: { dollarDelta, theta, vega }, bySymbol }
+ */
+export function summarizePortfolio(entries) {
+  const bySymbol = {};
+  const totals = { dollarDelta: 0, theta: 0, vega: 0 };
+  let unrealizedPnL = 0;
+  let realizedPnL = 0;
+
+  for (const { position, valuation } of entries) {
+    if (!valuation) continue;
+    unrealizedPnL += valuation.unrealizedPnL;
+    realizedPnL += valuation.realizedPnL;
+
+    const greeks = valuation.greeks;
+    if (!greeks) continue;
+
+    const symbol = bySymbol[position.symbol] || (bySymbol[position.symbol] = { delta: 0, gamma: 0, theta: 0, vega: 0, dollarDelta: 0 });
+    for (const key of Object.keys(symbol)) {
+      symbol[key] += greeks[key];
+    }
+    for (const key of Object.keys(totals)) {
+      totals[key] += greeks[key];
+    }
+  }
+
+  const roundAll = values => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, key === 'gamma' ? round4(value) : round2(value)]));
+
+  return {
+    openPositions: entries.filter(entry => entry.position.status === 'open').length,
+    closedPositions: entries.filter(entry => entry.position.status === 'closed').length,
+    unrealizedPnL,
+    realizedPnL,
+    greeks: roundAll(totals),
+    bySymbol: Object.fromEntries(Object.entries(bySymbol).map(([symbol, values]) => [symbol, roundAll(values)]))
+  };
+}
+
+/**
+ * 持仓腿转换为损益引擎的腿（每张组合，正买负卖，premium 为成交价）
+ */
+function toPayoffLeg(leg) {
+  return leg.type === 'stock'
+    ? { type: 'stock', quantity: leg.signed, premium: leg.fillPrice }
+    : { type: leg.type, strike: leg.strike, quantity: leg.signed, premium: leg.fillPrice, dte: leg.dte, iv: leg.iv };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default {
+  revaluePosition,
+  summarizePortfolio
+};
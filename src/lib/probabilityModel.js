@@ -0,0 +1,290 @@
+/**
+ * 概率模型模块
+ * 标的到期价格分布：对数正态（漂移取无风险利率减股息率），
+ * 可选厚尾模式（Student-t 对数收益或历史日收益自助抽样）
+ */
+
+import { normalCDF, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+
+export const PROBABILITY_MODELS = ['lognormal', 'student_t', 'bootstrap', 'market_implied'];
+
+export const MODEL_LABELS = {
+  lognormal: '对数正态',
+  student_t: 'Student-t 厚尾',
+  bootstrap: '历史收益自助抽样',
+  surface: '曲面隐含分布',
+  market_implied: '市场隐含分布（Breeden–Litzenberger）'
+};
+
+export const DEFAULT_DEGREES_OF_FREEDOM = 4;
+
+// 自助抽样：路径数量与所需的最少历史收益个数
+const BOOTSTRAP_PATHS = 4000;
+const MIN_BOOTSTRAP_RETURNS = 20;
+const TRADING_DAYS = 252;
+
+/**
+ * 解析请求中的概率模型
+ * @param {Object} query - 请求参数 { probabilityModel, degreesOfFreedom }
+ * @returns {Object} { model: 未指定时为 null, degreesOfFreedom }
+ */
+export function parseProbabilityModel(query) {
+  const model = PROBABILITY_MODELS.includes(query?.probabilityModel) ? query.probabilityModel : null;
+  const degreesOfFreedom = parseFloat(query?.degreesOfFreedom);
+
+  return {
+    model,
+    degreesOfFreedom: isFinite(degreesOfFreedom) && degreesOfFreedom > 2 ? degreesOfFreedom : DEFAULT_DEGREES_OF_FREEDOM
+  };
+}
+
+/**
+ * 对数正态分布下到期价格低于 strike 的概率（漂移取无风险利率减股息率）
+ * @param {Object} params - { spot, strike, dte, iv, rate, dividendYield }
+ * @returns {number} P(S_T < strike)
+ */
+export function probabilityBelow({
+  spot,
+  strike,
+  dte,
+  iv,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  const t = dte / 365;
+  if (t <= 0 || iv <= 0) return spot < strike ? 1 : 0;
+  if (strike <= 0) return 0;
+  const d2 = (Math.log(spot / strike) + (rate - dividendYield - iv * iv / 2) * t) / (iv * Math.sqrt(t));
+  return normalCDF(-d2);
+}
+
+/**
+ * 由日对数收益计算年化已实现波动率
+ * @param {Array} returns - 日对数收益
+ * @returns {number|null} 年化波动率，样本不足时为 null
+ */
+export function calculateRealizedVolatility(returns) {
+  if (!returns || returns.length < MIN_BOOTSTRAP_RETURNS) {
+    return null;
+  }
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS);
+}
+
+/**
+ * 由收盘价序列计算日对数收益
+ * @param {Array} bars - 日线（升序）[{ close }]
+ * @returns {Array} 日对数收益
+ */
+export function calculateLogReturns(bars) {
+  const returns = [];
+  for (let i = 1; i < (bars || []).length; i++) {
+    const [previous, current] = [bars[i - 1].close, bars[i].close];
+    if (previous > 0 && current > 0) {
+      returns.push(Math.log(current / previous));
+    }
+  }
+  return returns;
+}
+
+/**
+ * 构建到期价格分布
+ * 三种模型的对数收益中心均为 (r - q - σ²/2)t，尺度均为 σ√t：
+ * - lognormal：正态对数收益
+ * - student_t：自由度 ν 的 t 分布，缩放为单位方差（尾部更厚）
+ * - bootstrap：从历史日收益有放回抽样累加，去均值并缩放到 σ（保留历史的偏度与峰度）；历史不足时退回对数正态
+ * market_implied 需由期权链提取（见 volatilityAnalysis.extractRiskNeutralDensity），此处退回对数正态
+ * @param {Object} params - { spot, dte, iv, model, rate, dividendYield, degreesOfFreedom, returns: 历史日对数收益 }
+ * @returns {Object} { model, label, parameters, cdf: price => P(S_T < price), quantile: p => price }
+ */
+export function createProbabilityModel({
+  spot,
+  dte,
+  iv,
+  model = 'lognormal',
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD,
+  degreesOfFreedom = DEFAULT_DEGREES_OF_FREEDOM,
+  returns = []
+}) {
+  const t = Math.max(dte, 0) / 365;
+  const center = Math.log(spot) + (rate - dividendYield - iv * iv / 2) * t;
+  const scale = iv * Math.sqrt(t);
+  const fromLog = cdfOfLog => price => (price <= 0 ? 0 : cdfOfLog(Math.log(price)));
+
+  let cdf;
+  let parameters = { iv, dte, rate, dividendYield };
+  let resolved = model;
+
+  if (model === 'student_t' && scale > 0) {
+    const nu = Math.max(degreesOfFreedom, 2.1);
+    const unit = Math.sqrt((nu - 2) / nu);
+    cdf = fromLog(x => studentTCDF((x - center) / (scale * unit), nu));
+    parameters = { ...parameters, degreesOfFreedom: nu };
+  } else if (model === 'bootstrap' && scale > 0 && returns.length >= MIN_BOOTSTRAP_RETURNS) {
+    const samples = simulateBootstrap(returns, { dte, iv });
+    cdf = fromLog(x => upperBound(samples, x - center) / samples.length);
+    parameters = { ...parameters, samples: returns.length, paths: samples.length };
+  } else {
+    resolved = 'lognormal';
+    cdf = price => probabilityBelow({ spot, strike: price, dte, iv, rate, dividendYield });
+    if (model !== 'lognormal') {
+      parameters = { ...parameters, fallbackFrom: model };
+    }
+  }
+
+  return {
+    model: resolved,
+    label: resolved === 'student_t' ? `${MODEL_LABELS.student_t}（ν=${parameters.degreesOfFreedom}）` : MODEL_LABELS[resolved],
+    parameters,
+    cdf,
+    quantile: p => quantileByBisection(cdf, spot, Math.max(scale, 0.01), p)
+  };
+}
+
+/**
+ * 历史收益自助抽样：返回升序排列的到期对数收益偏离（不含漂移）
+ * 使用固定种子，同样的输入得到同样的结果（便于缓存与复现）
+ */
+function simulateBootstrap(returns, { dte, iv }) {
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const std = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1));
+  const factor = std > 0 ? (iv / Math.sqrt(TRADING_DAYS)) / std : 0;
+  const centered = returns.map(value => (value - mean) * factor);
+  const steps = Math.max(1, Math.round(dte * TRADING_DAYS / 365));
+  const random = mulberry32(returns.length * 7919 + steps);
+
+  // 抽样步数按交易日取整，按实际期限校正方差
+  const adjust = Math.sqrt((dte / 365) / (steps / TRADING_DAYS));
+  const samples = new Float64Array(BOOTSTRAP_PATHS);
+  for (let path = 0; path < BOOTSTRAP_PATHS; path++) {
+    let total = 0;
+    for (let step = 0; step < steps; step++) {
+      total += centered[Math.floor(random() * centered.length)];
+    }
+    samples[path] = total * adjust;
+  }
+
+  return samples.sort();
+}
+
+/**
+ * 有序数组中不大于 value 的元素个数
+ */
+function upperBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] <= value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * 在对数价格上二分求分位数
+ * @param {Function} cdf - price => P(S_T < price)
+ * @param {number} spot - 搜索中心
+ * @param {number} scale - 对数价格尺度（搜索范围 ±20 倍）
+ * @param {number} p - 累积概率
+ */
+export function quantileByBisection(cdf, spot, scale, p) {
+  let low = Math.log(spot) - 20 * scale;
+  let high = Math.log(spot) + 20 * scale;
+  for (let i = 0; i < 80; i++) {
+    const middle = (low + high) / 2;
+    if (cdf(Math.exp(middle)) < p) low = middle;
+    else high = middle;
+  }
+  return Math.exp((low + high) / 2);
+}
+
+/**
+ * Student-t 累积分布函数：F(x) = 1 - I_{ν/(ν+x²)}(ν/2, 1/2) / 2（x ≥ 0）
+ */
+function studentTCDF(x, nu) {
+  const tail = regularizedBeta(nu / (nu + x * x), nu / 2, 0.5) / 2;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * 正则化不完全 Beta 函数（连分式，Numerical Recipes betacf）
+ */
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x >= (a + 1) / (a + b + 2)) {
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+  }
+  return front * betaContinuedFraction(x, a, b) / a;
+}
+
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    const even = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + even * d) < tiny ? tiny : 1 + even * d);
+    c = Math.abs(1 + even / c) < tiny ? tiny : 1 + even / c;
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + odd * d) < tiny ? tiny : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < tiny ? tiny : 1 + odd / c;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return result;
+}
+
+/**
+ * ln Γ(x)（Lanczos 近似）
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.00000000019;
+  for (const coefficient of coefficients) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log(Math.sqrt(2 * Math.PI) * series / x);
+}
+
+/**
+ * 带种子的伪随机数生成器（Mulberry32）
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export default {
+  parseProbabilityModel,
+  probabilityBelow,
+  calculateLogReturns,
+  calculateRealizedVolatility,
+  createProbabilityModel,
+  quantileByBisection
+};
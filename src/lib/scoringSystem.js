@@ -3,6 +3,17 @@
  * 对策略进行 0-100 分评分并排序
  */
 
+import { aggregatePositionGreeks } from './positionGreeks.js';
+import { LIQUIDITY_FULL_SCORE } from './liquidity.js';
+
+// 卖出权利金的策略类型（财报前后风险最大）
+const SELLER_TYPES = ['iron_condor', 'credit_spread', 'vertical_spread', 'cash_secured_put'];
+
+// Greeks 健康度满分；一日 1σ 变动下 Delta / 空头 Gamma 损益占参考金额的比例阈值（比例, 扣分）
+export const GREEKS_FULL_SCORE = 5;
+const DELTA_THRESHOLDS = [[0.3, 2], [0.15, 1]];
+const SHORT_GAMMA_THRESHOLDS = [[0.4, 8], [0.2, 5], [0.1, 3], [0.05, 1]];
+
 /**
  * 计算策略综合评分
  * @param {Array} strategies - 策略数组
@@ -10,11 +21,13 @@
  * @returns {Array} 排序后的策略数组
  */
 export function scoreAndRankStrategies(strategies, marketData) {
-  const { ivRank, taScore, gexData, earnings } = marketData;
+  const { currentPrice, ivRank, taScore, gexData, earnings } = marketData;
 
-  // 为每个策略计算评分
-  const scoredStrategies = strategies.map(strategy => {
-    const score = calculateStrategyScore(strategy, {
+  // 为每个策略计算评分（未带 Greeks 的策略按其各腿汇总；有腿不可交易的策略剔除）
+  const scoredStrategies = strategies.filter(strategy => strategy.liquidity?.tradeable !== false).map(strategy => {
+    const greeks = strategy.greeks
+      || aggregatePositionGreeks(strategy.legs, { spot: currentPrice, contracts: strategy.contracts });
+    const score = calculateStrategyScore({ ...strategy, greeks }, {
       ivRank,
       taScore,
       gexData,
@@ -23,6 +36,7 @@ export function scoreAndRankStrategies(strategies, marketData) {
 
     return {
       ...strategy,
+      greeks,
       score: Math.round(score)
     };
   });
@@ -59,22 +73,100 @@ function calculateStrategyScore(strategy, context) {
   const gexScore = calculateGEXScore(strategy, context.gexData);
   score += gexScore;
 
-  // 6. 流动性（10%）
-  const liquidityScore = 10; // 简化：假设流动性良好
+  // 6. 流动性（10%）：各腿价差、持仓量、成交量与距现价远近
+  const liquidityScore = calculateLiquidityScore(strategy);
   score += liquidityScore;
 
-  // 7. Greeks 健康度（5%）
-  const greeksScore = 5; // 简化：假设健康
+  // 7. Greeks 健康度（5%）：Delta 敞口过大、临近到期的空头 Gamma 扣分
+  const greeksScore = calculateGreeksScore(strategy);
   score += greeksScore;
 
-  // 8. 财报惩罚（-10 分）
-  if (context.earnings?.hasEarningsNear) {
-    score -= 10;
-  }
+  // 8. 财报惩罚：到期日跨越财报的卖方策略 -10 分
+  score -= calculateEarningsPenalty(strategy, context.earnings);
 
   return Math.max(0, Math.min(100, score));
 }
 
+/**
+ * 判断到期日是否跨越财报（财报当天到期也算跨越）
+ * @param {string} expiration - 到期日 YYYY-MM-DD
+ * @param {Object} earnings - { nextEarningsDate }
+ * @returns {boolean}
+ */
+export function spansEarnings(expiration, earnings) {
+  if (!expiration || !earnings?.nextEarningsDate) {
+    return false;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  return earnings.nextEarningsDate >= today && earnings.nextEarningsDate <= expiration;
+}
+
+/**
+ * 计算财报惩罚分
+ * 策略自带 spansEarnings 时直接使用，否则按其 expiration 判断；
+ * 有财报波动对比（earnings.moveComparison）时，跨式偏贵减轻惩罚、偏便宜加重惩罚
+ * @param {Object} strategy - 策略
+ * @param {Object} earnings - 财报信息
+ * @returns {number} 惩罚分（0、5、10 或 15）
+ */
+export function calculateEarningsPenalty(strategy, earnings) {
+  const isSeller = SELLER_TYPES.includes(strategy.type);
+  const spans = strategy.spansEarnings ?? spansEarnings(strategy.expiration, earnings);
+
+  if (!isSeller || !spans) {
+    return 0;
+  }
+
+  const verdict = earnings?.moveComparison?.verdict;
+  return verdict === 'rich' ? 5 : verdict === 'cheap' ? 15 : 10;
+}
+
+/**
+ * 计算流动性评分
+ * @param {Object} strategy - 策略（含 liquidity，见 liquidity.gradeStructure）
+ * @returns {number} 0 ~ LIQUIDITY_FULL_SCORE，无报价数据时取中间分，不可交易为 0
+ */
+export function calculateLiquidityScore(strategy) {
+  if (!strategy.liquidity) {
+    return LIQUIDITY_FULL_SCORE / 2;
+  }
+  return strategy.liquidity.tradeable ? strategy.liquidity.score : 0;
+}
+
+/**
+ * 计算 Greeks 健康度评分
+ * 以一日 1σ 变动下的损益衡量敞口，参考金额为净收益（借方策略为最大风险）：
+ * - Delta 损益超过参考金额的 15% / 30% 扣 1 / 2 分
+ * - 空头 Gamma 损益按临近到期加权（≤3 天 ×2，≤7 天 ×1.5），超过 5% / 10% / 20% / 40% 扣 1 / 3 / 5 / 8 分
+ * - Theta 与 Vega 同时为负（既付时间价值又不受益于波动率上升）扣 1 分
+ * @param {Object} strategy - 策略（含 greeks，见 positionGreeks.aggregatePositionGreeks）
+ * @returns {number} -5 ~ 5，无 Greeks 时取中间分
+ */
+export function calculateGreeksScore(strategy) {
+  const greeks = strategy.greeks;
+  if (!greeks) {
+    return GREEKS_FULL_SCORE / 2;
+  }
+
+  const reference = Math.max(1, strategy.netCredit > 0 ? strategy.netCredit : strategy.maxRisk || 0);
+  const penaltyFor = (ratio, thresholds) => (thresholds.find(([limit]) => ratio > limit) || [0, 0])[1];
+  let score = GREEKS_FULL_SCORE;
+
+  score -= penaltyFor(Math.abs(greeks.deltaPnL) / reference, DELTA_THRESHOLDS);
+
+  if (greeks.gamma < 0) {
+    const expiryWeight = greeks.dte <= 3 ? 2 : greeks.dte <= 7 ? 1.5 : 1;
+    score -= penaltyFor(Math.abs(greeks.gammaPnL) / reference * expiryWeight, SHORT_GAMMA_THRESHOLDS);
+  }
+
+  if (greeks.theta < 0 && greeks.vega < 0) {
+    score -= 1;
+  }
+
+  return Math.max(-GREEKS_FULL_SCORE, score);
+}
+
 /**
  * 计算 IV Rank 适配度评分
  */
@@ -140,6 +232,10 @@ export function generateRecommendationSummary(strategy, rank) {
 
 export default {
   scoreAndRankStrategies,
+  spansEarnings,
+  calculateEarningsPenalty,
+  calculateGreeksScore,
+  calculateLiquidityScore,
   generateRecommendationSummary
 };
 
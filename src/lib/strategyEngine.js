@@ -1,10 +1,20 @@
 /**
  * 策略推荐引擎
  * 专注于周度/双周度现金流策略
- * 每组净收益 ≥ $150
+ * 张数按账户配置确定，每组净收益目标默认 $150
  */
 
-import { calculateVolatilityRange, calculateProbabilityInRange } from './volatilityAnalysis.js';
+import { priceOption } from './blackScholes.js';
+import { analyzePayoff, summarizePayoff, summarizeLegs } from './payoffEngine.js';
+import { parseProbabilityModel } from './probabilityModel.js';
+import { getSurfaceIV } from './volatilitySurface.js';
+import { spansEarnings } from './scoringSystem.js';
+import { aggregatePositionGreeks } from './positionGreeks.js';
+import { calculateFees, applyLegFees, summarizeFees } from './feeModel.js';
+import { calculateMargin } from './marginModel.js';
+import { sizePosition } from './positionSizing.js';
+import { parseStrikeTarget, selectStrike, buildStrikeGrid } from './strikeSelection.js';
+import { parseWingConstraints, optimizeWingWidth } from './wingWidth.js';
 
 /**
  * 生成策略推荐
@@ -14,9 +24,7 @@ import { calculateVolatilityRange, calculateProbabilityInRange } from './volatil
 export function generateStrategies(marketData) {
   const {
     symbol,
-    currentPrice,
     optionsChain,
-    iv,
     dte,
     ivRank,
     taScore,
@@ -26,66 +34,93 @@ export function generateStrategies(marketData) {
 
   const strategies = [];
 
-  // 计算波动率范围
-  const volRange = calculateVolatilityRange(currentPrice, iv, dte);
+  // 到期日跨越财报时不做铁鹰（双向卖出，跳空风险最大）
+  const expiration = new Date(Date.now() + dte * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const throughEarnings = spansEarnings(expiration, earnings);
 
   // 策略 1: 铁鹰策略（Iron Condor）
-  if (ivRank.ivRank >= 40) {
-    const ironCondor = generateIronCondor(marketData, volRange);
+  if (ivRank.ivRank >= 40 && !throughEarnings) {
+    const ironCondor = generateIronCondor(marketData);
     if (ironCondor) strategies.push(ironCondor);
   }
 
   // 策略 2: 信用价差（Credit Spread）
-  const creditSpread = generateCreditSpread(marketData, volRange);
+  const creditSpread = generateCreditSpread(marketData);
   if (creditSpread) strategies.push(creditSpread);
 
   // 策略 3: 现金担保看跌（Cash-Secured Put）
   if (taScore.trend !== 'bearish') {
-    const cashSecuredPut = generateCashSecuredPut(marketData, volRange);
+    const cashSecuredPut = generateCashSecuredPut(marketData);
     if (cashSecuredPut) strategies.push(cashSecuredPut);
   }
 
-  return strategies;
+  return strategies.map(strategy => ({
+    ...strategy,
+    expiration,
+    spansEarnings: throughEarnings,
+    greeks: aggregatePositionGreeks(strategy.legs, {
+      spot: marketData.currentPrice,
+      contracts: strategy.contracts,
+      rate: marketData.rate,
+      dividendYield: marketData.dividendYield
+    }),
+    margin: calculateMargin(strategy.legs, {
+      spot: marketData.currentPrice,
+      contracts: strategy.contracts,
+      profit: strategy.netCredit,
+      accountType: marketData.accountProfile?.accountType,
+      rate: marketData.rate,
+      dividendYield: marketData.dividendYield
+    })
+  }));
 }
 
 /**
  * 生成铁鹰策略
  */
-function generateIronCondor(marketData, volRange) {
-  const { currentPrice, iv, dte, ivRank, taScore, gexData } = marketData;
-
-  // 执行价选择：基于 0.8σ
-  const putSellStrike = roundToStrike(volRange.oneSigma.lower * 1.05);
-  const putBuyStrike = roundToStrike(putSellStrike - getWingWidth(currentPrice));
-  const callSellStrike = roundToStrike(volRange.oneSigma.upper * 0.95);
-  const callBuyStrike = roundToStrike(callSellStrike + getWingWidth(currentPrice));
-
-  // 估算权利金（简化）
-  const creditPerContract = estimateCredit(currentPrice, iv, dte, 'iron_condor');
-
-  // 计算张数（满足 $150 净收益）
-  const minCredit = 150;
-  const contracts = Math.ceil(minCredit / creditPerContract);
-
-  // 总净收益和最大风险
-  const netCredit = creditPerContract * contracts;
-  const wingWidth = callBuyStrike - callSellStrike;
-  const maxRisk = (wingWidth * 100 - creditPerContract) * contracts;
-
-  // 胜率估算
-  const winProbability = calculateProbabilityInRange(
-    currentPrice,
-    putSellStrike,
-    callSellStrike,
-    iv,
-    dte
-  );
+function generateIronCondor(marketData) {
+  const { dte, ivRank, taScore, gexData } = marketData;
+
+  // 执行价选择：按目标 Delta（默认 16Δ）/ 虚值概率 / 权利金
+  const putSelection = selectShortStrike(marketData, 'iron_condor', 'put');
+  const callSelection = selectShortStrike(marketData, 'iron_condor', 'call');
+  if (!putSelection || !callSelection) return null;
+
+  const putSellStrike = putSelection.strike;
+  const putBuyStrike = selectWingStrike(marketData, 'put', putSellStrike);
+  const callSellStrike = callSelection.strike;
+  const callBuyStrike = selectWingStrike(marketData, 'call', callSellStrike);
+  if (putBuyStrike === null || callBuyStrike === null) return null;
+
+  // Black-Scholes 定价各腿
+  const legs = [
+    { type: 'put', strike: putSellStrike, side: 'sell' },
+    { type: 'put', strike: putBuyStrike, side: 'buy' },
+    { type: 'call', strike: callSellStrike, side: 'sell' },
+    { type: 'call', strike: callBuyStrike, side: 'buy' }
+  ];
+  const creditPerContract = calculateLegsCredit(marketData, legs);
+  if (creditPerContract <= 0) return null;
+
+  // 计算张数（按账户配置，扣除费用）
+  const sized = sizeWithFees(marketData, legs, creditPerContract);
+  if (!sized) return null;
+  const { contracts, fees } = sized;
+
+  // 总净收益（扣除费用）和最大风险
+  const netCredit = creditPerContract * contracts - fees.total;
+  const wingWidth = Math.max(putSellStrike - putBuyStrike, callBuyStrike - callSellStrike);
+  const maxRisk = wingWidth * 100 * contracts - netCredit;
+
+  // 胜率：到期损益曲线（含费用）对价格分布积分
+  const payoff = analyzeLegs(marketData, legs, fees);
+  const winProbability = payoff.pop;
 
   // 理由
   const reasoning = [
     `IVR ${ivRank.ivRank}%，${ivRank.level === 'high' || ivRank.level === 'very_high' ? '高位卖出有利' : '适合卖出'}`,
     `TA 综合评分 ${taScore.score}，${taScore.trend === 'neutral' ? '中性市场适合铁鹰' : '趋势' + taScore.trend}`,
-    `短腿距离 0.8σ，胜率约 ${Math.round(winProbability * 100)}%`,
+    `短腿 ${Math.round(Math.abs(putSelection.delta) * 100)}Δ / ${Math.round(callSelection.delta * 100)}Δ，胜率约 ${Math.round(winProbability * 100)}%`,
     `每日 Theta 衰减约 $${Math.round(creditPerContract / dte * contracts)}`,
     gexData?.gamma_environment === 'positive' ? 'GEX 正 Gamma，波动率降低' : ''
   ].filter(Boolean);
@@ -103,10 +138,14 @@ function generateIronCondor(marketData, volRange) {
     netCredit: Math.round(netCredit),
     maxRisk: Math.round(maxRisk),
     winRate: Math.round(winProbability * 100),
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
     breakevens: {
-      lower: putSellStrike - creditPerContract / 100,
-      upper: callSellStrike + creditPerContract / 100
+      lower: putSellStrike - netCredit / contracts / 100,
+      upper: callSellStrike + netCredit / contracts / 100
     },
     reasoning,
     score: null // 将在综合评分模块计算
@@ -116,46 +155,47 @@ function generateIronCondor(marketData, volRange) {
 /**
  * 生成信用价差策略
  */
-function generateCreditSpread(marketData, volRange) {
-  const { currentPrice, iv, dte, ivRank, taScore } = marketData;
+function generateCreditSpread(marketData) {
+  const { dte, ivRank, taScore } = marketData;
 
   // 根据 TA 趋势选择方向
   const direction = taScore.trend === 'bullish' ? 'put' : 'call';
 
-  let sellStrike, buyStrike;
+  // 看涨用 Put Credit Spread，看跌用 Call Credit Spread
+  const selection = selectShortStrike(marketData, 'credit_spread', direction);
+  if (!selection) return null;
 
-  if (direction === 'put') {
-    // 看涨 Put Credit Spread
-    sellStrike = roundToStrike(volRange.oneSigma.lower * 1.05);
-    buyStrike = roundToStrike(sellStrike - getWingWidth(currentPrice));
-  } else {
-    // 看跌 Call Credit Spread
-    sellStrike = roundToStrike(volRange.oneSigma.upper * 0.95);
-    buyStrike = roundToStrike(sellStrike + getWingWidth(currentPrice));
-  }
+  const sellStrike = selection.strike;
+  const buyStrike = selectWingStrike(marketData, direction, sellStrike);
+  if (buyStrike === null) return null;
 
-  // 估算权利金
-  const creditPerContract = estimateCredit(currentPrice, iv, dte, 'credit_spread');
+  // Black-Scholes 定价各腿
+  const legs = [
+    { type: direction, strike: sellStrike, side: 'sell' },
+    { type: direction, strike: buyStrike, side: 'buy' }
+  ];
+  const creditPerContract = calculateLegsCredit(marketData, legs);
+  if (creditPerContract <= 0) return null;
 
-  // 计算张数
-  const minCredit = 150;
-  const contracts = Math.ceil(minCredit / creditPerContract);
+  // 计算张数（按账户配置，扣除费用）
+  const sized = sizeWithFees(marketData, legs, creditPerContract);
+  if (!sized) return null;
+  const { contracts, fees } = sized;
 
-  // 总净收益和最大风险
-  const netCredit = creditPerContract * contracts;
+  // 总净收益（扣除费用）和最大风险
+  const netCredit = creditPerContract * contracts - fees.total;
   const spreadWidth = Math.abs(buyStrike - sellStrike);
-  const maxRisk = (spreadWidth * 100 - creditPerContract) * contracts;
+  const maxRisk = spreadWidth * 100 * contracts - netCredit;
 
-  // 胜率估算
-  const winProbability = direction === 'put'
-    ? calculateProbabilityInRange(currentPrice, sellStrike, Infinity, iv, dte)
-    : calculateProbabilityInRange(currentPrice, -Infinity, sellStrike, iv, dte);
+  // 胜率：到期损益曲线（含费用）对价格分布积分
+  const payoff = analyzeLegs(marketData, legs, fees);
+  const winProbability = payoff.pop;
 
   // 理由
   const reasoning = [
     `${direction === 'put' ? '看涨' : '看跌'}价差策略，TA 趋势 ${taScore.trend}`,
     `IVR ${ivRank.ivRank}%，卖出权利金有优势`,
-    `短腿距离 1σ，胜率约 ${Math.round(winProbability * 100)}%`,
+    `短腿 ${Math.round(Math.abs(selection.delta) * 100)}Δ，胜率约 ${Math.round(winProbability * 100)}%`,
     `风险收益比 1:${(netCredit / maxRisk).toFixed(2)}`,
     `每日 Theta 衰减约 $${Math.round(creditPerContract / dte * contracts)}`
   ];
@@ -172,10 +212,14 @@ function generateCreditSpread(marketData, volRange) {
     netCredit: Math.round(netCredit),
     maxRisk: Math.round(maxRisk),
     winRate: Math.round(winProbability * 100),
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
     breakeven: direction === 'put'
-      ? sellStrike - creditPerContract / 100
-      : sellStrike + creditPerContract / 100,
+      ? sellStrike - netCredit / contracts / 100
+      : sellStrike + netCredit / contracts / 100,
     reasoning,
     score: null
   };
@@ -184,25 +228,32 @@ function generateCreditSpread(marketData, volRange) {
 /**
  * 生成现金担保看跌策略
  */
-function generateCashSecuredPut(marketData, volRange) {
-  const { currentPrice, iv, dte, ivRank, taScore } = marketData;
+function generateCashSecuredPut(marketData) {
+  const { currentPrice, ivRank, taScore } = marketData;
 
-  // 执行价选择：0.9σ 下限
-  const sellStrike = roundToStrike(volRange.oneSigma.lower * 1.1);
+  // 执行价选择：按目标 Delta（默认 30Δ）
+  const selection = selectShortStrike(marketData, 'cash_secured_put', 'put');
+  if (!selection) return null;
 
-  // 估算权利金
-  const creditPerContract = estimateCredit(currentPrice, iv, dte, 'cash_secured_put');
+  const sellStrike = selection.strike;
 
-  // 计算张数
-  const minCredit = 150;
-  const contracts = Math.ceil(minCredit / creditPerContract);
+  // Black-Scholes 定价
+  const legs = [{ type: 'put', strike: sellStrike, side: 'sell' }];
+  const creditPerContract = calculateLegsCredit(marketData, legs);
+  if (creditPerContract <= 0) return null;
 
-  // 总净收益和最大风险
-  const netCredit = creditPerContract * contracts;
-  const maxRisk = (sellStrike * 100 - creditPerContract) * contracts;
+  // 计算张数（按账户配置，扣除费用）
+  const sized = sizeWithFees(marketData, legs, creditPerContract);
+  if (!sized) return null;
+  const { contracts, fees } = sized;
 
-  // 胜率估算
-  const winProbability = calculateProbabilityInRange(currentPrice, sellStrike, Infinity, iv, dte);
+  // 总净收益（扣除费用）和最大风险
+  const netCredit = creditPerContract * contracts - fees.total;
+  const maxRisk = sellStrike * 100 * contracts - netCredit;
+
+  // 胜率：到期损益曲线（含费用）对价格分布积分
+  const payoff = analyzeLegs(marketData, legs, fees);
+  const winProbability = payoff.pop;
 
   // 理由
   const reasoning = [
@@ -210,7 +261,7 @@ function generateCashSecuredPut(marketData, volRange) {
     `执行价 ${sellStrike}，低于当前价 ${((currentPrice - sellStrike) / currentPrice * 100).toFixed(1)}%`,
     `IVR ${ivRank.ivRank}%，收取权利金有优势`,
     `胜率约 ${Math.round(winProbability * 100)}%，不被行权概率高`,
-    `如果被行权，成本价 ${(sellStrike - creditPerContract / 100).toFixed(2)}`
+    `如果被行权，成本价 ${(sellStrike - netCredit / contracts / 100).toFixed(2)}`
   ];
 
   return {
@@ -223,71 +274,145 @@ function generateCashSecuredPut(marketData, volRange) {
     netCredit: Math.round(netCredit),
     maxRisk: Math.round(maxRisk),
     winRate: Math.round(winProbability * 100),
+    probabilities: summarizePayoff(payoff, 100 * contracts),
+    legs: summarizeLegs(payoff),
     roc: Math.round((netCredit / maxRisk) * 100),
-    breakeven: sellStrike - creditPerContract / 100,
+    fees: summarizeFees(fees),
+    sizing: sized.sizing,
+    breakeven: sellStrike - netCredit / contracts / 100,
     reasoning,
     score: null
   };
 }
 
 /**
- * 四舍五入到标准执行价
+ * 选取短腿执行价
+ * 有期权链（optionsChain.calls / puts）时使用挂牌执行价，否则使用标准执行价网格；
+ * 目标由 marketData.strikeMethod / strikeTarget 指定，未指定时使用策略默认值
  */
-function roundToStrike(price) {
-  // 根据价格选择间隔
-  let interval;
-  if (price < 50) {
-    interval = 1;
-  } else if (price < 100) {
-    interval = 2.5;
-  } else if (price < 200) {
-    interval = 5;
-  } else {
-    interval = 10;
-  }
+function selectShortStrike(marketData, strategyType, type) {
+  const { currentPrice, optionsChain, iv, dte } = marketData;
+  const { method, target } = parseStrikeTarget(marketData, strategyType);
+  const listed = optionsChain?.[type === 'call' ? 'calls' : 'puts'] || [];
+
+  return selectStrike(listed.length > 0 ? listed : buildStrikeGrid(currentPrice), {
+    type,
+    spot: currentPrice,
+    dte,
+    method,
+    target,
+    iv: probabilityIV(marketData) || iv
+  });
+}
+
+/**
+ * 选取保护腿执行价：在执行价阶梯上比较多种翼宽（受 marketData.wingWidth / maxRiskPerContract 约束）
+ * 各腿与 calculateLegsCredit 一致，按平值 IV 的 Black-Scholes 定价
+ * @returns {number|null} 保护腿执行价
+ */
+function selectWingStrike(marketData, type, shortStrike) {
+  const { currentPrice, optionsChain, iv, dte, rate, dividendYield } = marketData;
+  const listed = optionsChain?.[type === 'call' ? 'calls' : 'puts'] || [];
+  const ladder = (listed.length > 0 ? listed : buildStrikeGrid(currentPrice)).map(({ strike }) => ({ strike }));
+
+  const shortPremium = priceOption({ type, spot: currentPrice, strike: shortStrike, dte, iv, rate, dividendYield }).price;
+  const result = optimizeWingWidth(ladder, { strike: shortStrike, premium: shortPremium }, {
+    type,
+    spot: currentPrice,
+    dte,
+    iv,
+    rate,
+    dividendYield,
+    ...parseWingConstraints(marketData)
+  });
 
-  return Math.round(price / interval) * interval;
+  return result ? result.best.longStrike : null;
 }
 
 /**
- * 获取翼宽
+ * 概率计算使用的 IV：有波动率曲面时按执行价读取，否则使用平值 IV
  */
-function getWingWidth(currentPrice) {
-  if (currentPrice < 50) {
-    return 5;
-  } else if (currentPrice < 100) {
-    return 10;
-  } else if (currentPrice < 300) {
-    return 15;
-  } else {
-    return 20;
-  }
+function probabilityIV(marketData) {
+  const { volSurface, iv, dte } = marketData;
+  if (!volSurface) return iv;
+
+  return strike => getSurfaceIV(volSurface, strike, dte) || iv;
 }
 
 /**
- * 估算权利金（简化）
+ * 按到期价格分布分析组合损益（各腿按平值 IV 的 Black-Scholes 理论价成交）
+ * 分布由 marketData.probabilityModel 指定（bootstrap 使用 marketData.returns 历史日收益）；
+ * 未指定时有波动率曲面则用曲面隐含分布，否则为对数正态
+ * @param {Object} marketData - 市场数据
+ * @param {Array} legs - 期权腿 [{ type, strike, side: 'sell' | 'buy' }]
+ * @param {Object} [fees] - feeModel.calculateFees 的结果，分摊进各腿成交价
+ * @returns {Object} analyzePayoff 的结果
  */
-function estimateCredit(currentPrice, iv, dte, strategyType) {
-  const timeFactor = Math.sqrt(dte / 365);
-  const volFactor = iv * currentPrice * timeFactor;
-
-  let credit;
-
-  switch (strategyType) {
-    case 'iron_condor':
-      credit = volFactor * 0.15; // 铁鹰约 15% 波动范围
-      break;
-    case 'credit_spread':
-      credit = volFactor * 0.10; // 价差约 10%
-      break;
-    case 'cash_secured_put':
-      credit = volFactor * 0.12; // 现金担保约 12%
-      break;
-    default:
-      credit = volFactor * 0.10;
+function analyzeLegs(marketData, legs, fees) {
+  const { currentPrice, iv, dte, rate, dividendYield, returns } = marketData;
+  const priced = legs.map(leg => ({
+    type: leg.type,
+    strike: leg.strike,
+    quantity: leg.side === 'sell' ? -1 : 1,
+    premium: priceOption({ type: leg.type, spot: currentPrice, strike: leg.strike, dte, iv, rate, dividendYield }).price
+  }));
+
+  return analyzePayoff(fees ? applyLegFees(priced, fees) : priced, {
+    ...parseProbabilityModel(marketData),
+    returns,
+    spot: currentPrice,
+    dte,
+    iv: probabilityIV(marketData) || iv,
+    rate,
+    dividendYield
+  });
+}
+
+/**
+ * 按账户配置确定张数（账户配置为 marketData.accountProfile，费用表为 marketData.feeSchedule，未指定时用默认值）
+ * @param {Object} marketData - 市场数据
+ * @param {Array} legs - 期权腿 [{ type, strike, side: 'sell' | 'buy' }]
+ * @param {number} creditPerContract - 每张组合的净权利金（美元）
+ * @returns {Object|null} { contracts, fees, sizing }，不适合该账户或费用吃掉全部权利金时为 null
+ */
+function sizeWithFees(marketData, legs, creditPerContract) {
+  const sizing = sizePosition(analyzeLegs(marketData, legs), {
+    spot: marketData.currentPrice,
+    profit: creditPerContract,
+    profile: marketData.accountProfile,
+    feeSchedule: marketData.feeSchedule
+  });
+  if (!sizing.contracts) {
+    return null;
   }
 
-  return Math.max(50, Math.round(credit)); // 最低 $50
+  const feeLegs = legs.map(leg => ({ quantity: leg.side === 'sell' ? -1 : 1 }));
+  return { contracts: sizing.contracts, fees: calculateFees(feeLegs, sizing.contracts, marketData.feeSchedule), sizing };
+}
+
+/**
+ * 用 Black-Scholes 计算组合每张合约的净权利金（美元）
+ * @param {Object} marketData - 市场数据（currentPrice、iv、dte，可选 rate、dividendYield）
+ * @param {Array} legs - 期权腿 [{ type, strike, side: 'sell' | 'buy' }]
+ * @returns {number} 净收入为正，净支出为负
+ */
+function calculateLegsCredit(marketData, legs) {
+  const { currentPrice, iv, dte, rate, dividendYield } = marketData;
+
+  const credit = legs.reduce((sum, leg) => {
+    const { price } = priceOption({
+      type: leg.type,
+      spot: currentPrice,
+      strike: leg.strike,
+      dte,
+      iv,
+      rate,
+      dividendYield
+    });
+    return sum + (leg.side === 'sell' ? price : -price);
+  }, 0);
+
+  return Math.round(credit * 100 * 100) / 100;
 }
 
 export default {
@@ -0,0 +1,301 @@
+/**
+ * 策略优化模块
+ * 在选定到期日的整条期权链上枚举各结构的全部可行执行价组合，
+ * 按流动性、最低权利金与最大风险过滤，以期望值与盈利概率评分，
+ * 每种结构返回 Pareto 最优的少数几个候选
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+import { evaluateStrike } from './strikeSelection.js';
+import { evaluateWing, MAX_WING_CANDIDATES } from './wingWidth.js';
+import { probabilityBelow } from './probabilityModel.js';
+import { getUntradeableReasons } from './liquidity.js';
+
+export const OPTIMIZER_STRUCTURES = ['iron_condor', 'put_credit_spread', 'call_credit_spread', 'cash_secured_put'];
+
+export const DEFAULT_OPTIMIZER_CONSTRAINTS = {
+  minCredit: 10, // 每张最低权利金（美元）
+  maxRiskPerContract: null, // 每张最大风险（美元）
+  wingWidth: null, // 固定翼宽（美元），只保留该宽度的价差
+  minOpenInterest: 10,
+  maxSpreadPct: 0.5, // 买卖价差占中间价的最大比例
+  minShortDelta: 0.05,
+  maxShortDelta: 0.45,
+  maxPerStructure: 3
+};
+
+// 铁鹰每侧参与组合的价差数量（按单位风险期望值取前 N 条）
+const IRON_CONDOR_SIDE_LIMIT = 12;
+
+// 固定翼宽的匹配容差（美元）
+const WIDTH_TOLERANCE = 0.01;
+
+/**
+ * 解析请求中的优化约束
+ * @param {Object} query - 请求参数 { minCredit, maxRiskPerContract, wingWidth, minOpenInterest, maxSpreadPct }
+ * @returns {Object} 合并默认值后的约束
+ */
+export function parseOptimizerConstraints(query) {
+  const positive = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  const maxSpreadPct = positive(query?.maxSpreadPct, DEFAULT_OPTIMIZER_CONSTRAINTS.maxSpreadPct);
+
+  return {
+    ...DEFAULT_OPTIMIZER_CONSTRAINTS,
+    minCredit: positive(query?.minCredit, DEFAULT_OPTIMIZER_CONSTRAINTS.minCredit),
+    maxRiskPerContract: positive(query?.maxRiskPerContract, null) || null,
+    wingWidth: positive(query?.wingWidth, null) || null,
+    minOpenInterest: positive(query?.minOpenInterest, DEFAULT_OPTIMIZER_CONSTRAINTS.minOpenInterest),
+    // 价差比例可写 50 或 0.5
+    maxSpreadPct: maxSpreadPct > 1 ? maxSpreadPct / 100 : maxSpreadPct
+  };
+}
+
+/**
+ * 合约是否满足流动性要求：双边有报价、持仓量足够、买卖价差不过宽
+ * @param {Object} option - 解析后的合约
+ * @param {Object} constraints - { minOpenInterest, maxSpreadPct }
+ * @returns {boolean}
+ */
+export function isLiquid(option, constraints) {
+  return getUntradeableReasons(option, constraints).length === 0;
+}
+
+/**
+ * 按期望值与盈利概率取 Pareto 前沿：不存在另一候选两项都不差且至少一项更好
+ * @param {Array} candidates - [{ score, pop }]
+ * @returns {Array} 前沿候选，按 score 降序
+ */
+export function paretoFront(candidates) {
+  const sorted = [...candidates].sort((a, b) => b.score - a.score || b.pop - a.pop);
+  const front = [];
+  let bestPop = -Infinity;
+
+  // 按 score 降序扫描，只有盈利概率严格更高者不被之前的候选支配
+  for (const candidate of sorted) {
+    if (candidate.pop > bestPop) {
+      front.push(candidate);
+      bestPop = candidate.pop;
+    }
+  }
+
+  return front;
+}
+
+/**
+ * 枚举一侧的信用价差（卖虚值 short，买更虚值 long）
+ * 指定 constraints.wingWidth 时只保留宽度等于该值的保护腿
+ * @param {Array} options - 同类型合约（升序）
+ * @param {Object} params - { type, spot, dte, iv, rate, dividendYield, constraints }
+ * @returns {Array} 候选 [{ structure, type, short, long, ...evaluateWing 指标 }]，金额为每股
+ */
+export function enumerateCreditSpreads(options, params) {
+  const { type, spot, dte, iv, rate, dividendYield, constraints } = params;
+  const wingWidth = constraints?.wingWidth || null;
+  const liquid = (options || []).filter(option => isLiquid(option, constraints));
+  const candidates = [];
+
+  for (const short of selectShortCandidates(liquid, params)) {
+    const wings = liquid
+      .filter(option => (type === 'put' ? option.strike < short.strike : option.strike > short.strike))
+      .filter(option => !wingWidth || Math.abs(Math.abs(option.strike - short.strike) - wingWidth) < WIDTH_TOLERANCE)
+      .sort((a, b) => Math.abs(a.strike - short.strike) - Math.abs(b.strike - short.strike))
+      .slice(0, MAX_WING_CANDIDATES);
+
+    for (const long of wings) {
+      const metrics = evaluateWing({
+        type,
+        spot,
+        dte,
+        iv,
+        shortStrike: short.strike,
+        shortPremium: short.mid,
+        longStrike: long.strike,
+        longPremium: long.mid,
+        rate,
+        dividendYield
+      });
+
+      candidates.push({
+        structure: type === 'put' ? 'put_credit_spread' : 'call_credit_spread',
+        type,
+        short,
+        long,
+        ...metrics
+      });
+    }
+  }
+
+  return candidates.filter(candidate => passesLimits(candidate, constraints));
+}
+
+/**
+ * 由两侧信用价差组合铁鹰
+ * 期望值两侧相加；最大风险取较宽一侧；盈利概率为到期落在两个盈亏平衡点之间的概率
+ * @param {Array} putSpreads - enumerateCreditSpreads 的 Put 侧结果
+ * @param {Array} callSpreads - enumerateCreditSpreads 的 Call 侧结果
+ * @param {Object} params - { spot, dte, iv, rate, dividendYield, constraints }
+ * @returns {Array} 候选 [{ structure, put, call, width, credit, maxRisk, returnOnRisk, pop, pMaxLoss, expectedValue, score }]
+ */
+export function enumerateIronCondors(putSpreads, callSpreads, params) {
+  const { spot, dte, iv, rate, dividendYield, constraints } = params;
+  const topSide = spreads => [...spreads].sort((a, b) => b.score - a.score).slice(0, IRON_CONDOR_SIDE_LIMIT);
+  const below = strike => probabilityBelow({ spot, strike, dte, iv, rate, dividendYield });
+  const candidates = [];
+
+  for (const put of topSide(putSpreads)) {
+    for (const call of topSide(callSpreads)) {
+      if (put.short.strike >= call.short.strike) continue;
+
+      const credit = put.credit + call.credit;
+      const width = Math.max(put.width, call.width);
+      const maxRisk = width - credit;
+      if (maxRisk <= 0) continue;
+
+      const expectedValue = put.expectedValue + call.expectedValue;
+      const pop = Math.max(0, below(call.short.strike + credit) - below(put.short.strike - credit));
+
+      candidates.push({
+        structure: 'iron_condor',
+        put,
+        call,
+        width,
+        credit,
+        maxRisk,
+        returnOnRisk: credit / maxRisk,
+        pop,
+        // 任一侧到期穿过保护腿的概率
+        pMaxLoss: put.pMaxLoss + call.pMaxLoss,
+        expectedValue,
+        score: expectedValue / maxRisk
+      });
+    }
+  }
+
+  return candidates.filter(candidate => passesLimits(candidate, constraints));
+}
+
+/**
+ * 枚举现金担保看跌：最大风险为行权价减权利金（标的归零）
+ * @param {Array} puts - Put 合约（升序）
+ * @param {Object} params - { spot, dte, iv, rate, dividendYield, constraints }
+ * @returns {Array} 候选 [{ structure, short, width, credit, maxRisk, returnOnRisk, pop, pMaxLoss, expectedValue, score }]
+ */
+export function enumerateCashSecuredPuts(puts, params) {
+  const {
+    spot,
+    dte,
+    iv,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    constraints
+  } = params;
+  const liquid = (puts || []).filter(option => isLiquid(option, constraints));
+  const growth = Math.exp(rate * dte / 365);
+
+  return selectShortCandidates(liquid, { ...params, type: 'put' })
+    .map(short => {
+      const credit = short.mid;
+      const maxRisk = short.strike - credit;
+      const expectedPayout = growth * priceOption({ type: 'put', spot, strike: short.strike, dte, iv, rate, dividendYield }).price;
+      const expectedValue = credit - expectedPayout;
+
+      return {
+        structure: 'cash_secured_put',
+        type: 'put',
+        short,
+        width: short.strike,
+        credit,
+        maxRisk,
+        returnOnRisk: maxRisk > 0 ? credit / maxRisk : 0,
+        pop: 1 - probabilityBelow({ spot, strike: short.strike - credit, dte, iv, rate, dividendYield }),
+        pMaxLoss: 0,
+        expectedValue,
+        score: maxRisk > 0 ? expectedValue / maxRisk : -Infinity
+      };
+    })
+    .filter(candidate => passesLimits(candidate, constraints));
+}
+
+/**
+ * 在整条期权链上优化各结构
+ * @param {Object} chain - 选定到期日 { dte, calls, puts }
+ * @param {Object} params - { spot, iv: 平值 IV, structures, constraints, rate, dividendYield }
+ * @returns {Object} { byStructure: { [structure]: 候选[] }, stats: { [structure]: { evaluated, pareto } } }
+ */
+export function optimizeStrategies(chain, params) {
+  const { spot, iv, structures = OPTIMIZER_STRUCTURES, rate, dividendYield } = params;
+  const constraints = { ...DEFAULT_OPTIMIZER_CONSTRAINTS, ...params.constraints };
+  const base = { spot, dte: chain.dte, iv, rate, dividendYield, constraints };
+  const wanted = new Set(structures);
+
+  const putSpreads = wanted.has('put_credit_spread') || wanted.has('iron_condor')
+    ? enumerateCreditSpreads(chain.puts, { ...base, type: 'put' })
+    : [];
+  const callSpreads = wanted.has('call_credit_spread') || wanted.has('iron_condor')
+    ? enumerateCreditSpreads(chain.calls, { ...base, type: 'call' })
+    : [];
+
+  const pools = {
+    iron_condor: () => enumerateIronCondors(putSpreads, callSpreads, base),
+    put_credit_spread: () => putSpreads,
+    call_credit_spread: () => callSpreads,
+    cash_secured_put: () => enumerateCashSecuredPuts(chain.puts, base)
+  };
+
+  const byStructure = {};
+  const stats = {};
+
+  for (const structure of OPTIMIZER_STRUCTURES) {
+    if (!wanted.has(structure)) continue;
+
+    const pool = pools[structure]();
+    const front = paretoFront(pool);
+    byStructure[structure] = front.slice(0, constraints.maxPerStructure);
+    stats[structure] = { evaluated: pool.length, pareto: front.length };
+  }
+
+  return { byStructure, stats };
+}
+
+/**
+ * 短腿候选：虚值且 |Delta| 落在约束区间内
+ */
+function selectShortCandidates(options, { type, spot, dte, iv, rate, dividendYield, constraints }) {
+  return options.filter(option => {
+    if (type === 'put' ? option.strike >= spot : option.strike <= spot) return false;
+
+    const { delta } = evaluateStrike({
+      type,
+      strike: option.strike,
+      spot,
+      dte,
+      iv: option.iv > 0 ? option.iv : iv,
+      rate,
+      dividendYield
+    });
+    const absDelta = Math.abs(delta);
+    return absDelta >= constraints.minShortDelta && absDelta <= constraints.maxShortDelta;
+  });
+}
+
+/**
+ * 每张权利金与最大风险约束（约束以每张美元给出，候选金额为每股）
+ */
+function passesLimits(candidate, { minCredit, maxRiskPerContract }) {
+  if (candidate.credit <= 0 || candidate.maxRisk <= 0) return false;
+  if (candidate.credit * 100 < minCredit) return false;
+  return !maxRiskPerContract || candidate.maxRisk * 100 <= maxRiskPerContract;
+}
+
+export default {
+  parseOptimizerConstraints,
+  isLiquid,
+  paretoFront,
+  enumerateCreditSpreads,
+  enumerateIronCondors,
+  enumerateCashSecuredPuts,
+  optimizeStrategies
+};
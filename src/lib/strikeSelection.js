@@ -0,0 +1,170 @@
+/**
+ * 执行价选择模块
+ * 在实际挂牌的执行价中按目标 Delta、虚值概率或目标权利金选取短腿
+ */
+
+import { priceOption, normalCDF, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+
+export const STRIKE_METHODS = ['delta', 'probability', 'premium'];
+
+// 各策略短腿的默认目标
+export const DEFAULT_STRIKE_TARGETS = {
+  iron_condor: { method: 'delta', target: 0.16 },
+  vertical_spread: { method: 'delta', target: 0.30 },
+  credit_spread: { method: 'delta', target: 0.30 },
+  cash_secured_put: { method: 'delta', target: 0.30 }
+};
+
+/**
+ * 解析请求中的执行价目标
+ * strikeMethod：delta | probability | premium；strikeTarget：Delta 与概率可写 16 或 0.16，权利金为每股美元
+ * @param {Object} query - 请求参数 { strikeMethod, strikeTarget }
+ * @param {string} strategyType - 策略类型（决定默认目标）
+ * @returns {Object} { method, target }
+ */
+export function parseStrikeTarget(query, strategyType) {
+  const fallback = DEFAULT_STRIKE_TARGETS[strategyType] || DEFAULT_STRIKE_TARGETS.vertical_spread;
+  const method = STRIKE_METHODS.includes(query?.strikeMethod) ? query.strikeMethod : fallback.method;
+  const value = parseFloat(query?.strikeTarget);
+
+  if (!isFinite(value) || value <= 0) {
+    // 未给目标：概率按默认 Delta 换算，权利金无法推断则退回默认 Delta
+    if (method === 'probability') return { method, target: 1 - fallback.target };
+    if (method === 'premium') return { method: fallback.method, target: fallback.target };
+    return { method, target: fallback.target };
+  }
+
+  if (method === 'premium') {
+    return { method, target: value };
+  }
+
+  return { method, target: value > 1 ? value / 100 : value };
+}
+
+/**
+ * 按标的价格推算标准执行价间隔（无期权链时使用）
+ */
+export function getStrikeInterval(price) {
+  if (price < 50) return 1;
+  if (price < 100) return 2.5;
+  if (price < 200) return 5;
+  return 10;
+}
+
+/**
+ * 生成现价上下 ±range 的标准执行价网格（无期权链时使用）
+ * @param {number} spot - 标的价格
+ * @param {number} [range] - 覆盖比例，默认 ±40%
+ * @returns {Array} [{ strike }]
+ */
+export function buildStrikeGrid(spot, range = 0.4) {
+  const interval = getStrikeInterval(spot);
+  const low = Math.max(interval, Math.floor(spot * (1 - range) / interval) * interval);
+  const high = Math.ceil(spot * (1 + range) / interval) * interval;
+  const grid = [];
+
+  for (let strike = low; strike <= high + 1e-9; strike += interval) {
+    grid.push({ strike: Math.round(strike * 100) / 100 });
+  }
+
+  return grid;
+}
+
+/**
+ * 计算单个执行价的 Delta、虚值概率与权利金
+ * @param {Object} params - { type, strike, spot, dte, iv, rate, dividendYield, mid }
+ * @returns {Object} { strike, iv, delta, probabilityOTM, premium }
+ */
+export function evaluateStrike({
+  type,
+  strike,
+  spot,
+  dte,
+  iv,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD,
+  mid
+}) {
+  const model = priceOption({ type, spot, strike, dte, iv, rate, dividendYield });
+  const t = dte / 365;
+
+  // 风险中性下到期虚值概率：Put 为 P(S_T > K) = N(d2)，Call 为 P(S_T < K) = N(-d2)
+  let probabilityOTM = type === 'call' ? (spot < strike ? 1 : 0) : (spot > strike ? 1 : 0);
+  if (t > 0 && iv > 0) {
+    const d2 = (Math.log(spot / strike) + (rate - dividendYield - iv * iv / 2) * t) / (iv * Math.sqrt(t));
+    probabilityOTM = type === 'call' ? normalCDF(-d2) : normalCDF(d2);
+  }
+
+  return {
+    strike,
+    iv,
+    delta: model.delta,
+    probabilityOTM,
+    premium: mid > 0 ? mid : model.price
+  };
+}
+
+/**
+ * 在候选执行价中选取最接近目标的虚值执行价
+ * @param {Array} candidates - 挂牌合约或执行价网格 [{ strike, mid?, iv? }]
+ * @param {Object} params - { type, spot, dte, iv: 数值或 strike => iv, method, target, rate, dividendYield }
+ * @returns {Object|null} { strike, option, delta, probabilityOTM, premium, method, target }
+ */
+export function selectStrike(candidates, params) {
+  const { type, spot, dte, iv, method = 'delta', target, rate, dividendYield } = params;
+  if (!candidates || candidates.length === 0) {
+    return null;
+  }
+
+  const otm = candidates.filter(option => (type === 'call' ? option.strike > spot : option.strike < spot));
+  const pool = otm.length > 0 ? otm : candidates;
+  const ivFor = typeof iv === 'function' ? iv : () => iv;
+
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const option of pool) {
+    const strikeIV = option.iv > 0 ? option.iv : ivFor(option.strike);
+    if (!(strikeIV > 0)) continue;
+
+    const metrics = evaluateStrike({ type, strike: option.strike, spot, dte, iv: strikeIV, rate, dividendYield, mid: option.mid });
+    const value = method === 'probability'
+      ? metrics.probabilityOTM
+      : method === 'premium' ? metrics.premium : Math.abs(metrics.delta);
+    const distance = Math.abs(value - target);
+
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = { ...metrics, option, method, target };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * 执行价选择说明（用于策略理由）
+ */
+export function describeStrikeSelection(selection) {
+  if (!selection) {
+    return '';
+  }
+
+  const actual = `实际 ${Math.round(Math.abs(selection.delta) * 100)}Δ，虚值概率 ${Math.round(selection.probabilityOTM * 100)}%`;
+  if (selection.method === 'probability') {
+    return `短腿按虚值概率 ${Math.round(selection.target * 100)}% 选取（${actual}）`;
+  }
+  if (selection.method === 'premium') {
+    return `短腿按权利金 $${selection.target.toFixed(2)} 选取（${actual}）`;
+  }
+  return `短腿按 ${Math.round(selection.target * 100)}Δ 选取（${actual}）`;
+}
+
+export default {
+  parseStrikeTarget,
+  getStrikeInterval,
+  buildStrikeGrid,
+  evaluateStrike,
+  selectStrike,
+  describeStrikeSelection
+};
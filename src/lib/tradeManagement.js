@@ -0,0 +1,123 @@
+/**
+ * 交易管理规则引擎
+ * 按可配置的管理规则检查已重估的持仓：止盈（最大利润百分比）、止损（权利金倍数）、
+ * 剩余天数离场、短腿被击穿、短腿 Delta 超限，生成提醒
+ */
+
+import { priceOption } from './blackScholes.js';
+
+export const DEFAULT_MANAGEMENT_RULES = {
+  profitTargetPct: 50, // 达到最大利润的百分比时止盈
+  stopLossMultiple: 2, // 亏损达到开仓权利金的倍数时止损（仅信用策略）
+  exitDTE: 1, // 剩余天数不超过 N 天时离场
+  shortStrikeBreach: true, // 现价越过短腿执行价
+  maxShortDelta: 0.4 // 短腿 |Delta| 上限
+};
+
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * 解析管理规则：请求参数优先，其次环境变量（MANAGE_PROFIT_TARGET_PCT 等），再次默认值
+ * 数值规则传 off 可关闭
+ * @param {Object} query - { profitTargetPct, stopLossMultiple, exitDTE, shortStrikeBreach, maxShortDelta }
+ * @param {Object} [env] - 环境变量
+ * @returns {Object} 规则（关闭的规则为 null）
+ */
+export function parseManagementRules(query, env = {}) {
+  const read = (key, envKey) => query?.[key] ?? env[envKey];
+  const numeric = (key, envKey) => {
+    const raw = read(key, envKey);
+    if (raw === 'off') return null;
+    const parsed = parseFloat(raw);
+    return isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_MANAGEMENT_RULES[key];
+  };
+  const breach = read('shortStrikeBreach', 'MANAGE_SHORT_STRIKE_BREACH');
+
+  return {
+    profitTargetPct: numeric('profitTargetPct', 'MANAGE_PROFIT_TARGET_PCT'),
+    stopLossMultiple: numeric('stopLossMultiple', 'MANAGE_STOP_LOSS_MULTIPLE'),
+    exitDTE: numeric('exitDTE', 'MANAGE_EXIT_DTE'),
+    shortStrikeBreach: breach === undefined ? DEFAULT_MANAGEMENT_RULES.shortStrikeBreach : !['off', 'false', '0'].includes(String(breach)),
+    maxShortDelta: numeric('maxShortDelta', 'MANAGE_MAX_SHORT_DELTA')
+  };
+}
+
+/**
+ * 检查单个持仓
+ * @param {Object} position - 持仓（见 api/_lib/positionStore.js）
+ * @param {Object} valuation - positionValuation.revaluePosition 的结果
+ * @param {Object} [rules] - 管理规则
+ * @returns {Array} 提醒 [{ positionId, symbol, rule, severity, message, value, threshold }]
+ */
+export function evaluatePosition(position, valuation, rules = DEFAULT_MANAGEMENT_RULES) {
+  if (position.status !== 'open' || !valuation) {
+    return [];
+  }
+
+  const alerts = [];
+  const label = `${position.symbol} ${position.name || position.strategyType}`.trim();
+  const alert = (rule, severity, message, value, threshold) => alerts.push({
+    positionId: position.id,
+    symbol: position.symbol,
+    rule,
+    severity,
+    message: `${label}：${message}`,
+    value,
+    threshold
+  });
+
+  const { unrealizedPnL, openingCredit, percentOfMaxProfit, dte, spot } = valuation;
+
+  if (rules.profitTargetPct !== null && percentOfMaxProfit !== null && percentOfMaxProfit >= rules.profitTargetPct) {
+    alert('profit_target', 'info', `已获取最大利润的 ${percentOfMaxProfit}%（目标 ${rules.profitTargetPct}%），建议平仓锁定利润`,
+      percentOfMaxProfit, rules.profitTargetPct);
+  }
+
+  if (rules.stopLossMultiple !== null && openingCredit > 0 && unrealizedPnL <= -rules.stopLossMultiple * openingCredit) {
+    alert('stop_loss', 'critical', `亏损 $${-unrealizedPnL} 达到开仓权利金 $${openingCredit} 的 ${rules.stopLossMultiple} 倍，执行止损`,
+      Math.round(-unrealizedPnL / openingCredit * 100) / 100, rules.stopLossMultiple);
+  }
+
+  if (rules.exitDTE !== null && dte !== null && dte <= rules.exitDTE) {
+    alert('dte_exit', 'warning', `剩余 ${dte} 天到期（规则 ≤ ${rules.exitDTE} 天离场），注意 Gamma 与行权风险`, dte, rules.exitDTE);
+  }
+
+  const shortLegs = valuation.legs.filter(leg => leg.side === 'sell' && leg.type !== 'stock' && leg.dte > 0);
+  for (const leg of shortLegs) {
+    const legName = `短腿 ${leg.strike}${leg.type === 'call' ? 'C' : 'P'}`;
+    const breached = leg.type === 'call' ? spot > leg.strike : spot < leg.strike;
+
+    if (rules.shortStrikeBreach && breached) {
+      alert('short_strike_breached', 'critical', `现价 $${spot} 已越过${legName}`, spot, leg.strike);
+      continue;
+    }
+
+    if (rules.maxShortDelta !== null && leg.iv > 0) {
+      const { delta } = priceOption({ type: leg.type, spot, strike: leg.strike, dte: leg.dte, iv: leg.iv });
+      if (Math.abs(delta) >= rules.maxShortDelta) {
+        alert('delta_threshold', 'warning', `${legName} |Delta| ${Math.abs(delta).toFixed(2)} 超过 ${rules.maxShortDelta}，考虑调整或滚动`,
+          Math.round(Math.abs(delta) * 100) / 100, rules.maxShortDelta);
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * 检查一组持仓
+ * @param {Array} entries - [{ position, valuation }]
+ * @param {Object} [rules] - 管理规则
+ * @returns {Array} 全部提醒（按严重程度降序）
+ */
+export function evaluatePositions(entries, rules = DEFAULT_MANAGEMENT_RULES) {
+  return entries
+    .flatMap(({ position, valuation }) => evaluatePosition(position, valuation, rules))
+    .sort((a, b) => ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity));
+}
+
+export default {
+  parseManagementRules,
+  evaluatePosition,
+  evaluatePositions
+};
@@ -1,57 +1,67 @@
 /**
  * 波动率分析模块
- * 计算 ±1σ 价格带、预期波动范围
+ * 按到期价格分布（对数正态，可选厚尾模型）计算 ±1σ / ±2σ 价格带与区间概率；
+ * 由期权链 Call 价格对执行价的二阶导数提取市场隐含分布（Breeden–Litzenberger）
  */
 
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+import { createProbabilityModel, quantileByBisection, MODEL_LABELS } from './probabilityModel.js';
+import { solveLinearSystem } from './volatilitySurface.js';
+
+// ±1σ / ±2σ 对应的正态双尾覆盖概率
+const ONE_SIGMA_COVERAGE = 0.682689;
+const TWO_SIGMA_COVERAGE = 0.954500;
+
+// 市场隐含分布：最少虚值报价个数、三次拟合所需点数、网格密度与 IV 下限
+const MIN_DENSITY_QUOTES = 5;
+const CUBIC_FIT_QUOTES = 8;
+const DEFAULT_DENSITY_POINTS = 200;
+const MIN_DENSITY_IV = 0.01;
+// 输出摘要的网格采样点数
+const SUMMARY_GRID_POINTS = 41;
+
 /**
- * 计算 ±1σ 价格带
+ * 计算 ±1σ / ±2σ 价格带
+ * 价格带取模型分布中覆盖 68.3% / 95.4% 的中心分位区间（对数正态下上下不对称）
  * @param {number} currentPrice - 当前股价
  * @param {number} iv - 隐含波动率（小数形式，如 0.35 表示 35%）
  * @param {number} dte - 距离到期天数
- * @returns {Object} 波动率分析结果
+ * @param {Object} [options] - { model, rate, dividendYield, degreesOfFreedom, returns }（见 createProbabilityModel）；
+ *   model 为 market_implied 且 density 为同一期限的 extractRiskNeutralDensity 结果时按市场隐含分布取分位
+ * @returns {Object} 波动率分析结果（含 model、modelLabel）
  */
-export function calculateVolatilityRange(currentPrice, iv, dte) {
+export function calculateVolatilityRange(currentPrice, iv, dte, options = {}) {
   if (!currentPrice || !iv || !dte) {
     return null;
   }
 
-  // 计算年化时间因子
-  const timeFactor = Math.sqrt(dte / 365);
-
-  // 计算 1σ 波动范围
-  const oneSigmaMove = currentPrice * iv * timeFactor;
-
-  // 计算上下边界
-  const oneSigmaUpper = currentPrice + oneSigmaMove;
-  const oneSigmaLower = currentPrice - oneSigmaMove;
+  const distribution = resolveDistribution(options, dte)
+    || createProbabilityModel({ ...options, spot: currentPrice, dte, iv });
 
-  // 计算 2σ 波动范围（95% 置信区间）
-  const twoSigmaMove = oneSigmaMove * 2;
-  const twoSigmaUpper = currentPrice + twoSigmaMove;
-  const twoSigmaLower = currentPrice - twoSigmaMove;
+  const band = coverage => {
+    const lower = distribution.quantile((1 - coverage) / 2);
+    const upper = distribution.quantile((1 + coverage) / 2);
+    const move = (upper - lower) / 2;
 
-  // 计算百分比
-  const oneSigmaPercent = (oneSigmaMove / currentPrice) * 100;
-  const twoSigmaPercent = (twoSigmaMove / currentPrice) * 100;
+    return {
+      upper: round2(upper),
+      lower: round2(lower),
+      move: round2(move),
+      upMove: round2(upper - currentPrice),
+      downMove: round2(currentPrice - lower),
+      percent: round2(move / currentPrice * 100),
+      probability: round2(coverage * 100)
+    };
+  };
 
   return {
     currentPrice,
     iv,
     dte,
-    oneSigma: {
-      upper: Math.round(oneSigmaUpper * 100) / 100,
-      lower: Math.round(oneSigmaLower * 100) / 100,
-      move: Math.round(oneSigmaMove * 100) / 100,
-      percent: Math.round(oneSigmaPercent * 100) / 100,
-      probability: 68.2 // 正态分布 1σ 概率
-    },
-    twoSigma: {
-      upper: Math.round(twoSigmaUpper * 100) / 100,
-      lower: Math.round(twoSigmaLower * 100) / 100,
-      move: Math.round(twoSigmaMove * 100) / 100,
-      percent: Math.round(twoSigmaPercent * 100) / 100,
-      probability: 95.4 // 正态分布 2σ 概率
-    },
+    model: distribution.model,
+    modelLabel: distribution.label,
+    oneSigma: band(ONE_SIGMA_COVERAGE),
+    twoSigma: band(TWO_SIGMA_COVERAGE),
     interpretation: getVolatilityInterpretation(iv, dte)
   };
 }
@@ -79,42 +89,252 @@ function getVolatilityInterpretation(iv, dte) {
 /**
  * 计算期权到期时价格在某个区间内的概率
  * @param {number} currentPrice - 当前价格
- * @param {number} lowerBound - 下边界
- * @param {number} upperBound - 上边界
- * @param {number} iv - 隐含波动率
+ * @param {number} lowerBound - 下边界（可为 0 或 -Infinity）
+ * @param {number} upperBound - 上边界（可为 Infinity）
+ * @param {number|Function} iv - 隐含波动率，或按执行价返回 IV 的函数（如波动率曲面）
  * @param {number} dte - 距离到期天数
- * @returns {number} 概率（0-1）
+ * @param {Object} [options] - { model, rate, dividendYield, degreesOfFreedom, returns, density }（同 calculateVolatilityRange）
+ * @returns {Object|null} { probability: 0-1, model, modelLabel }
+ */
+export function calculateProbabilityInRange(currentPrice, lowerBound, upperBound, iv, dte, options = {}) {
+  if (!currentPrice || lowerBound === undefined || upperBound === undefined || !iv || !dte) {
+    return null;
+  }
+
+  const density = resolveDistribution(options, dte);
+  if (density) {
+    const below = bound => (bound === Infinity ? 1 : density.probabilityBelow(bound));
+    return {
+      probability: Math.max(0, Math.min(1, below(upperBound) - below(lowerBound))),
+      model: density.model,
+      modelLabel: density.label
+    };
+  }
+
+  // 每个边界使用该执行价处的 IV，体现偏斜
+  const ivAt = typeof iv === 'function' ? iv : () => iv;
+  const below = bound => {
+    if (!(bound > 0)) return 0;
+    if (bound === Infinity) return 1;
+    return createProbabilityModel({ ...options, spot: currentPrice, dte, iv: ivAt(bound) }).cdf(bound);
+  };
+  const distribution = createProbabilityModel({ ...options, spot: currentPrice, dte, iv: ivAt(currentPrice) });
+
+  return {
+    probability: Math.max(0, Math.min(1, below(upperBound) - below(lowerBound))),
+    model: distribution.model,
+    modelLabel: distribution.label
+  };
+}
+
+/**
+ * 由期权链提取市场隐含的到期价格分布（Breeden–Litzenberger）：q(K) = e^{rt} ∂²C/∂K²
+ * 1. 取虚值报价（远期以下用 Put，以上用 Call）的 Mid IV，对 x = ln(K/F) 做 Vega 加权多项式平滑
+ *    （报价不少于 8 个时三次，否则二次；报价区间外 IV 取端点值）
+ * 2. 以平滑 IV 在报价区间内的细网格上重新计算 Call 价格
+ * 3. 无套利检查：Call 价格须随执行价单调递减且斜率不低于 -e^{-rt}（垂直价差），并对执行价凸（蝶式价差）；
+ *    违反凸性的二阶差分截断为 0，记录被截断的概率质量
+ * 4. 网格两端的累积概率取 1 + e^{rt} ∂C/∂K，区间内按密度积分并归一到两端之间；区间外同样由一阶导数给出
+ * @param {Object} slice - 单个到期日的期权链 { expiration, dte, calls, puts }（见 optionsChain.selectExpiry）
+ * @param {Object} params - { spot, rate, dividendYield, points: 网格点数 }
+ * @returns {Object|null} { model, label, expiration, dte, forward, atmIV, grid, arbitrage, fit, cdf, quantile, probabilityBelow, probabilityAbove }，
+ *   报价不足时返回 null
  */
-export function calculateProbabilityInRange(currentPrice, lowerBound, upperBound, iv, dte) {
-  if (!currentPrice || !lowerBound || !upperBound || !iv || !dte) {
+export function extractRiskNeutralDensity(slice, {
+  spot,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD,
+  points = DEFAULT_DENSITY_POINTS
+}) {
+  const dte = slice?.dte;
+  if (!spot || !(dte > 0)) {
     return null;
   }
 
-  // 计算标准差
-  const sigma = currentPrice * iv * Math.sqrt(dte / 365);
+  const t = dte / 365;
+  const forward = spot * Math.exp((rate - dividendYield) * t);
+  const growth = Math.exp(rate * t);
 
-  // 标准化 z-score
-  const zLower = (lowerBound - currentPrice) / sigma;
-  const zUpper = (upperBound - currentPrice) / sigma;
+  const quotes = [
+    ...(slice.puts || []).filter(option => option.strike < forward).map(option => ({ ...option, type: 'put' })),
+    ...(slice.calls || []).filter(option => option.strike >= forward).map(option => ({ ...option, type: 'call' }))
+  ].filter(option => option.bid > 0 && option.mid > 0 && option.iv > 0)
+    .sort((a, b) => a.strike - b.strike);
 
-  // 使用正态分布累积分布函数（简化近似）
-  const probLower = normalCDF(zLower);
-  const probUpper = normalCDF(zUpper);
+  if (quotes.length < MIN_DENSITY_QUOTES) {
+    return null;
+  }
 
-  const probability = probUpper - probLower;
+  const fit = fitIVPolynomial(quotes, { spot, forward, dte, rate, dividendYield });
+  if (!fit) {
+    return null;
+  }
 
-  return Math.max(0, Math.min(1, probability));
+  const low = quotes[0].strike;
+  const high = quotes[quotes.length - 1].strike;
+  const step = (high - low) / points;
+  const ivAt = strike => fit.evaluate(Math.log(strike / forward));
+  const callAt = strike => priceOption({ type: 'call', spot, strike, dte, iv: ivAt(strike), rate, dividendYield }).price;
+  const slopeAt = strike => {
+    const h = strike * 0.001;
+    return (callAt(strike + h) - callAt(strike - h)) / (2 * h);
+  };
+
+  const strikes = Array.from({ length: points + 1 }, (_, i) => low + step * i);
+  const calls = strikes.map(callAt);
+
+  // 无套利检查：单调（垂直价差）与凸性（蝶式价差）
+  const tolerance = 1e-9 * spot;
+  const discount = 1 / growth;
+  let monotonicViolations = 0;
+  let convexityViolations = 0;
+  let clippedMass = 0;
+
+  for (let i = 1; i < calls.length; i++) {
+    const slope = (calls[i] - calls[i - 1]) / step;
+    if (calls[i] > calls[i - 1] + tolerance || slope < -discount - 1e-6) monotonicViolations++;
+  }
+
+  const density = strikes.map((strike, i) => {
+    if (i === 0 || i === strikes.length - 1) return null;
+    const curvature = (calls[i + 1] - 2 * calls[i] + calls[i - 1]) / (step * step);
+    if (curvature < -tolerance) {
+      convexityViolations++;
+      clippedMass += -curvature * growth * step;
+    }
+    return Math.max(0, curvature) * growth;
+  });
+  density[0] = density[1];
+  density[density.length - 1] = density[density.length - 2];
+
+  // 两端累积概率由一阶导数给出，区间内按密度积分后归一到两端之间
+  const clamp01 = value => Math.max(0, Math.min(1, value));
+  const cdfLow = clamp01(1 + growth * slopeAt(low));
+  const cdfHigh = Math.max(cdfLow, clamp01(1 + growth * slopeAt(high)));
+  const cumulative = [0];
+  for (let i = 1; i < strikes.length; i++) {
+    cumulative.push(cumulative[i - 1] + (density[i - 1] + density[i]) / 2 * step);
+  }
+  const total = cumulative[cumulative.length - 1];
+  const cdfGrid = cumulative.map((value, i) => (total > 0
+    ? cdfLow + (cdfHigh - cdfLow) * value / total
+    : cdfLow + (cdfHigh - cdfLow) * i / points));
+
+  const cdf = price => {
+    if (!(price > 0)) return 0;
+    if (price <= low) return Math.min(cdfLow, clamp01(1 + growth * slopeAt(price)));
+    if (price >= high) return Math.max(cdfHigh, clamp01(1 + growth * slopeAt(price)));
+    const index = Math.min(points - 1, Math.floor((price - low) / step));
+    const weight = (price - strikes[index]) / step;
+    return cdfGrid[index] + (cdfGrid[index + 1] - cdfGrid[index]) * weight;
+  };
+
+  const atmIV = ivAt(forward);
+
+  return {
+    model: 'market_implied',
+    label: MODEL_LABELS.market_implied,
+    expiration: slice.expiration,
+    dte,
+    forward,
+    atmIV,
+    grid: strikes.map((strike, i) => ({ strike, density: density[i], cdf: cdfGrid[i] })),
+    arbitrage: {
+      monotonicViolations,
+      convexityViolations,
+      clippedMass,
+      free: monotonicViolations === 0 && convexityViolations === 0
+    },
+    fit: { degree: fit.degree, quotes: quotes.length, rmse: fit.rmse, strikeRange: [low, high] },
+    cdf,
+    quantile: p => quantileByBisection(cdf, spot, Math.max(atmIV * Math.sqrt(t), 0.01), p),
+    probabilityBelow: cdf,
+    probabilityAbove: strike => 1 - cdf(strike)
+  };
 }
 
 /**
- * 正态分布累积分布函数（CDF）近似
+ * 市场隐含分布摘要（用于 API 输出，不含函数）
+ * @param {Object} density - extractRiskNeutralDensity 的结果
+ * @returns {Object|null}
  */
-function normalCDF(z) {
-  const t = 1 / (1 + 0.2316419 * Math.abs(z));
-  const d = 0.3989423 * Math.exp(-z * z / 2);
-  const prob = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  
-  return z > 0 ? 1 - prob : prob;
+export function summarizeRiskNeutralDensity(density) {
+  if (!density) {
+    return null;
+  }
+
+  const round4 = value => Math.round(value * 10000) / 10000;
+  const stride = Math.max(1, Math.round((density.grid.length - 1) / (SUMMARY_GRID_POINTS - 1)));
+  const mean = density.grid.reduce((sum, point, i, grid) => (i === 0 ? sum
+    : sum + (grid[i - 1].strike + point.strike) / 2 * (point.cdf - grid[i - 1].cdf)), 0);
+
+  return {
+    model: density.model,
+    label: density.label,
+    expiration: density.expiration,
+    dte: density.dte,
+    forward: round2(density.forward),
+    atmIV: round4(density.atmIV),
+    median: round2(density.quantile(0.5)),
+    // 报价区间内的条件期望，用于与远期价格对照
+    rangeMean: round2(mean / Math.max(1e-9, density.grid[density.grid.length - 1].cdf - density.grid[0].cdf)),
+    arbitrage: { ...density.arbitrage, clippedMass: round4(density.arbitrage.clippedMass) },
+    fit: { ...density.fit, rmse: round4(density.fit.rmse) },
+    grid: density.grid
+      .filter((_, i) => i % stride === 0 || i === density.grid.length - 1)
+      .map(point => ({
+        strike: round2(point.strike),
+        density: Math.round(point.density * 1e6) / 1e6,
+        probabilityBelow: round4(point.cdf),
+        probabilityAbove: round4(1 - point.cdf)
+      }))
+  };
+}
+
+/**
+ * 指定 market_implied 且提供了同一期限的隐含分布时返回该分布
+ */
+function resolveDistribution({ model, density } = {}, dte) {
+  return model === 'market_implied' && density && density.dte === dte ? density : null;
+}
+
+/**
+ * Vega 加权多项式拟合 IV 微笑（x = ln(K/F)），返回带端点外平推的求值函数
+ */
+function fitIVPolynomial(quotes, { spot, forward, dte, rate, dividendYield }) {
+  const degree = quotes.length >= CUBIC_FIT_QUOTES ? 3 : 2;
+  const size = degree + 1;
+  const samples = quotes.map(({ strike, iv, type }) => ({
+    x: Math.log(strike / forward),
+    iv,
+    weight: Math.max(1e-6, priceOption({ type, spot, strike, dte, iv, rate, dividendYield }).vega)
+  }));
+
+  // 正规方程 (XᵀWX)β = XᵀWy
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+  const vector = new Array(size).fill(0);
+  for (const { x, iv, weight } of samples) {
+    const basis = Array.from({ length: size }, (_, i) => x ** i);
+    for (let i = 0; i < size; i++) {
+      vector[i] += weight * basis[i] * iv;
+      for (let j = 0; j < size; j++) {
+        matrix[i][j] += weight * basis[i] * basis[j];
+      }
+    }
+  }
+
+  const coefficients = solveLinearSystem(matrix, vector);
+  if (!coefficients) {
+    return null;
+  }
+
+  const xMin = samples[0].x;
+  const xMax = samples[samples.length - 1].x;
+  const polynomial = x => coefficients.reduce((sum, coefficient, i) => sum + coefficient * x ** i, 0);
+  const evaluate = x => Math.max(MIN_DENSITY_IV, polynomial(Math.min(xMax, Math.max(xMin, x))));
+  const rmse = Math.sqrt(samples.reduce((sum, sample) => sum + (evaluate(sample.x) - sample.iv) ** 2, 0) / samples.length);
+
+  return { degree, coefficients, evaluate, rmse };
 }
 
 /**
@@ -167,9 +387,15 @@ export function adjustVolatilityWithGEX(volatilityRange, gexData) {
   };
 }
 
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
 export default {
   calculateVolatilityRange,
   calculateProbabilityInRange,
+  extractRiskNeutralDensity,
+  summarizeRiskNeutralDensity,
   adjustVolatilityWithGEX
 };
 
@@ -0,0 +1,350 @@
+/**
+ * 波动率曲面模块
+ * 按到期日拟合波动率微笑，在执行价与期限两个维度插值，
+ * 输出 25Δ 风险逆转、蝶式价差与期限结构斜率
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+import { solveContractIVs } from './impliedVolatility.js';
+
+const MIN_SURFACE_IV = 0.01;
+
+/**
+ * 由原始期权链构建波动率曲面
+ * 每个到期日只使用虚值合约（执行价低于现价用 Put，高于现价用 Call），
+ * 对反推的 Mid IV 以 Vega 加权拟合二次微笑 iv = a + b·x + c·x²，x = ln(K/F)
+ * @param {Array} contracts - 原始期权合约（optionsData.data）
+ * @param {number} spot - 标的价格
+ * @param {Object} [options] - { rate, dividendYield, asOf: 估值日期（历史期权链用），默认今天 }
+ * @returns {Object|null} 曲面（slices 按 DTE 升序），无可用数据时返回 null
+ */
+export function buildVolatilitySurface(contracts, spot, options = {}) {
+  const {
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = DEFAULT_DIVIDEND_YIELD,
+    asOf = new Date()
+  } = options;
+
+  if (!contracts || contracts.length === 0 || !spot) {
+    return null;
+  }
+
+  const today = new Date(asOf);
+  const byExpiration = new Map();
+
+  for (const contract of contracts) {
+    const strike = parseFloat(contract.strike);
+    const isOTM = contract.type === 'put' ? strike < spot : strike >= spot;
+    if (!isOTM) continue;
+
+    const dte = Math.round((new Date(contract.expiration) - today) / (1000 * 60 * 60 * 24));
+    if (dte <= 0) continue;
+
+    const { midIV } = solveContractIVs(contract, spot, dte, { rate, dividendYield });
+    if (!midIV) continue;
+
+    if (!byExpiration.has(contract.expiration)) {
+      byExpiration.set(contract.expiration, { expiration: contract.expiration, dte, points: [] });
+    }
+    byExpiration.get(contract.expiration).points.push({ strike, iv: midIV, type: contract.type });
+  }
+
+  const slices = [];
+
+  for (const { expiration, dte, points } of byExpiration.values()) {
+    const t = dte / 365;
+    const forward = spot * Math.exp((rate - dividendYield) * t);
+    const fitted = fitSmile(points, forward, spot, dte, rate, dividendYield);
+
+    if (fitted) {
+      slices.push({ expiration, dte, t, forward, ...fitted, points: points.length });
+    }
+  }
+
+  if (slices.length === 0) {
+    return null;
+  }
+
+  slices.sort((a, b) => a.dte - b.dte);
+
+  return { spot, rate, dividendYield, slices };
+}
+
+/**
+ * Vega 加权最小二乘拟合单个到期日的微笑曲线
+ */
+function fitSmile(points, forward, spot, dte, rate, dividendYield) {
+  if (points.length === 0) {
+    return null;
+  }
+
+  const samples = points.map(({ strike, iv, type }) => ({
+    x: Math.log(strike / forward),
+    iv,
+    weight: Math.max(1e-6, priceOption({ type, spot, strike, dte, iv, rate, dividendYield }).vega)
+  }));
+
+  const xs = samples.map(sample => sample.x);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+
+  // 点数不足时退化为加权平均的水平微笑
+  if (samples.length < 3) {
+    const totalWeight = samples.reduce((sum, sample) => sum + sample.weight, 0);
+    const a = samples.reduce((sum, sample) => sum + sample.iv * sample.weight, 0) / totalWeight;
+    return { coefficients: { a, b: 0, c: 0 }, xMin, xMax, atmIV: a };
+  }
+
+  // 构造正规方程 (XᵀWX)β = XᵀWy
+  const matrix = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const vector = [0, 0, 0];
+
+  for (const { x, iv, weight } of samples) {
+    const basis = [1, x, x * x];
+    for (let i = 0; i < 3; i++) {
+      vector[i] += weight * basis[i] * iv;
+      for (let j = 0; j < 3; j++) {
+        matrix[i][j] += weight * basis[i] * basis[j];
+      }
+    }
+  }
+
+  const solution = solveLinearSystem(matrix, vector);
+  if (!solution) {
+    return null;
+  }
+
+  const [a, b, c] = solution;
+  return { coefficients: { a, b, c }, xMin, xMax, atmIV: Math.max(MIN_SURFACE_IV, a) };
+}
+
+/**
+ * 高斯消元（列主元）求解 n×n 线性方程组
+ * @returns {Array|null} 解向量，矩阵奇异时返回 null
+ */
+export function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  const result = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * result[k];
+    }
+    result[row] = sum / a[row][row];
+  }
+
+  return result;
+}
+
+/**
+ * 计算单个到期日在某执行价的 IV（超出拟合范围时水平外推）
+ */
+function getSliceIV(slice, strike) {
+  const { a, b, c } = slice.coefficients;
+  const x = Math.min(slice.xMax, Math.max(slice.xMin, Math.log(strike / slice.forward)));
+
+  return Math.max(MIN_SURFACE_IV, a + b * x + c * x * x);
+}
+
+/**
+ * 从曲面读取任意执行价、任意期限的 IV
+ * 期限之间按总方差（iv²·t）线性插值，超出期限范围时使用最近的到期日
+ * @param {Object} surface - buildVolatilitySurface 的结果
+ * @param {number} strike - 执行价
+ * @param {number} dte - 距离到期天数
+ * @returns {number|null} 隐含波动率
+ */
+export function getSurfaceIV(surface, strike, dte) {
+  if (!surface || !surface.slices.length || !isFinite(strike) || strike <= 0) {
+    return null;
+  }
+
+  const { slices } = surface;
+
+  if (dte <= slices[0].dte) {
+    return getSliceIV(slices[0], strike);
+  }
+
+  const last = slices[slices.length - 1];
+  if (dte >= last.dte) {
+    return getSliceIV(last, strike);
+  }
+
+  const upperIndex = slices.findIndex(slice => slice.dte >= dte);
+  const near = slices[upperIndex - 1];
+  const far = slices[upperIndex];
+
+  const nearVariance = getSliceIV(near, strike) ** 2 * near.t;
+  const farVariance = getSliceIV(far, strike) ** 2 * far.t;
+  const weight = (dte - near.dte) / (far.dte - near.dte);
+  const t = dte / 365;
+
+  const variance = Math.max(nearVariance + (farVariance - nearVariance) * weight, 0);
+  return Math.max(MIN_SURFACE_IV, Math.sqrt(variance / t));
+}
+
+/**
+ * 按曲面计算 ±Nσ 价格带
+ * 上下边界各自使用该执行价处的 IV（迭代收敛），因此偏斜会让价格带不对称
+ * @param {Object} surface - 波动率曲面
+ * @param {number} spot - 标的价格
+ * @param {number} dte - 距离到期天数
+ * @param {number} [sigmas] - σ 倍数，默认 1
+ * @returns {Object|null} { lower, upper, lowerIV, upperIV }
+ */
+export function getSurfaceSigmaBand(surface, spot, dte, sigmas = 1) {
+  const atmIV = getSurfaceIV(surface, spot, dte);
+  if (!atmIV) {
+    return null;
+  }
+
+  const timeFactor = Math.sqrt(dte / 365);
+  let lowerIV = atmIV;
+  let upperIV = atmIV;
+  let lower = spot;
+  let upper = spot;
+
+  for (let i = 0; i < 5; i++) {
+    lower = spot * Math.exp(-sigmas * lowerIV * timeFactor);
+    upper = spot * Math.exp(sigmas * upperIV * timeFactor);
+    lowerIV = getSurfaceIV(surface, lower, dte);
+    upperIV = getSurfaceIV(surface, upper, dte);
+  }
+
+  return {
+    lower: Math.round(lower * 100) / 100,
+    upper: Math.round(upper * 100) / 100,
+    lowerIV,
+    upperIV
+  };
+}
+
+/**
+ * 求指定 Delta 对应的执行价（二分法，使用曲面 IV）
+ */
+function findStrikeForDelta(surface, dte, type, targetDelta) {
+  const { spot, rate, dividendYield } = surface;
+  let low = type === 'call' ? spot : spot * 0.2;
+  let high = type === 'call' ? spot * 3 : spot;
+
+  for (let i = 0; i < 60; i++) {
+    const strike = (low + high) / 2;
+    const iv = getSurfaceIV(surface, strike, dte);
+    const { delta } = priceOption({ type, spot, strike, dte, iv, rate, dividendYield });
+
+    // Call Delta 随执行价递减；Put Delta（负值）随执行价递减
+    if (Math.abs(delta) > targetDelta) {
+      if (type === 'call') low = strike; else high = strike;
+    } else if (type === 'call') {
+      high = strike;
+    } else {
+      low = strike;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * 计算偏斜与期限结构指标
+ * @param {Object} surface - 波动率曲面
+ * @param {number} dte - 计算偏斜所用的期限
+ * @returns {Object|null} { atmIV, call25Strike, put25Strike, riskReversal25, butterfly25, termStructure, termStructureSlope }
+ */
+export function getSkewMetrics(surface, dte) {
+  if (!surface || !surface.slices.length) {
+    return null;
+  }
+
+  const { spot } = surface;
+  const atmIV = getSurfaceIV(surface, spot, dte);
+  const call25Strike = findStrikeForDelta(surface, dte, 'call', 0.25);
+  const put25Strike = findStrikeForDelta(surface, dte, 'put', 0.25);
+  const call25IV = getSurfaceIV(surface, call25Strike, dte);
+  const put25IV = getSurfaceIV(surface, put25Strike, dte);
+
+  const termStructure = surface.slices.map(slice => ({
+    expiration: slice.expiration,
+    dte: slice.dte,
+    atmIV: round4(getSliceIV(slice, spot))
+  }));
+
+  // 期限结构斜率：最远与最近到期日 ATM IV 之差，折算为每 30 天
+  let termStructureSlope = null;
+  if (termStructure.length >= 2) {
+    const first = termStructure[0];
+    const last = termStructure[termStructure.length - 1];
+    termStructureSlope = round4((last.atmIV - first.atmIV) / (last.dte - first.dte) * 30);
+  }
+
+  return {
+    dte,
+    atmIV: round4(atmIV),
+    call25Strike: Math.round(call25Strike * 100) / 100,
+    put25Strike: Math.round(put25Strike * 100) / 100,
+    call25IV: round4(call25IV),
+    put25IV: round4(put25IV),
+    riskReversal25: round4(call25IV - put25IV),
+    butterfly25: round4((call25IV + put25IV) / 2 - atmIV),
+    termStructure,
+    termStructureSlope,
+    termStructureShape: termStructureSlope === null
+      ? 'unknown'
+      : termStructureSlope > 0 ? 'contango' : 'backwardation'
+  };
+}
+
+/**
+ * 曲面摘要（用于 API 输出）
+ */
+export function summarizeSurface(surface, dte) {
+  if (!surface) {
+    return null;
+  }
+
+  return {
+    slices: surface.slices.map(slice => ({
+      expiration: slice.expiration,
+      dte: slice.dte,
+      atmIV: round4(slice.atmIV),
+      coefficients: {
+        a: round4(slice.coefficients.a),
+        b: round4(slice.coefficients.b),
+        c: round4(slice.coefficients.c)
+      },
+      points: slice.points
+    })),
+    skew: getSkewMetrics(surface, dte)
+  };
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default {
+  buildVolatilitySurface,
+  solveLinearSystem,
+  getSurfaceIV,
+  getSurfaceSigmaBand,
+  getSkewMetrics,
+  summarizeSurface
+};
@@ -0,0 +1,178 @@
+/**
+ * 翼宽优化模块
+ * 在期权链实际的执行价阶梯上尝试多种保护腿宽度，
+ * 比较每种宽度的收益风险比、胜率与期望值，返回最优宽度
+ */
+
+import { priceOption, DEFAULT_RISK_FREE_RATE, DEFAULT_DIVIDEND_YIELD } from './blackScholes.js';
+import { probabilityBelow } from './probabilityModel.js';
+
+// 每条价差最多尝试的宽度数量
+export const MAX_WING_CANDIDATES = 8;
+
+// 单位风险期望值的比较容差
+const SCORE_TOLERANCE = 0.005;
+
+/**
+ * 解析请求中的翼宽约束
+ * @param {Object} query - 请求参数 { wingWidth, maxRiskPerContract }
+ * @returns {Object} { wingWidth: 固定宽度（美元）或 null, maxRiskPerContract: 每张最大风险（美元）或 null }
+ */
+export function parseWingConstraints(query) {
+  const wingWidth = parseFloat(query?.wingWidth);
+  const maxRiskPerContract = parseFloat(query?.maxRiskPerContract);
+
+  return {
+    wingWidth: isFinite(wingWidth) && wingWidth > 0 ? wingWidth : null,
+    maxRiskPerContract: isFinite(maxRiskPerContract) && maxRiskPerContract > 0 ? maxRiskPerContract : null
+  };
+}
+
+/**
+ * 评估一条信用价差（卖 shortStrike，买更虚值的 longStrike）
+ * 期望值：收到的权利金减去各执行价 IV 下的期望赔付
+ * @param {Object} params - { type, spot, dte, iv（数值或 执行价 → IV 函数）, shortStrike, shortPremium, longStrike, longPremium, rate, dividendYield }
+ * @returns {Object} 每股 { width, credit, maxRisk, returnOnRisk, pop, pMaxLoss, expectedValue, score }
+ */
+export function evaluateWing({
+  type,
+  spot,
+  dte,
+  iv,
+  shortStrike,
+  shortPremium,
+  longStrike,
+  longPremium,
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = DEFAULT_DIVIDEND_YIELD
+}) {
+  const width = Math.abs(shortStrike - longStrike);
+  const credit = shortPremium - longPremium;
+  const maxRisk = width - credit;
+  const t = dte / 365;
+  const ivAt = typeof iv === 'function' ? iv : () => iv;
+
+  const below = strike => probabilityBelow({ spot, strike, dte, iv: ivAt(strike), rate, dividendYield });
+
+  const breakeven = type === 'put' ? shortStrike - credit : shortStrike + credit;
+  const pop = type === 'put' ? 1 - below(breakeven) : below(breakeven);
+  const pMaxLoss = type === 'put' ? below(longStrike) : 1 - below(longStrike);
+
+  // 期望赔付 = e^{rt} × 模型价差价格
+  const modelPrice = strike => priceOption({ type, spot, strike, dte, iv: ivAt(strike), rate, dividendYield }).price;
+  const expectedPayout = Math.exp(rate * t) * (modelPrice(shortStrike) - modelPrice(longStrike));
+  const expectedValue = credit - expectedPayout;
+
+  return {
+    width,
+    credit,
+    maxRisk,
+    returnOnRisk: maxRisk > 0 ? credit / maxRisk : 0,
+    pop,
+    pMaxLoss,
+    expectedValue,
+    // 以单位风险期望收益排序
+    score: maxRisk > 0 ? expectedValue / maxRisk : -Infinity
+  };
+}
+
+/**
+ * 优化一条信用价差的翼宽
+ * 每张最大风险是硬约束：没有宽度满足时返回 null，由调用方放弃该结构
+ * @param {Array} options - 同类型的挂牌合约或执行价网格 [{ strike, mid?, iv? }]（升序）
+ * @param {Object} shortLeg - 短腿 { strike, premium }
+ * @param {Object} params - { type, spot, dte, iv（数值或 执行价 → IV 函数）, wingWidth, maxRiskPerContract, rate, dividendYield }
+ * @returns {Object|null} { best, candidates }，best 含 longStrike、longOption 与 evaluateWing 指标
+ */
+export function optimizeWingWidth(options, shortLeg, params) {
+  const { type, spot, dte, iv, wingWidth = null, maxRiskPerContract = null, rate, dividendYield } = params;
+  const ivAt = typeof iv === 'function' ? iv : () => iv;
+
+  // 保护腿：短腿之外（Put 更低、Call 更高）的执行价，按距离由近到远
+  const wings = (options || [])
+    .filter(option => (type === 'put' ? option.strike < shortLeg.strike : option.strike > shortLeg.strike))
+    .sort((a, b) => Math.abs(a.strike - shortLeg.strike) - Math.abs(b.strike - shortLeg.strike))
+    .slice(0, wingWidth ? undefined : MAX_WING_CANDIDATES);
+
+  const candidates = wings
+    .map(option => {
+      const longIV = option.iv > 0 ? option.iv : ivAt(option.strike);
+      const longPremium = option.mid > 0
+        ? option.mid
+        : priceOption({ type, spot, strike: option.strike, dte, iv: longIV, rate, dividendYield }).price;
+
+      return {
+        longStrike: option.strike,
+        longOption: option,
+        ...evaluateWing({
+          type,
+          spot,
+          dte,
+          iv,
+          shortStrike: shortLeg.strike,
+          shortPremium: shortLeg.premium,
+          longStrike: option.strike,
+          longPremium,
+          rate,
+          dividendYield
+        })
+      };
+    })
+    .filter(candidate => candidate.credit > 0 && candidate.maxRisk > 0);
+
+  // 每张最大风险约束：超限的宽度剔除，全部超限时不给出保护腿
+  const pool = maxRiskPerContract
+    ? candidates.filter(candidate => candidate.maxRisk * 100 <= maxRiskPerContract)
+    : candidates;
+  if (pool.length === 0) {
+    return null;
+  }
+
+  // 固定宽度：取阶梯上最接近的宽度
+  if (wingWidth) {
+    const best = pool.reduce((closest, candidate) => (
+      Math.abs(candidate.width - wingWidth) < Math.abs(closest.width - wingWidth) ? candidate : closest
+    ));
+    return { best, candidates };
+  }
+
+  // 单位风险期望值相差不到 SCORE_TOLERANCE 视为相当，取收益风险比更高（占用资金更少）的宽度
+  const topScore = Math.max(...pool.map(candidate => candidate.score));
+  const best = pool
+    .filter(candidate => candidate.score >= topScore - SCORE_TOLERANCE)
+    .reduce((top, candidate) => (candidate.returnOnRisk > top.returnOnRisk ? candidate : top));
+
+  return { best, candidates };
+}
+
+/**
+ * 翼宽候选摘要（用于 API 输出，金额为每张合约美元）
+ */
+export function summarizeWingCandidates(result) {
+  if (!result) {
+    return null;
+  }
+
+  const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  return {
+    selectedWidth: result.best.width,
+    candidates: result.candidates.map(candidate => ({
+      width: candidate.width,
+      longStrike: candidate.longStrike,
+      credit: round(candidate.credit * 100),
+      maxRisk: round(candidate.maxRisk * 100),
+      returnOnRisk: round(candidate.returnOnRisk, 4),
+      pop: round(candidate.pop, 4),
+      pMaxLoss: round(candidate.pMaxLoss, 4),
+      expectedValue: round(candidate.expectedValue * 100)
+    }))
+  };
+}
+
+export default {
+  parseWingConstraints,
+  evaluateWing,
+  optimizeWingWidth,
+  summarizeWingCandidates
+};